@@ -0,0 +1,105 @@
+// js/attachment-store.js - Source documents (receipts, statements) kept in the repository
+// Each file is stored once under CONFIG.ATTACHMENTS.DIRECTORY as <sha256>.<ext>, so uploading the same
+// receipt twice adds nothing new. Transactions list the names in their Attachments column.
+// Attachments hold account numbers and names, so they are left out of the published site (_config.yml)
+// and only opened from the admin dashboard, through the repository with the committee member's login.
+// Anyone can read a public repository, so they are only uploaded to a private one (see canStore).
+
+class AttachmentStore {
+    constructor() {
+        this.directory = CONFIG.ATTACHMENTS.DIRECTORY;
+        this.publicRepositoryNotice = 'The repository is public, so documents are not uploaded - anyone could read them. ' +
+            'Make it private to keep receipts and statements with their transactions.';
+
+        Utils.log('info', 'AttachmentStore initialized');
+    }
+
+    // Read a File and describe it for committing: { name, path, base64, fileName, type, size }
+    async prepare(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const hash = await this.hash(bytes);
+        const name = `${hash}.${this.extensionOf(file)}`;
+
+        return {
+            name,
+            path: this.pathOf(name),
+            base64: this.toBase64(bytes),
+            fileName: file.name,
+            type: file.type,
+            size: file.size
+        };
+    }
+
+    // Whether documents can be committed through storage (a GitHubStorage): only to a private repository
+    async canStore(storage) {
+        return storage.isPrivate();
+    }
+
+    // Hex SHA-256 of the file content
+    async hash(bytes) {
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Lower-case extension from the file name, or from the type when the name has none
+    extensionOf(file) {
+        const match = /\.([a-z0-9]{1,6})$/i.exec(file.name || '');
+        if (match) return match[1].toLowerCase();
+
+        const types = { 'application/pdf': 'pdf', 'image/png': 'png', 'image/jpeg': 'jpg', 'image/jpg': 'jpg' };
+        return types[file.type] || 'bin';
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        const chunk = 0x8000; // Keep String.fromCharCode arguments well under the engine's limit
+        for (let i = 0; i < bytes.length; i += chunk) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+        }
+        return btoa(binary);
+    }
+
+    // Repository path of a stored attachment
+    pathOf(name) {
+        return `${this.directory}/${name}`;
+    }
+
+    // Show an attachment in a new tab, read through storage (a GitHubStorage)
+    async open(name, storage) {
+        // Open the tab straight away - after the await a popup blocker would stop it
+        const tab = window.open('', '_blank');
+        try {
+            const blob = await storage.readBlob(this.pathOf(name));
+            if (!blob) {
+                throw new Error(`${name} is not in the repository`);
+            }
+            const url = URL.createObjectURL(new Blob([blob], { type: this.typeOf(name) }));
+            if (tab) tab.location.href = url;
+            else window.location.href = url;
+        } catch (error) {
+            if (tab) tab.close();
+            throw error;
+        }
+    }
+
+    // Content type to show a stored file with; statements and anything unknown are shown as text
+    typeOf(name) {
+        const types = { pdf: 'application/pdf', png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg' };
+        return types[name.split('.').pop().toLowerCase()] || 'text/plain';
+    }
+
+    // Short label for a link: the file type and the start of the hash
+    labelOf(name) {
+        const [hash, extension = ''] = name.split('.');
+        return `${extension.toUpperCase()} ${hash.slice(0, 7)}`;
+    }
+}
+
+// Create global attachment store instance
+const attachmentStore = new AttachmentStore();
+
+// Export for use in other files
+window.AttachmentStore = AttachmentStore;
+window.attachmentStore = attachmentStore;
+
+Utils.log('info', 'Attachment store module loaded');
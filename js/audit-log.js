@@ -0,0 +1,9 @@
+// js/audit-log.js - Browser adapter for the audit trail in js/core/audit-log.mjs
+
+import { AuditLog, auditLog } from './core/audit-log.mjs';
+
+// Export for use in other files
+window.AuditLog = AuditLog;
+window.auditLog = auditLog;
+
+Utils.log('info', 'Audit log module loaded');
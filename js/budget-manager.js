@@ -0,0 +1,15 @@
+// js/budget-manager.js - Browser adapter for js/core/budget-manager.mjs
+// Reads budgets.json from the published site by default
+
+import { BudgetManager as CoreBudgetManager } from './core/budget-manager.mjs';
+
+class BudgetManager extends CoreBudgetManager {
+    constructor(dataManager, { source = window.siteSource } = {}) {
+        super(dataManager, { source });
+    }
+}
+
+// Export for use in other files
+window.BudgetManager = BudgetManager;
+
+Utils.log('info', 'Budget manager loaded');
@@ -0,0 +1,9 @@
+// js/category-classifier.js - Browser adapter for the learned suggestions in js/core/category-classifier.mjs
+
+import { CategoryClassifier, categoryClassifier } from './core/category-classifier.mjs';
+
+// Export for use in other files
+window.CategoryClassifier = CategoryClassifier;
+window.categoryClassifier = categoryClassifier;
+
+Utils.log('info', 'Category classifier loaded');
@@ -263,6 +263,158 @@ class ChartRenderer {
         return this.charts.event;
     }
 
+    // Create balance history chart, one line per account ([{ name, history }] from DataManager.getBalanceHistory)
+    createAccountBalanceChart(accounts) {
+        const canvas = document.getElementById('accountBalanceChart');
+        if (!canvas) {
+            return null;
+        }
+
+        // Destroy existing chart if it exists
+        if (this.charts.accountBalance) {
+            this.charts.accountBalance.destroy();
+        }
+
+        // Shared date axis: every date any account moved, with each account's closing balance on that date
+        const dates = [...new Set(accounts.flatMap(account => account.history.map(entry => entry.transaction.Date)))]
+            .sort((a, b) => Utils.parseDate(a) - Utils.parseDate(b));
+        const colors = this.generateColors(accounts.length);
+
+        const datasets = accounts.map((account, index) => {
+            const closing = {};
+            account.history.forEach(entry => {
+                closing[entry.transaction.Date] = entry.balance;
+            });
+
+            let balance = null;
+            const color = colors[index].slice(0, 7);
+            return {
+                label: account.name,
+                data: dates.map(date => {
+                    if (date in closing) balance = closing[date];
+                    return balance;
+                }),
+                borderColor: color,
+                backgroundColor: color + '20',
+                fill: false,
+                stepped: true,
+                pointRadius: 0
+            };
+        });
+
+        const config = {
+            type: 'line',
+            data: {
+                labels: dates.map(date => Utils.formatDate(date)),
+                datasets: datasets
+            },
+            options: {
+                ...this.defaultOptions,
+                scales: {
+                    y: {
+                        ticks: {
+                            callback: function(value) {
+                                return Utils.formatCurrency(value);
+                            }
+                        }
+                    }
+                },
+                plugins: {
+                    ...this.defaultOptions.plugins,
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${Utils.formatCurrency(context.parsed.y)}`;
+                            }
+                        }
+                    }
+                },
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                }
+            }
+        };
+
+        this.charts.accountBalance = new Chart(canvas, config);
+        return this.charts.accountBalance;
+    }
+
+    // Create planned vs actual expenses chart for budgeted events (BudgetManager.compare output)
+    createBudgetChart(comparison) {
+        const canvas = document.getElementById('budgetChart');
+        if (!canvas) {
+            return null;
+        }
+
+        // Destroy existing chart if it exists
+        if (this.charts.budget) {
+            this.charts.budget.destroy();
+        }
+
+        const labels = comparison.map(item => item.event);
+        const actualColors = comparison.map(item =>
+            item.isOverBudget ? this.colors.EXPENSE : this.colors.INCOME
+        );
+
+        const config = {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [
+                    {
+                        label: 'Planned Expenses',
+                        data: comparison.map(item => item.expenses.planned),
+                        backgroundColor: this.colors.PRIMARY + '40',
+                        borderColor: this.colors.PRIMARY,
+                        borderWidth: 2
+                    },
+                    {
+                        label: 'Actual Expenses',
+                        data: comparison.map(item => item.expenses.actual),
+                        backgroundColor: actualColors.map(color => color + '80'),
+                        borderColor: actualColors,
+                        borderWidth: 2
+                    }
+                ]
+            },
+            options: {
+                ...this.defaultOptions,
+                indexAxis: 'y',
+                scales: {
+                    x: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: function(value) {
+                                return Utils.formatCurrency(value);
+                            }
+                        }
+                    }
+                },
+                plugins: {
+                    ...this.defaultOptions.plugins,
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${Utils.formatCurrency(context.parsed.x)}`;
+                            },
+                            afterBody: function(items) {
+                                const item = comparison[items[0].dataIndex];
+                                if (item.expenses.percentUsed === null) return '';
+                                const variance = item.expenses.variance;
+                                return `${item.expenses.percentUsed}% of budget used ` +
+                                    `(${Utils.formatCurrency(Math.abs(variance))} ${variance > 0 ? 'over' : 'remaining'})`;
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        this.charts.budget = new Chart(canvas, config);
+        return this.charts.budget;
+    }
+
     // Update charts with new data (for filtering)
     updateCharts(dataManager) {
         const chartData = dataManager.getChartData();
@@ -0,0 +1,8 @@
+// js/claims-manager.js - Browser adapter for the reimbursement claims in js/core/claims-manager.mjs
+
+import { ClaimsManager } from './core/claims-manager.mjs';
+
+// Export for use in other files
+window.ClaimsManager = ClaimsManager;
+
+Utils.log('info', 'Claims manager loaded');
@@ -0,0 +1,8 @@
+// js/column-layouts.js - Browser adapter for the learned column layouts in js/core/column-layouts.mjs
+
+import { ColumnLayoutStore } from './core/column-layouts.mjs';
+
+// Export for use in other files
+window.ColumnLayoutStore = ColumnLayoutStore;
+
+Utils.log('info', 'Column layout store loaded');
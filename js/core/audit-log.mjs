@@ -0,0 +1,107 @@
+// js/core/audit-log.mjs - Append-only history of changes to transactions.csv
+// One JSON object per line in data/audit-log.jsonl: who, when, what changed and why
+
+import { CONFIG } from './config.mjs';
+import { Utils } from './utils.mjs';
+
+export class AuditLog {
+    constructor() {
+        this.path = CONFIG.DATA_FILES.AUDIT_LOG;
+        this.actions = ['create', 'update', 'delete'];
+
+        Utils.log('info', 'AuditLog initialized');
+    }
+
+    // Build one log entry. before/after are transactions.csv rows (null for create/delete respectively).
+    createEntry({ action, before = null, after = null, user, reason }) {
+        if (!this.actions.includes(action)) {
+            throw new Error(`Unknown audit action "${action}"`);
+        }
+        if (!reason || !reason.trim()) {
+            throw new Error('A reason is required for every change to the transactions.');
+        }
+
+        return {
+            id: Utils.generateUUID(),
+            timestamp: new Date().toISOString(),
+            user: user || 'unknown',
+            action,
+            transactionId: (after || before).Id,
+            reason: reason.trim(),
+            changes: before && after ? this.diff(before, after) : [],
+            before,
+            after
+        };
+    }
+
+    // Fields whose value differs between two versions of a row (Splits is compared by content)
+    diff(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const text = value => typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '');
+        return [...fields].filter(field => {
+            const oldValue = before ? before[field] : undefined;
+            const newValue = after ? after[field] : undefined;
+            return text(oldValue) !== text(newValue);
+        });
+    }
+
+    // Parse JSONL text. Unreadable lines are reported, not fatal.
+    parse(text) {
+        const entries = [];
+        const errors = [];
+
+        (text || '').split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                errors.push({ line: index + 1, message: `Invalid JSON: ${error.message}` });
+            }
+        });
+
+        if (errors.length > 0) {
+            Utils.log('warn', `${errors.length} line(s) in ${this.path} could not be read`, errors);
+        }
+        return { entries, errors };
+    }
+
+    // Append entries to existing log text
+    append(text, entries) {
+        const existing = text && !text.endsWith('\n') ? `${text}\n` : (text || '');
+        return existing + entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    }
+
+    // Read the log from the repository (fresh, unlike the published site)
+    async load(storage) {
+        const file = await storage.readFile(this.path);
+        return this.parse(file ? file.content : '').entries;
+    }
+
+    // Filter entries by transaction Id, user login and date range (Date objects or YYYY-MM-DD strings), newest first
+    filter(entries, { transactionId = '', user = '', from = null, to = null } = {}) {
+        const start = from ? new Date(from) : null;
+        const end = to ? new Date(to) : null;
+        if (end && typeof to === 'string') {
+            end.setDate(end.getDate() + 1); // Include the whole "to" day
+        }
+
+        return entries
+            .filter(entry => {
+                if (transactionId && entry.transactionId !== transactionId) return false;
+                if (user && entry.user.toLowerCase() !== user.toLowerCase()) return false;
+
+                const timestamp = new Date(entry.timestamp);
+                if (start && timestamp < start) return false;
+                if (end && timestamp >= end) return false;
+                return true;
+            })
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    getUsers(entries) {
+        return [...new Set(entries.map(entry => entry.user))].sort();
+    }
+}
+
+// Shared audit log instance (js/audit-log.js exposes it to the pages)
+export const auditLog = new AuditLog();
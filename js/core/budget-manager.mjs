@@ -0,0 +1,211 @@
+// js/core/budget-manager.mjs - Per-event budgets and budget-vs-actual comparison
+// Budgets live in data/budgets.json: planned income and expenses per event, split by category.
+// The annual per-category budget comes from CONFIG.ANNUAL_BUDGET.
+
+import { CONFIG } from './config.mjs';
+import { Utils } from './utils.mjs';
+import { Ledger } from './ledger.mjs';
+import { SummaryBuilder } from './summary-builder.mjs';
+import { commitWithRetry } from './storage.mjs';
+
+export class BudgetManager {
+    // dataManager supplies the transactions to compare against; source is where load() reads budgets.json
+    constructor(dataManager, { source = null } = {}) {
+        this.dataManager = dataManager;
+        this.source = source;
+        this.budgets = this.emptyBudgets();
+
+        Utils.log('info', 'BudgetManager initialized');
+    }
+
+    emptyBudgets() {
+        return { version: 1, events: {} };
+    }
+
+    // Load budgets.json from the source given to the constructor, or fresh from the repository when a
+    // storage is given (a missing file means no budgets yet)
+    async load(source = this.source) {
+        const file = await source.readFile(CONFIG.DATA_FILES.BUDGETS);
+        this.budgets = this.normalizeBudgets(file ? JSON.parse(file.content) : {});
+        Utils.log('info', 'Budgets loaded', { events: Object.keys(this.budgets.events).length });
+        return this.budgets;
+    }
+
+    normalizeBudgets(data) {
+        return { ...this.emptyBudgets(), ...data, events: { ...(data && data.events) } };
+    }
+
+    getEventNames() {
+        return Object.keys(this.budgets.events).sort();
+    }
+
+    getEventBudget(event) {
+        return this.budgets.events[event] || null;
+    }
+
+    // Check a budget entered in the editor: { income: { category: amount }, expenses: { category: amount }, notes }
+    validateBudget(budget) {
+        const errors = [];
+
+        ['income', 'expenses'].forEach(side => {
+            Object.entries(budget[side] || {}).forEach(([category, amount]) => {
+                if (!category.trim()) {
+                    errors.push(`A planned ${side === 'income' ? 'income' : 'expense'} line has no category`);
+                }
+                if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
+                    errors.push(`Planned ${side === 'income' ? 'income' : 'expense'} for ${category || 'a category'} must be a positive amount`);
+                }
+            });
+        });
+
+        if (Object.keys(budget.income || {}).length === 0 && Object.keys(budget.expenses || {}).length === 0) {
+            errors.push('Add at least one planned income or expense line');
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    // Save (or with budget = null, remove) one event's budget, leaving the other events in the latest
+    // budgets.json as they are
+    async saveEventBudget(event, budget, storage, { author } = {}) {
+        if (budget) {
+            const check = this.validateBudget(budget);
+            if (!check.isValid) {
+                throw new Error(check.errors.join('\n'));
+            }
+        }
+
+        let budgets;
+        const commit = await commitWithRetry(storage, async head => {
+            const file = await storage.readFile(CONFIG.DATA_FILES.BUDGETS, head);
+            budgets = this.normalizeBudgets(file ? JSON.parse(file.content) : {});
+
+            if (budget) {
+                budgets.events[event] = {
+                    income: budget.income || {},
+                    expenses: budget.expenses || {},
+                    notes: budget.notes || '',
+                    updatedBy: author || null,
+                    updatedAt: new Date().toISOString()
+                };
+            } else {
+                delete budgets.events[event];
+            }
+
+            return {
+                files: [{ path: CONFIG.DATA_FILES.BUDGETS, content: JSON.stringify(budgets, null, 2) + '\n' }],
+                message: `${budget ? 'Update' : 'Remove'} budget for ${event}` + (author ? ` (by @${author})` : ''),
+                expectedShas: { [CONFIG.DATA_FILES.BUDGETS]: file ? file.sha : null }
+            };
+        });
+
+        this.budgets = budgets;
+        Utils.log('info', 'Budget saved', { event, commit: commit.sha });
+        return { commit };
+    }
+
+    // Planned vs actual for one side of a budget. variance is actual - planned, so for expenses a
+    // positive variance is an overspend and for income a negative variance is a shortfall.
+    compareLine(planned, actual) {
+        const round = SummaryBuilder.round;
+        return {
+            planned: round(planned),
+            actual: round(actual),
+            variance: round(actual - planned),
+            percentUsed: planned > 0 ? Math.round((actual / planned) * 1000) / 10 : null
+        };
+    }
+
+    // Spending so far against CONFIG.ANNUAL_BUDGET for one financial year (see Utils.dateRange.financialYear).
+    // expectedPercent is how far through the year `now` is, so categories burning faster than that stand out.
+    compareAnnual(transactions = this.dataManager.transactions, year = Utils.dateRange.financialYear(), now = new Date()) {
+        const elapsed = Math.min(1, Math.max(0, (now - year.start) / (year.end - year.start)));
+        const expectedPercent = Math.round(elapsed * 1000) / 10;
+
+        const spent = {};
+        const inYear = transactions.filter(transaction => Utils.dateRange.isInRange(transaction.Date, year.start, year.end));
+        SummaryBuilder.breakdown(inYear, transaction => transaction.Category).forEach(group => {
+            spent[group.key] = group.expenses;
+        });
+
+        const categories = Object.entries(CONFIG.ANNUAL_BUDGET)
+            .map(([category, budget]) => {
+                const line = this.compareLine(budget, spent[category] || 0);
+                return {
+                    category,
+                    ...line,
+                    remaining: SummaryBuilder.round(Math.max(0, -line.variance)),
+                    isOver: line.variance > 0,
+                    isAhead: line.percentUsed > expectedPercent
+                };
+            })
+            .sort((a, b) => b.percentUsed - a.percentUsed);
+
+        // Spending in categories with no annual budget
+        const unbudgeted = Object.entries(spent)
+            .filter(([category, amount]) => amount > 0 && !(category in CONFIG.ANNUAL_BUDGET))
+            .map(([category, amount]) => ({ category, actual: SummaryBuilder.round(amount) }))
+            .sort((a, b) => b.actual - a.actual);
+
+        const sum = field => categories.reduce((total, line) => total + line[field], 0);
+
+        return {
+            year,
+            expectedPercent,
+            categories,
+            unbudgeted,
+            total: this.compareLine(sum('planned'), sum('actual'))
+        };
+    }
+
+    // Budget vs actual for every budgeted event, trips running over first
+    compare(transactions = this.dataManager.transactions) {
+        return this.getEventNames()
+            .map(event => this.compareEvent(event, transactions))
+            .sort((a, b) => (b.isOverBudget - a.isOverBudget) || (b.expenses.percentUsed || 0) - (a.expenses.percentUsed || 0));
+    }
+
+    compareEvent(event, transactions = this.dataManager.transactions) {
+        const budget = this.getEventBudget(event) || { income: {}, expenses: {} };
+        // Split rows count towards each split's own event
+        const eventTransactions = transactions.flatMap(Ledger.parts).filter(transaction => transaction.Event === event);
+
+        // Actual income and expenses (positive) per category
+        const actual = { income: {}, expenses: {} };
+        SummaryBuilder.breakdown(eventTransactions, transaction => transaction.Category).forEach(group => {
+            if (group.income > 0) actual.income[group.key] = group.income;
+            if (group.expenses > 0) actual.expenses[group.key] = group.expenses;
+        });
+
+        const categories = [];
+        ['income', 'expenses'].forEach(side => {
+            const names = new Set([...Object.keys(budget[side] || {}), ...Object.keys(actual[side])]);
+            names.forEach(category => {
+                const line = this.compareLine(budget[side]?.[category] || 0, actual[side][category] || 0);
+                categories.push({
+                    category,
+                    side,
+                    ...line,
+                    isOver: side === 'expenses' && line.variance > 0
+                });
+            });
+        });
+
+        const sum = (side, field) => categories.filter(line => line.side === side).reduce((total, line) => total + line[field], 0);
+        const income = this.compareLine(sum('income', 'planned'), sum('income', 'actual'));
+        const expenses = this.compareLine(sum('expenses', 'planned'), sum('expenses', 'actual'));
+
+        return {
+            event,
+            income,
+            expenses,
+            plannedNet: SummaryBuilder.round(income.planned - expenses.planned),
+            actualNet: SummaryBuilder.round(income.actual - expenses.actual),
+            categories: categories.sort((a, b) => a.side.localeCompare(b.side) || b.planned - a.planned),
+            overCategories: categories.filter(line => line.isOver).map(line => line.category),
+            isOverBudget: expenses.variance > 0,
+            transactionCount: eventTransactions.length,
+            notes: budget.notes || ''
+        };
+    }
+}
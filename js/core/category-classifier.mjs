@@ -0,0 +1,118 @@
+// js/core/category-classifier.mjs - Category and event suggestions learned from past transactions
+// A naive Bayes classifier trained on the Category and Event columns of transactions.csv. A transaction is
+// described by the words of its description plus its amount band and direction (money in or out), so
+// "YHA Edale" at £240 out looks like the hostel bookings already recorded. Everything runs in memory from
+// the loaded transactions - there is no model file - and the dashboard retrains it after every save.
+
+import { Utils } from './utils.mjs';
+import { Ledger } from './ledger.mjs';
+
+export class CategoryClassifier {
+    constructor() {
+        this.models = { category: null, event: null };
+        this.examples = 0;
+
+        // Upper bounds (£) of the amount bands; anything larger is in the last band
+        this.amountBands = [10, 25, 50, 100, 250, 500, 1000];
+
+        // Words too common to say anything about a category
+        this.stopWords = new Set(['the', 'and', 'for', 'from', 'with', 'of', 'to', 'in', 'on', 'at', 'by', 'ltd']);
+
+        Utils.log('info', 'CategoryClassifier initialized');
+    }
+
+    // Learn from transactions.csv rows. A split row counts once per split, with the split's own amount,
+    // category and event; Uncategorized rows teach nothing about categories.
+    train(transactions) {
+        const parts = transactions.flatMap(transaction => Ledger.parts(transaction));
+        const examples = parts.map(part => ({ features: this.features(part), category: part.Category, event: part.Event || 'General' }));
+
+        this.models = {
+            category: this.buildModel(examples.filter(example => example.category && example.category !== 'Uncategorized'), 'category'),
+            event: this.buildModel(examples, 'event')
+        };
+        this.examples = examples.length;
+
+        Utils.log('info', 'Category classifier trained', {
+            examples: this.examples,
+            categories: Object.keys(this.models.category.labels).length,
+            events: Object.keys(this.models.event.labels).length
+        });
+        return this.models;
+    }
+
+    // Word counts per label: { labels: { label: { documents, features: { feature: count }, total } }, vocabulary, documents }
+    buildModel(examples, field) {
+        const model = { labels: {}, vocabulary: new Set(), documents: examples.length };
+
+        examples.forEach(example => {
+            const label = model.labels[example[field]] ||= { documents: 0, features: {}, total: 0 };
+            label.documents++;
+            example.features.forEach(feature => {
+                label.features[feature] = (label.features[feature] || 0) + 1;
+                label.total++;
+                model.vocabulary.add(feature);
+            });
+        });
+
+        return model;
+    }
+
+    // Description words (lower case, no numbers or stop words), amount band and direction. Takes a review row
+    // ({ description, amount, type } with a positive amount) or a transactions.csv row (signed Amount).
+    features(transaction) {
+        const description = String(transaction.description ?? transaction.Description ?? '');
+        const amount = parseFloat(transaction.amount ?? transaction.Amount);
+        const type = transaction.type ?? transaction.Type;
+
+        const words = description.toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 1 && !/^\d+$/.test(word) && !this.stopWords.has(word));
+        const features = [...new Set(words)];
+
+        if (!isNaN(amount)) {
+            const band = this.amountBands.find(limit => Math.abs(amount) <= limit);
+            features.push(`amount:${band === undefined ? `over-${this.amountBands[this.amountBands.length - 1]}` : `to-${band}`}`);
+        }
+        const direction = type === 'Income' || type === 'Expense' ? type : (isNaN(amount) ? null : (amount > 0 ? 'Income' : 'Expense'));
+        if (direction) {
+            features.push(`type:${direction}`);
+        }
+
+        return features;
+    }
+
+    // Labels for a transaction, most likely first: [{ label, probability }]. Empty when the model is untrained
+    // or none of the description's words have been seen before - the amount alone is not enough to go on.
+    rank(model, transaction) {
+        if (!model || model.documents === 0) return [];
+
+        const features = this.features(transaction).filter(feature => model.vocabulary.has(feature));
+        if (!features.some(feature => !feature.includes(':'))) return [];
+
+        // Log-probabilities with add-one smoothing, then normalised so the probabilities add up to 1
+        const vocabularySize = model.vocabulary.size;
+        const scores = Object.entries(model.labels).map(([label, counts]) => ({
+            label,
+            score: Math.log(counts.documents / model.documents) + features.reduce((sum, feature) =>
+                sum + Math.log(((counts.features[feature] || 0) + 1) / (counts.total + vocabularySize)), 0)
+        }));
+        const best = Math.max(...scores.map(entry => entry.score));
+        const total = scores.reduce((sum, entry) => sum + Math.exp(entry.score - best), 0);
+
+        return scores
+            .map(entry => ({ label: entry.label, probability: Math.exp(entry.score - best) / total }))
+            .sort((a, b) => b.probability - a.probability);
+    }
+
+    // Best category and event for a transaction: { category: { label, probability } or null, event: likewise }
+    predict(transaction) {
+        return {
+            category: this.rank(this.models.category, transaction)[0] || null,
+            event: this.rank(this.models.event, transaction)[0] || null
+        };
+    }
+}
+
+// Shared classifier instance (js/category-classifier.js exposes it to the pages)
+export const categoryClassifier = new CategoryClassifier();
@@ -0,0 +1,263 @@
+// js/core/claims-manager.mjs - Reimbursement claims for committee members who paid out of their own pocket
+// Claims live in data/claims.json. A claim is submitted with its receipt, approved or rejected by a
+// different committee member, and once paid becomes an Expense row in transactions.csv that it links to.
+
+import { CONFIG } from './config.mjs';
+import { Utils } from './utils.mjs';
+import { SummaryBuilder } from './summary-builder.mjs';
+import { auditLog } from './audit-log.mjs';
+import { commitWithRetry } from './storage.mjs';
+
+export class ClaimsManager {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.path = CONFIG.DATA_FILES.CLAIMS;
+        this.claims = this.emptyClaims();
+
+        // Status -> statuses it may move to
+        this.transitions = {
+            submitted: ['approved', 'rejected'],
+            approved: ['paid', 'rejected'],
+            rejected: [],
+            paid: []
+        };
+
+        Utils.log('info', 'ClaimsManager initialized');
+    }
+
+    emptyClaims() {
+        return { version: 1, claims: [] };
+    }
+
+    normalizeClaims(data) {
+        return { ...this.emptyClaims(), ...data, claims: [...((data && data.claims) || [])] };
+    }
+
+    // Read claims.json fresh from the repository (a missing file means no claims yet)
+    async load(storage) {
+        const file = await storage.readFile(this.path);
+        this.claims = this.normalizeClaims(file ? JSON.parse(file.content) : {});
+        Utils.log('info', 'Claims loaded', { claims: this.claims.claims.length });
+        return this.claims;
+    }
+
+    getClaim(id) {
+        return this.claims.claims.find(claim => claim.id === id) || null;
+    }
+
+    // Claims still owed to someone (submitted or approved), oldest first
+    getOutstanding() {
+        return this.claims.claims
+            .filter(claim => claim.status === 'submitted' || claim.status === 'approved')
+            .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+    }
+
+    // Total still owed per claimant: [{ claimant, name, amount, count }], largest first
+    getOutstandingByClaimant() {
+        const owed = {};
+        this.getOutstanding().forEach(claim => {
+            const line = owed[claim.claimant] || (owed[claim.claimant] = {
+                claimant: claim.claimant,
+                name: this.getMemberName(claim.claimant),
+                amount: 0,
+                count: 0
+            });
+            line.amount = SummaryBuilder.round(line.amount + claim.amount);
+            line.count++;
+        });
+        return Object.values(owed).sort((a, b) => b.amount - a.amount);
+    }
+
+    getMemberName(login) {
+        const member = login ? CONFIG.getCommitteeMember(login) : null;
+        return member ? member.name : (login || 'unknown');
+    }
+
+    // Next readable claim id (CLM-0001, ...) after the ones in `claims`
+    nextId(claims) {
+        const numbers = claims.map(claim => parseInt(String(claim.id).replace(/^CLM-/, ''), 10) || 0);
+        return `CLM-${String(Math.max(0, ...numbers) + 1).padStart(4, '0')}`;
+    }
+
+    // Check a claim entered in the form: { date, description, amount, category, event, receipt }
+    validateClaim(claim) {
+        const errors = [];
+
+        if (!Utils.parseDate(claim.date)) {
+            errors.push('Enter the date you paid');
+        }
+        if (!String(claim.description || '').trim()) {
+            errors.push('Describe what the money was spent on');
+        }
+        if (typeof claim.amount !== 'number' || isNaN(claim.amount) || claim.amount <= 0) {
+            errors.push('The amount must be more than zero');
+        }
+        if (!CONFIG.getAllCategories().includes(claim.category)) {
+            errors.push('Choose a category');
+        }
+        if (!claim.receipt || !claim.receipt.fileName) {
+            errors.push('Attach a receipt');
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    // Why `login` may not move `claim` to `status`, or null when it can
+    checkAction(claim, status, login) {
+        if (!login || !CONFIG.isCommitteeMember(login)) {
+            return 'Only committee members can act on claims';
+        }
+        if (!this.transitions[claim.status].includes(status)) {
+            return `A ${claim.status} claim cannot be marked ${status}`;
+        }
+        if ((status === 'approved' || status === 'rejected') && claim.claimant.toLowerCase() === login.toLowerCase()) {
+            return 'A claim must be approved or rejected by a different committee member';
+        }
+        return null;
+    }
+
+    // Submit a new claim for the signed-in member. attachment is the receipt from AttachmentStore.prepare,
+    // committed with the claim and linked from claim.receipt.attachment.
+    async submitClaim(claim, storage, { author, attachment = null } = {}) {
+        const check = this.validateClaim(claim);
+        if (!check.isValid) {
+            throw new Error(check.errors.join('\n'));
+        }
+        if (!author || !CONFIG.isCommitteeMember(author)) {
+            throw new Error('Only committee members can submit claims');
+        }
+
+        return this.updateClaims(storage, claims => {
+            const now = new Date().toISOString();
+            const submitted = {
+                id: this.nextId(claims),
+                claimant: author,
+                date: Utils.formatDate(Utils.parseDate(claim.date)),
+                description: claim.description.trim(),
+                amount: SummaryBuilder.round(claim.amount),
+                category: claim.category,
+                event: claim.event || 'General',
+                receipt: { ...claim.receipt, attachment: attachment ? attachment.name : null },
+                status: 'submitted',
+                submittedAt: now,
+                history: [{ status: 'submitted', by: author, at: now, note: '' }],
+                transactionId: null
+            };
+            claims.push(submitted);
+
+            return {
+                claim: submitted,
+                message: `Submit claim ${submitted.id}: ${submitted.description} (${submitted.amount.toFixed(2)}) (by @${author})`
+            };
+        }, attachment ? [attachment] : []);
+    }
+
+    async approveClaim(id, storage, { author } = {}) {
+        return this.changeStatus(id, 'approved', storage, { author });
+    }
+
+    async rejectClaim(id, reason, storage, { author } = {}) {
+        if (!reason || !reason.trim()) {
+            throw new Error('Give a reason for rejecting the claim');
+        }
+        return this.changeStatus(id, 'rejected', storage, { author, note: reason.trim() });
+    }
+
+    // Record an approval or rejection on the latest claims.json
+    async changeStatus(id, status, storage, { author, note = '' } = {}) {
+        return this.updateClaims(storage, claims => {
+            const claim = this.findClaim(claims, id);
+            const problem = this.checkAction(claim, status, author);
+            if (problem) throw new Error(problem);
+
+            this.recordStatus(claim, status, author, note);
+            return {
+                claim,
+                message: `${status === 'approved' ? 'Approve' : 'Reject'} claim ${claim.id} from @${claim.claimant} (by @${author})` +
+                    (note ? `\n\nReason: ${note}` : '')
+            };
+        });
+    }
+
+    // Pay an approved claim: add the Expense row (paid out of `account`) and mark the claim paid in one commit
+    async markPaid(id, storage, { author, account = CONFIG.ACCOUNTS.DEFAULT, date = new Date() } = {}) {
+        const result = await this.dataManager.commitLedgerChange(storage, (existing, related) => {
+            const file = related[this.path];
+            const claims = this.normalizeClaims(file ? JSON.parse(file.content) : {});
+            const claim = this.findClaim(claims.claims, id);
+            const problem = this.checkAction(claim, 'paid', author);
+            if (problem) throw new Error(problem);
+
+            const transaction = this.dataManager.normalizeEntry({
+                date,
+                description: `Reimbursement to ${this.getMemberName(claim.claimant)}: ${claim.description}`,
+                amount: claim.amount,
+                type: 'Expense',
+                category: claim.category,
+                event: claim.event,
+                reference: claim.id,
+                account,
+                attachments: claim.receipt.attachment ? [claim.receipt.attachment] : []
+            });
+            if (!transaction) {
+                throw new Error(`Claim ${claim.id} could not be turned into a valid transaction`);
+            }
+
+            claim.transactionId = transaction.Id;
+            this.recordStatus(claim, 'paid', author, `Paid from ${CONFIG.getAccountName(account)}`);
+
+            const approval = [...claim.history].reverse().find(step => step.status === 'approved');
+            const reason = `Reimbursement of claim ${claim.id}` + (approval ? `, approved by @${approval.by}` : '');
+
+            return {
+                transactions: [...existing, transaction],
+                auditEntries: [auditLog.createEntry({ action: 'create', after: transaction, user: author, reason })],
+                message: this.dataManager.buildCommitMessage([transaction], author, reason),
+                relatedFiles: [{ path: this.path, content: JSON.stringify(claims, null, 2) + '\n' }],
+                result: { claim, transaction, claims }
+            };
+        }, [this.path]);
+
+        this.claims = result.claims;
+        Utils.log('info', 'Claim paid', { claim: id, transaction: result.transaction.Id });
+        return result;
+    }
+
+    findClaim(claims, id) {
+        const claim = claims.find(item => item.id === id);
+        if (!claim) {
+            throw new Error(`Claim ${id} no longer exists. Please reload.`);
+        }
+        return claim;
+    }
+
+    recordStatus(claim, status, author, note = '') {
+        claim.status = status;
+        claim.history = [...(claim.history || []), { status, by: author, at: new Date().toISOString(), note }];
+    }
+
+    // Apply change(claims) to the latest claims.json and commit it, with any new attachments.
+    // change returns { claim, message }.
+    async updateClaims(storage, change, attachments = []) {
+        let data, claim;
+        const commit = await commitWithRetry(storage, async head => {
+            const file = await storage.readFile(this.path, head);
+            data = this.normalizeClaims(file ? JSON.parse(file.content) : {});
+            const changed = change(data.claims);
+            claim = changed.claim;
+
+            return {
+                files: [
+                    { path: this.path, content: JSON.stringify(data, null, 2) + '\n' },
+                    ...attachments.map(attachment => ({ path: attachment.path, base64: attachment.base64 }))
+                ],
+                message: changed.message,
+                expectedShas: { [this.path]: file ? file.sha : null }
+            };
+        });
+
+        this.claims = data;
+        Utils.log('info', 'Claims saved', { claim: claim.id, status: claim.status, commit: commit.sha });
+        return { commit, claim };
+    }
+}
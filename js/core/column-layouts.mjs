@@ -0,0 +1,120 @@
+// js/core/column-layouts.mjs - Statement column layouts learned from the treasurer's corrections
+// When a reviewed row's type or amount is corrected, the position of the amount the treasurer chose
+// shows where the Cash In / Cash Out column really is. The corrected columns are kept in
+// data/column-layouts.json under the document's header fingerprint (see PDFSpatialProcessor.headerFingerprint),
+// and the next document with the same header is read with them instead of guessing again.
+
+import { CONFIG } from './config.mjs';
+import { Utils } from './utils.mjs';
+import { commitWithRetry } from './storage.mjs';
+
+export class ColumnLayoutStore {
+    constructor() {
+        this.path = CONFIG.DATA_FILES.COLUMN_LAYOUTS;
+        this.layouts = this.emptyLayouts();
+
+        // Learned columns closer than this (PDF points) to the detected ones are not worth saving
+        this.tolerance = 5;
+
+        Utils.log('info', 'ColumnLayoutStore initialized');
+    }
+
+    emptyLayouts() {
+        return { version: 1, layouts: {} };
+    }
+
+    normalizeLayouts(data) {
+        return { ...this.emptyLayouts(), ...data, layouts: { ...(data && data.layouts) } };
+    }
+
+    // Read column-layouts.json fresh from the repository (a missing file means nothing learned yet)
+    async load(storage) {
+        const file = await storage.readFile(this.path);
+        this.layouts = this.normalizeLayouts(file ? JSON.parse(file.content) : {});
+        Utils.log('info', 'Column layouts loaded', { layouts: Object.keys(this.layouts.layouts).length });
+        return this.layouts;
+    }
+
+    // Learned layout for a header fingerprint: { columns, learnedFrom, corrections, updatedBy, updatedAt }
+    find(fingerprint) {
+        return (fingerprint && this.layouts.layouts[fingerprint]) || null;
+    }
+
+    // Work out corrected columns from the review. layout is the document's summary.columnLayout
+    // ({ fingerprint, columns }); extracted and reviewed are the rows before and after the treasurer's edits.
+    // Each reviewed row whose amount is one of the amounts read on its line places that amount's column:
+    // Cash In for income, Cash Out for expenses. Returns { fingerprint, columns, corrections }, or null when
+    // nothing was corrected or the corrections do not move any column.
+    learnFromCorrections(layout, extracted, reviewed) {
+        if (!layout || !layout.fingerprint) return null;
+
+        const corrected = reviewed.filter((row, index) => {
+            const original = extracted[index];
+            return original && (row.type !== original.type || Math.abs(Math.abs(row.amount) - original.amount) >= 0.005);
+        });
+        if (corrected.length === 0) return null;
+
+        const positions = { Income: [], Expense: [] };
+        reviewed.forEach((row, index) => {
+            const amounts = extracted[index]?.spatialInfo?.amounts || [];
+            const match = amounts.find(amount => Math.abs(amount.value - Math.abs(row.amount)) < 0.005);
+            if (match && positions[row.type]) {
+                positions[row.type].push(match.x);
+            }
+        });
+
+        const columns = { ...layout.columns };
+        if (positions.Income.length > 0) columns.cashInColumn = this.median(positions.Income);
+        if (positions.Expense.length > 0) columns.cashOutColumn = this.median(positions.Expense);
+
+        // A guessed column that turned out to be the other one (e.g. a lone amount column read as Cash Out
+        // that the treasurer marked as income) no longer exists
+        if (columns.cashInColumn !== null && columns.cashOutColumn !== null &&
+            Math.abs(columns.cashInColumn - columns.cashOutColumn) <= this.tolerance) {
+            if (positions.Income.length === 0) columns.cashInColumn = null;
+            else if (positions.Expense.length === 0) columns.cashOutColumn = null;
+        }
+
+        const moved = ['cashInColumn', 'cashOutColumn'].some(key =>
+            columns[key] !== null && columns[key] !== undefined &&
+            (layout.columns[key] === null || layout.columns[key] === undefined ||
+                Math.abs(columns[key] - layout.columns[key]) > this.tolerance));
+        if (!moved) return null;
+
+        return { fingerprint: layout.fingerprint, columns, corrections: corrected.length };
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Save a learned layout (from learnFromCorrections) on the latest column-layouts.json, replacing any
+    // earlier one for the same header
+    async saveLayout(learned, storage, { author, fileName = null } = {}) {
+        let data;
+        const commit = await commitWithRetry(storage, async head => {
+            const file = await storage.readFile(this.path, head);
+            data = this.normalizeLayouts(file ? JSON.parse(file.content) : {});
+
+            data.layouts[learned.fingerprint] = {
+                columns: learned.columns,
+                learnedFrom: fileName,
+                corrections: learned.corrections,
+                updatedBy: author || null,
+                updatedAt: new Date().toISOString()
+            };
+
+            return {
+                files: [{ path: this.path, content: JSON.stringify(data, null, 2) + '\n' }],
+                message: `Learn column layout for "${learned.fingerprint}"` + (author ? ` (by @${author})` : ''),
+                expectedShas: { [this.path]: file ? file.sha : null }
+            };
+        });
+
+        this.layouts = data;
+        Utils.log('info', 'Column layout saved', { fingerprint: learned.fingerprint, commit: commit.sha });
+        return { commit };
+    }
+}
@@ -0,0 +1,367 @@
+// js/core/config.mjs - Enhanced Configuration for UMHC Finance System
+// Updated with future-proof categories based on real transaction analysis
+// Shared by the pages (through js/config.js) and Node scripts, so nothing here may touch window or the DOM.
+
+export const CONFIG = {
+    // Application metadata
+    APP_NAME: 'UMHC Finance System',
+    VERSION: '1.1.0',
+    LAST_UPDATED: '2025-07-04',
+    
+    // GitHub OAuth Configuration
+    // NOTE: Will be updated when we implement OAuth in Phase 3
+    GITHUB: {
+        CLIENT_ID: 'not_configured_yet', // Will set this up in Phase 3
+        REDIRECT_PATH: '/admin-login.html',
+        REDIRECT_URI: null, // REDIRECT_PATH on the page's own origin, filled in by js/config.js
+        SCOPE: 'user:email repo', // repo lets the dashboard commit data files, also to a private repository
+        API_BASE: 'https://api.github.com',
+        
+        // Repository that holds the data/ folder - saves are committed here
+        REPO: {
+            OWNER: 'UMHC',
+            NAME: 'umhc-finance',
+            BRANCH: 'main'
+        }
+    },
+    
+    // Committee Members - UPDATE THIS ANNUALLY!
+    // Only these GitHub usernames can access admin features
+    COMMITTEE_MEMBERS: [
+        { 
+            github: 'umhc-treasurer-2025',
+            name: 'UMHC Treasurer', 
+            role: 'Treasurer',
+            email: 'treasurer@umhc.manchester.ac.uk',
+            year: '2025'
+        },
+        { 
+            github: 'umhc-president-2025',
+            name: 'UMHC President', 
+            role: 'President',
+            email: 'president@umhc.manchester.ac.uk',
+            year: '2025'
+        }
+        // Add more committee members as needed
+    ],
+    
+    // Data file paths (relative to repository root)
+    DATA_FILES: {
+        TRANSACTIONS: 'data/transactions.csv',
+        SUMMARY: 'data/summary.json',
+        AUDIT_LOG: 'data/audit-log.jsonl',
+        BUDGETS: 'data/budgets.json',
+        CLAIMS: 'data/claims.json',
+        DOCUMENT_TEMPLATES: 'data/document-templates.json',
+        COLUMN_LAYOUTS: 'data/column-layouts.json',
+        RULES: 'data/rules.json',
+        COMMITTEE_HISTORY: 'data/committee-history.json'
+    },
+    
+    // transactions.csv schema - bump VERSION and add a DataManager migration whenever columns change
+    TRANSACTIONS_SCHEMA: {
+        VERSION: 5,
+        VERSION_COLUMN: 'SchemaVersion'
+    },
+    
+    // Where the club's money is held. Every transaction belongs to one account; a Transfer moves money
+    // from its Account to its TransferAccount and is not income or expense.
+    ACCOUNTS: {
+        DEFAULT: 'su', // Account for rows written before accounts existed
+        LIST: [
+            { id: 'su', name: "Students' Union Account" },
+            { id: 'bank', name: 'Bank Account' },
+            { id: 'float', name: 'Trip Cash Float' },
+            { id: 'paypal', name: 'PayPal' },
+            { id: 'sumup', name: 'SumUp' }
+        ]
+    },
+    
+    // Enhanced Category System (Future-Proofed)
+    CATEGORIES: {
+        // Core operational categories (most transactions)
+        CORE: [
+            'Event Registration',
+            'Membership',
+            'Accommodation', 
+            'Transport',
+            'Equipment',
+            'Training',
+            'Food & Catering'
+        ],
+        
+        // Financial & administrative (money management)
+        FINANCIAL: [
+            'Grants & Funding',
+            'Refunds & Adjustments',
+            'Insurance',
+            'Administration',
+            'Internal Transfers'
+        ],
+        
+        // External & promotional (outreach activities)
+        EXTERNAL: [
+            'External Memberships',
+            'Technology & Communications',
+            'Marketing & Promotion',
+            'Professional Services'
+        ],
+        
+        // Specialized categories (add as needed)
+        SPECIALIZED: [
+            'Health & Safety',
+            'Penalties & Fines',
+            'Competition & Awards',
+            'Utilities & Facilities',
+            'Social Events',
+            'Merchandise'
+        ]
+    },
+    
+    // Financial (academic) year - the club year and committee terms run September to August
+    FINANCIAL_YEAR: {
+        START_MONTH: 9, // 1 = January ... 12 = December
+        
+        // Terms in year order; each runs until the next one starts, the last until the year ends
+        TERMS: [
+            { key: 'autumn', name: 'Autumn Term', startMonth: 9 },
+            { key: 'spring', name: 'Spring Term', startMonth: 1 },
+            { key: 'summer', name: 'Summer Term', startMonth: 4 }
+        ]
+    },
+    
+    // Annual spending budget per expense category for each financial year - UPDATE THIS ANNUALLY!
+    // Categories must come from CATEGORIES; ones left out have no budget.
+    ANNUAL_BUDGET: {
+        'Accommodation': 9500,
+        'Transport': 5000,
+        'Equipment': 8000,
+        'Training': 9000,
+        'Food & Catering': 600,
+        'Insurance': 1300,
+        'Administration': 750,
+        'Social Events': 1800,
+        'Merchandise': 400
+    },
+    
+    // External API endpoints
+    API_ENDPOINTS: {
+        CLAUDE: 'https://api.anthropic.com/v1/messages',
+        OPENAI: 'https://api.openai.com/v1/chat/completions'
+        // Add other APIs as needed
+    },
+    
+    // AI Configuration
+    AI: {
+        PROVIDER: 'claude', // Options: 'claude', 'openai', 'google'
+        MODEL: 'claude-3-sonnet-20240229',
+        MAX_TOKENS: 1000,
+        CONFIDENCE_THRESHOLD: 0.7 // Minimum confidence for auto-acceptance
+    },
+    
+    // UI Configuration
+    UI: {
+        ITEMS_PER_PAGE: 20,
+        CHART_COLORS: {
+            INCOME: '#28a745',
+            EXPENSE: '#dc3545',
+            PRIMARY: '#667eea',
+            SECONDARY: '#764ba2',
+            // Category colors for better visualization
+            CATEGORY_COLORS: {
+                'Event Registration': '#28a745',
+                'Membership': '#17a2b8',
+                'Accommodation': '#fd7e14',
+                'Transport': '#6f42c1',
+                'Equipment': '#dc3545',
+                'Training': '#20c997',
+                'Food & Catering': '#ffc107',
+                'Grants & Funding': '#198754',
+                'Insurance': '#6c757d',
+                'Administration': '#495057',
+                'Social Events': '#e83e8c',
+                'External Memberships': '#0d6efd'
+            }
+        },
+        DATE_FORMAT: 'DD/MM/YYYY',
+        CURRENCY: 'GBP'
+    },
+    
+    // Session management
+    SESSION: {
+        DURATION: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
+        STORAGE_KEY: 'umhc_admin_session',
+        AUTO_LOGOUT_WARNING: 5 * 60 * 1000 // 5 minutes warning
+    },
+    
+    // File upload limits
+    UPLOAD: {
+        MAX_SIZE: 10 * 1024 * 1024, // 10MB
+        ALLOWED_TYPES: [
+            'application/pdf',
+            'image/png', 
+            'image/jpeg', 
+            'image/jpg',
+            'text/csv'
+        ],
+        // Machine-readable bank statements, parsed exactly by statement-parser.js
+        STATEMENT_EXTENSIONS: ['.ofx', '.qfx', '.qif', '.xml', '.sta', '.mt940', '.940']
+    },
+    
+    // Source documents (receipts, statements) kept with the transactions they back up.
+    // Files are stored once under DIRECTORY, named by the SHA-256 of their content.
+    ATTACHMENTS: {
+        DIRECTORY: 'data/attachments',
+        RECEIPT_THRESHOLD: 20 // Expenses of this much (£) or more should have a receipt attached
+    },
+    
+    // Feature flags (enable/disable features)
+    FEATURES: {
+        AI_EXTRACTION: true,
+        MANUAL_ENTRY: true,
+        BULK_IMPORT: true,
+        DATA_EXPORT: true,
+        AUDIT_TRAIL: true,
+        CATEGORY_SUGGESTIONS: true, // Categories and events from the rules in data/rules.json
+        THEME_TOGGLE: true, // For light/dark mode
+        EMAIL_NOTIFICATIONS: false // Future feature
+    },
+    
+    // Error messages and user feedback
+    MESSAGES: {
+        ERRORS: {
+            UNAUTHORIZED: 'Access denied. Please ensure you are a current committee member.',
+            INVALID_FILE: 'Invalid file type. Please upload a PDF or image file.',
+            NETWORK_ERROR: 'Network error. Please check your connection and try again.',
+            AI_PROCESSING: 'AI processing failed. Please try manual entry or contact support.',
+            SESSION_EXPIRED: 'Your session has expired. Please log in again.',
+            INVALID_CATEGORY: 'Please select a valid category for this transaction.',
+            DUPLICATE_TRANSACTION: 'This transaction may be a duplicate. Please verify.'
+        },
+        SUCCESS: {
+            LOGIN: 'Successfully logged in! Welcome to the admin dashboard.',
+            FILE_PROCESSED: 'File processed successfully! Review the extracted data below.',
+            DATA_SAVED: 'Transaction data saved successfully.',
+            LOGOUT: 'Successfully logged out.',
+            CATEGORY_SUGGESTED: 'Category automatically suggested based on transaction description.',
+            EXPORT_COMPLETE: 'Data exported successfully!'
+        }
+    },
+    
+    // Development and debugging
+    DEBUG: {
+        ENABLED: true, // Set to true for development
+        LOG_LEVEL: 'info', // 'debug', 'info', 'warn', 'error'
+        MOCK_DATA: false // Use mock data instead of real APIs
+    }
+};
+
+// Helper functions for enhanced functionality
+CONFIG.getAllCategories = function() {
+    return [
+        ...this.CATEGORIES.CORE,
+        ...this.CATEGORIES.FINANCIAL,
+        ...this.CATEGORIES.EXTERNAL,
+        ...this.CATEGORIES.SPECIALIZED
+    ].sort();
+};
+
+CONFIG.getCategoryColor = function(category) {
+    return this.UI.CHART_COLORS.CATEGORY_COLORS[category] || this.UI.CHART_COLORS.PRIMARY;
+};
+
+CONFIG.getAccountName = function(accountId) {
+    const account = this.ACCOUNTS.LIST.find(item => item.id === accountId);
+    return account ? account.name : accountId;
+};
+
+CONFIG.getCategoriesByGroup = function(group) {
+    return this.CATEGORIES[group] || [];
+};
+
+CONFIG.isCommitteeMember = function(githubUsername) {
+    return this.COMMITTEE_MEMBERS.some(member => 
+        member.github.toLowerCase() === githubUsername.toLowerCase()
+    );
+};
+
+CONFIG.getCommitteeMember = function(githubUsername) {
+    return this.COMMITTEE_MEMBERS.find(member => 
+        member.github.toLowerCase() === githubUsername.toLowerCase()
+    );
+};
+
+CONFIG.isFeatureEnabled = function(featureName) {
+    return this.FEATURES[featureName] === true;
+};
+
+CONFIG.log = function(level, message, data = null) {
+    if (!this.DEBUG.ENABLED) return;
+    
+    const levels = ['debug', 'info', 'warn', 'error'];
+    const currentLevelIndex = levels.indexOf(this.DEBUG.LOG_LEVEL);
+    const messageLevelIndex = levels.indexOf(level);
+    
+    if (messageLevelIndex >= currentLevelIndex) {
+        console[level](`[UMHC Finance] ${message}`, data || '');
+    }
+};
+
+// Enhanced validation functions
+CONFIG.validate = function() {
+    const errors = [];
+    
+    // Only check for actual development issues, not placeholder values during development
+    if (this.COMMITTEE_MEMBERS.length === 0) {
+        errors.push('No committee members configured');
+    }
+    
+    // Validate categories are properly configured
+    const allCategories = this.getAllCategories();
+    if (allCategories.length === 0) {
+        errors.push('No categories configured');
+    }
+    
+    // Check for duplicate categories
+    const duplicates = allCategories.filter((item, index) => allCategories.indexOf(item) !== index);
+    if (duplicates.length > 0) {
+        errors.push(`Duplicate categories found: ${duplicates.join(', ')}`);
+    }
+    
+    // Account ids must be unique and include the default account
+    const accountIds = this.ACCOUNTS.LIST.map(account => account.id);
+    if (new Set(accountIds).size !== accountIds.length) {
+        errors.push('Duplicate account ids in ACCOUNTS.LIST');
+    }
+    if (!accountIds.includes(this.ACCOUNTS.DEFAULT)) {
+        errors.push(`Default account "${this.ACCOUNTS.DEFAULT}" is not in ACCOUNTS.LIST`);
+    }
+    
+    // Budgeted categories must exist and budgets must be positive amounts
+    Object.entries(this.ANNUAL_BUDGET).forEach(([category, amount]) => {
+        if (!allCategories.includes(category)) {
+            errors.push(`Annual budget set for unknown category: ${category}`);
+        }
+        if (typeof amount !== 'number' || !(amount > 0)) {
+            errors.push(`Annual budget for ${category} must be a positive amount`);
+        }
+    });
+    
+    // Terms must start in year order, the first at the start of the financial year
+    const termOffsets = this.FINANCIAL_YEAR.TERMS.map(term => (term.startMonth - this.FINANCIAL_YEAR.START_MONTH + 12) % 12);
+    if (termOffsets[0] !== 0 || termOffsets.some((offset, index) => index > 0 && offset <= termOffsets[index - 1])) {
+        errors.push('FINANCIAL_YEAR.TERMS must start with the first month of the year and be in year order');
+    }
+    
+    // For development phase, don't validate OAuth setup yet
+    if (this.DEBUG.ENABLED) {
+        // In debug mode, just log info but don't treat as errors
+        CONFIG.log('info', 'Development mode - OAuth setup will be completed in Phase 3');
+        CONFIG.log('info', `Configured ${allCategories.length} categories across ${Object.keys(this.CATEGORIES).length} groups`);
+    }
+    
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+};
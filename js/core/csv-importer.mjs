@@ -0,0 +1,313 @@
+// js/core/csv-importer.mjs - CSV import with column mapping, preview and duplicate detection
+// Maps arbitrary bank/SU export columns onto Date,Description,Amount,Type,Category,Event,Reference.
+// Mapping profiles are kept in memory here; js/csv-importer.js keeps them in the browser's localStorage.
+
+import { CONFIG } from './config.mjs';
+import { Utils } from './utils.mjs';
+import { CSV } from './csv.mjs';
+import { rulesEngine } from './rules-engine.mjs';
+
+export class CSVImporter {
+    constructor(dataManager, { profiles = {}, rules = rulesEngine } = {}) {
+        this.dataManager = dataManager;
+        this.profiles = profiles;
+        this.rules = rules;
+
+        this.source = null; // { fileName, headers, rows, lineNumbers, errors, delimiter }
+        this.mapping = this.emptyMapping();
+
+        Utils.log('info', 'CSVImporter initialized');
+    }
+
+    // Fields a source column can be mapped onto
+    getTargetFields() {
+        return [
+            { key: 'date', label: 'Date', required: true },
+            { key: 'description', label: 'Description', required: true },
+            { key: 'amount', label: 'Signed amount (+ in / - out)' },
+            { key: 'credit', label: 'Credit / Cash In' },
+            { key: 'debit', label: 'Debit / Cash Out' },
+            { key: 'reference', label: 'Reference' },
+            { key: 'category', label: 'Category' },
+            { key: 'event', label: 'Event' }
+        ];
+    }
+
+    emptyMapping() {
+        return {
+            columns: {},          // target field -> source header
+            invertAmount: false   // for exports that list money out as positive
+        };
+    }
+
+    // Load a source file and guess a mapping (from a saved profile if one matches)
+    load(text, fileName = 'import.csv') {
+        const delimiter = this.detectDelimiter(text);
+        const parsed = CSV.parse(text, { delimiter });
+
+        this.source = { fileName, delimiter, ...parsed };
+
+        const profile = this.findProfileForHeaders(parsed.headers);
+        this.mapping = profile ? Utils.deepClone(profile.mapping) : this.guessMapping(parsed.headers);
+
+        Utils.log('info', 'Import file loaded', {
+            fileName,
+            rows: parsed.rows.length,
+            errors: parsed.errors.length,
+            profile: profile?.name || null
+        });
+
+        return { ...this.source, profile: profile?.name || null };
+    }
+
+    // Pick the delimiter that appears most in the header line
+    detectDelimiter(text) {
+        const headerLine = text.replace(/^\uFEFF/, '').split(/\r?\n/)[0] || '';
+        const candidates = [',', ';', '\t', '|'];
+        return candidates
+            .map(delimiter => ({ delimiter, count: headerLine.split(delimiter).length - 1 }))
+            .sort((a, b) => b.count - a.count)[0].delimiter;
+    }
+
+    // Guess which source column feeds each field from its header
+    guessMapping(headers) {
+        const hints = {
+            date: ['date', 'transaction date', 'posted', 'value date'],
+            description: ['description', 'details', 'narrative', 'memo', 'payee', 'name'],
+            amount: ['amount', 'value', 'net'],
+            credit: ['credit', 'cash in', 'paid in', 'money in', 'in'],
+            debit: ['debit', 'cash out', 'paid out', 'money out', 'out'],
+            reference: ['reference', 'ref', 'transaction id', 'id'],
+            category: ['category'],
+            event: ['event', 'trip']
+        };
+
+        const mapping = this.emptyMapping();
+        const used = new Set();
+
+        Object.entries(hints).forEach(([field, words]) => {
+            // Exact header matches win over partial ones
+            const normalized = headers.map(header => header.toLowerCase().trim());
+            let index = normalized.findIndex((header, i) => !used.has(i) && words.includes(header));
+            if (index === -1) {
+                index = normalized.findIndex((header, i) => !used.has(i) && words.some(word => word.length > 3 && header.includes(word)));
+            }
+            if (index !== -1) {
+                mapping.columns[field] = headers[index];
+                used.add(index);
+            }
+        });
+
+        return mapping;
+    }
+
+    setMapping(mapping) {
+        this.mapping = { ...this.emptyMapping(), ...mapping, columns: { ...mapping.columns } };
+    }
+
+    // Check the mapping has enough to build transactions
+    validateMapping(mapping = this.mapping) {
+        const errors = [];
+        const columns = mapping.columns;
+
+        if (!columns.date) errors.push('Map a column to Date');
+        if (!columns.description) errors.push('Map a column to Description');
+        if (!columns.amount && !columns.credit && !columns.debit) {
+            errors.push('Map a signed amount column, or credit and/or debit columns');
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    // Parse an amount as written in bank exports: "£1,234.50", "(12.00)", "-5", "12.00 DR"
+    parseAmount(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+        if (!text) return null;
+
+        const isNegative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[£$€\s]/g, '')) || /\bdr\b/i.test(text);
+        const cleaned = text.replace(/[^0-9.]/g, '');
+        if (!cleaned || isNaN(parseFloat(cleaned))) return null;
+
+        const amount = parseFloat(cleaned);
+        return isNegative ? -amount : amount;
+    }
+
+    // Build a transactions.csv-shaped row from one source row
+    mapRow(row, mapping = this.mapping) {
+        const columns = mapping.columns;
+        const get = field => (columns[field] ? (row[columns[field]] || '').trim() : '');
+
+        let amount = null;
+        if (columns.amount && get('amount')) {
+            amount = this.parseAmount(get('amount'));
+            if (amount !== null && mapping.invertAmount) amount = -amount;
+        } else {
+            const credit = this.parseAmount(get('credit'));
+            const debit = this.parseAmount(get('debit'));
+            if (credit) amount = Math.abs(credit);
+            else if (debit) amount = -Math.abs(debit);
+        }
+
+        const date = Utils.parseDate(get('date'));
+        const description = get('description');
+        const suggestion = this.rules.suggest({ date, description, amount, reference: get('reference') });
+
+        return {
+            Date: date ? Utils.formatDate(date) : get('date'),
+            Description: description,
+            Amount: amount === null ? '' : amount.toFixed(2),
+            Type: amount !== null && amount > 0 ? 'Income' : 'Expense',
+            Category: get('category') || suggestion.category || 'Uncategorized',
+            Event: get('event') || suggestion.event || 'General',
+            Reference: get('reference')
+        };
+    }
+
+    // Explain why validateTransaction would reject a row
+    describeInvalid(row) {
+        if (!row.Date) return 'Missing date';
+        if (!row.Description) return 'Missing description';
+        if (!row.Amount) return 'Missing or unreadable amount';
+        if (!Utils.validate.date(row.Date)) return `Unrecognised date "${row.Date}"`;
+        if (!Utils.validate.currency(parseFloat(row.Amount))) return `Invalid amount "${row.Amount}"`;
+        return 'Invalid transaction';
+    }
+
+    // Find an existing transaction this one probably repeats (same date and amount)
+    findDuplicate(transaction, existing) {
+        const amount = Number(transaction.Amount).toFixed(2);
+        const description = transaction.Description.toLowerCase();
+
+        let possible = null;
+        for (const other of existing) {
+            if (other.Date !== transaction.Date || Number(other.Amount).toFixed(2) !== amount) continue;
+
+            const otherDescription = other.Description.toLowerCase();
+            if (otherDescription === description) {
+                return { match: other, exact: true };
+            }
+            if (!possible) {
+                possible = { match: other, exact: false };
+            }
+        }
+
+        return possible;
+    }
+
+    // Build the preview: one entry per source row with status 'new', 'duplicate' or 'invalid'
+    buildPreview(mapping = this.mapping) {
+        if (!this.source) return [];
+
+        const existing = this.dataManager.transactions;
+        const accepted = [];
+
+        const preview = this.source.rows.map((row, index) => {
+            const mapped = this.mapRow(row, mapping);
+            const transaction = this.dataManager.validateTransaction(mapped);
+            const entry = {
+                line: this.source.lineNumbers[index],
+                source: row,
+                mapped,
+                transaction,
+                status: 'new',
+                reason: '',
+                duplicateOf: null,
+                include: true
+            };
+
+            if (!transaction) {
+                entry.status = 'invalid';
+                entry.reason = this.describeInvalid(mapped);
+                entry.include = false;
+                return entry;
+            }
+
+            // Check against the ledger and against earlier rows in this file
+            const inLedger = this.findDuplicate(transaction, existing);
+            const duplicate = inLedger || this.findDuplicate(transaction, accepted);
+            if (duplicate) {
+                entry.status = 'duplicate';
+                entry.reason = !inLedger ? 'Repeats an earlier row in this file'
+                    : duplicate.exact ? 'Already in transactions'
+                    : 'Same date and amount as an existing transaction';
+                entry.duplicateOf = duplicate.match;
+                entry.include = false;
+            } else {
+                accepted.push(transaction);
+            }
+
+            return entry;
+        });
+
+        // Rows the CSV parser could not read at all
+        this.source.errors.forEach(error => {
+            preview.push({
+                line: error.line,
+                source: null,
+                mapped: null,
+                transaction: null,
+                status: 'invalid',
+                reason: error.message,
+                duplicateOf: null,
+                include: false
+            });
+        });
+
+        return preview.sort((a, b) => a.line - b.line);
+    }
+
+    // Convert included preview rows to entries for DataManager.saveTransactions, all in one account
+    toEntries(preview, account = CONFIG.ACCOUNTS.DEFAULT) {
+        return preview
+            .filter(entry => entry.include && entry.transaction)
+            .map(({ transaction }) => ({
+                date: transaction.Date,
+                description: transaction.Description,
+                amount: Math.abs(transaction.Amount),
+                type: transaction.Amount > 0 ? 'Income' : 'Expense',
+                category: transaction.Category,
+                event: transaction.Event,
+                reference: transaction.Reference,
+                account: account
+            }));
+    }
+
+    // Saved mapping profiles, keyed by profile name
+    getProfiles() {
+        return this.profiles;
+    }
+
+    storeProfiles(profiles) {
+        this.profiles = profiles;
+    }
+
+    saveProfile(name, mapping = this.mapping) {
+        const profiles = this.getProfiles();
+        profiles[name] = {
+            name,
+            mapping: Utils.deepClone(mapping),
+            headers: this.source ? this.source.headers : [],
+            savedAt: new Date().toISOString()
+        };
+        this.storeProfiles(profiles);
+        Utils.log('info', 'Import profile saved', { name });
+        return profiles[name];
+    }
+
+    deleteProfile(name) {
+        const profiles = this.getProfiles();
+        delete profiles[name];
+        this.storeProfiles(profiles);
+    }
+
+    // A profile matches when its saved headers are the file's headers
+    findProfileForHeaders(headers) {
+        const fingerprint = headers.map(header => header.toLowerCase()).join('|');
+        return Object.values(this.getProfiles()).find(profile =>
+            profile.headers.map(header => header.toLowerCase()).join('|') === fingerprint
+        ) || null;
+    }
+}
+
+Utils.log('info', 'CSV importer loaded');
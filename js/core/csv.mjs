@@ -0,0 +1,208 @@
+// js/core/csv.mjs - RFC 4180 CSV parsing and writing for UMHC Finance System
+// Handles quoted fields, escaped quotes ("") and embedded newlines; can be fed in chunks
+
+// Streaming parser: call write() with chunks of text, then end().
+// onRecord(fields, line) receives every record with the line it started on;
+// onError({ line, message }) receives problems without stopping the parse.
+export class CSVParser {
+    constructor({ onRecord, onError = () => {}, delimiter = ',' } = {}) {
+        this.onRecord = onRecord;
+        this.onError = onError;
+        this.delimiter = delimiter;
+
+        this.state = 'fieldStart'; // fieldStart | unquoted | quoted | quoteInQuoted
+        this.fields = [];
+        this.field = '';
+        this.line = 1;
+        this.recordLine = 1;
+        this.skipLineFeed = false;
+        this.started = false;
+    }
+
+    // Feed the next chunk of text
+    write(chunk) {
+        let text = String(chunk);
+
+        // Strip a UTF-8 byte order mark at the very start of the input
+        if (!this.started) {
+            this.started = true;
+            if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+        }
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            // Second half of a \r\n line ending
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+
+            switch (this.state) {
+                case 'quoted':
+                    if (char === '"') {
+                        this.state = 'quoteInQuoted';
+                    } else {
+                        if (char === '\n') this.line++;
+                        this.field += char;
+                    }
+                    break;
+
+                case 'quoteInQuoted':
+                    if (char === '"') {
+                        // Escaped quote ("")
+                        this.field += '"';
+                        this.state = 'quoted';
+                    } else if (char === this.delimiter) {
+                        this.endField();
+                    } else if (char === '\n' || char === '\r') {
+                        this.endRecord(char);
+                    } else {
+                        this.onError({
+                            line: this.line,
+                            message: `Unexpected character "${char}" after closing quote`
+                        });
+                        this.field += char;
+                        this.state = 'unquoted';
+                    }
+                    break;
+
+                case 'fieldStart':
+                    if (char === '"') {
+                        this.state = 'quoted';
+                        break;
+                    }
+                    // falls through - any other character starts an unquoted field
+
+                default:
+                    if (char === this.delimiter) {
+                        this.endField();
+                    } else if (char === '\n' || char === '\r') {
+                        this.endRecord(char);
+                    } else {
+                        this.field += char;
+                        this.state = 'unquoted';
+                    }
+            }
+        }
+    }
+
+    // Flush the final record
+    end() {
+        if (this.state === 'quoted') {
+            this.onError({
+                line: this.recordLine,
+                message: 'Unterminated quoted field at end of file'
+            });
+        }
+
+        if (this.state !== 'fieldStart' || this.fields.length > 0) {
+            this.endRecord(null);
+        }
+    }
+
+    endField() {
+        this.fields.push(this.field);
+        this.field = '';
+        this.state = 'fieldStart';
+    }
+
+    endRecord(lineEnding) {
+        this.endField();
+
+        // A line with nothing on it is not a record
+        const isBlank = this.fields.length === 1 && this.fields[0] === '';
+        if (!isBlank) {
+            this.onRecord(this.fields, this.recordLine);
+        }
+
+        this.fields = [];
+        if (lineEnding !== null) {
+            this.line++;
+            this.skipLineFeed = lineEnding === '\r';
+        }
+        this.recordLine = this.line;
+    }
+}
+
+export const CSV = {
+    // Parse CSV text with a header row into objects.
+    // Returns { headers, rows, lineNumbers, errors } - lineNumbers[i] is the line rows[i] started on,
+    // and rows with the wrong number of fields are reported in errors rather than dropped silently.
+    parse: (text, options = {}) => {
+        const result = { headers: [], rows: [], lineNumbers: [], errors: [] };
+
+        const parser = CSV.createParser({
+            ...options,
+            onHeaders: headers => { result.headers = headers; },
+            onRow: (row, line) => {
+                result.rows.push(row);
+                result.lineNumbers.push(line);
+            },
+            onError: error => result.errors.push(error)
+        });
+
+        parser.write(text);
+        parser.end();
+
+        return result;
+    },
+
+    // Create a streaming parser that turns records into objects keyed by the header row
+    createParser: ({ onHeaders = () => {}, onRow, onError = () => {}, delimiter = ',' } = {}) => {
+        let headers = null;
+
+        return new CSVParser({
+            delimiter,
+            onError,
+            onRecord: (fields, line) => {
+                if (!headers) {
+                    headers = fields.map(header => header.trim());
+                    onHeaders(headers);
+                    return;
+                }
+
+                // Skip rows that are only delimiters (e.g. ",,,,")
+                if (fields.every(value => value.trim() === '')) return;
+
+                if (fields.length !== headers.length) {
+                    onError({
+                        line,
+                        message: `Expected ${headers.length} fields but found ${fields.length}`,
+                        fields
+                    });
+                    return;
+                }
+
+                const row = {};
+                headers.forEach((header, index) => {
+                    row[header] = fields[index];
+                });
+                onRow(row, line);
+            }
+        });
+    },
+
+    // Quote a single value if it needs it
+    formatValue: (value, delimiter = ',') => {
+        const text = value === null || value === undefined ? '' : String(value);
+        const needsQuotes = text.includes(delimiter) ||
+            /["\r\n]/.test(text) ||
+            text !== text.trim();
+
+        return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    // Format one record (array of values) as a CSV line
+    stringifyRow: (values, delimiter = ',') => {
+        return values.map(value => CSV.formatValue(value, delimiter)).join(delimiter);
+    },
+
+    // Write objects as CSV with a header row
+    stringify: (rows, headers, { delimiter = ',', newline = '\n' } = {}) => {
+        return [
+            CSV.stringifyRow(headers, delimiter),
+            ...rows.map(row => CSV.stringifyRow(headers.map(header => row[header]), delimiter))
+        ].join(newline);
+    }
+};
@@ -0,0 +1,870 @@
+// js/core/data-manager.mjs - Advanced data management for UMHC Finance System
+// Reads through any source with readFile(path) (see storage.mjs); js/data-manager.js adds the site source and downloads
+
+import { CONFIG } from './config.mjs';
+import { Utils } from './utils.mjs';
+import { CSV } from './csv.mjs';
+import { Ledger } from './ledger.mjs';
+import { SummaryBuilder } from './summary-builder.mjs';
+import { auditLog } from './audit-log.mjs';
+import { commitWithRetry } from './storage.mjs';
+
+export class DataManager {
+    constructor({ source = null } = {}) {
+        this.source = source;
+        this.transactions = [];
+        this.summary = {};
+        this.filteredTransactions = [];
+        this.loadErrors = [];
+        this.schemaVersion = CONFIG.TRANSACTIONS_SCHEMA.VERSION; // version of the file as loaded, before migration
+        this.isLoaded = false;
+        this.saveCallback = null; // called with the saved transactions after every commit
+        
+        // Cache for performance
+        this.cache = {
+            categoryTotals: null,
+            eventTotals: null,
+            monthlyTotals: null
+        };
+        
+        Utils.log('info', 'DataManager initialized');
+    }
+
+    // Set a function to call with the new transactions whenever a save is committed
+    setSaveCallback(callback) {
+        this.saveCallback = callback;
+    }
+
+    // Load all financial data
+    async loadData() {
+        try {
+            Utils.log('info', 'Loading financial data...');
+            
+            // Load transactions and summary in parallel for better performance
+            const [transactions, summary] = await Promise.all([
+                this.loadTransactions(),
+                this.loadSummary()
+            ]);
+            
+            this.transactions = transactions;
+            this.summary = summary;
+            this.filteredTransactions = [...this.transactions];
+            this.isLoaded = true;
+            
+            // Clear cache when new data is loaded
+            this.clearCache();
+            
+            Utils.log('info', 'Data loaded successfully', {
+                transactions: this.transactions.length,
+                summary: this.summary
+            });
+            
+            return {
+                transactions: this.transactions,
+                summary: this.summary
+            };
+            
+        } catch (error) {
+            Utils.log('error', 'Failed to load data', error);
+            throw error;
+        }
+    }
+
+    // Load transactions from CSV file
+    async loadTransactions() {
+        const file = await this.source.readFile(CONFIG.DATA_FILES.TRANSACTIONS);
+        if (!file) {
+            throw new Error(`Failed to load transactions: ${CONFIG.DATA_FILES.TRANSACTIONS} not found`);
+        }
+        
+        const csvText = file.content;
+        const { transactions, errors, schemaVersion } = this.parseTransactionsCSV(csvText);
+        
+        this.schemaVersion = schemaVersion;
+        if (schemaVersion < CONFIG.TRANSACTIONS_SCHEMA.VERSION) {
+            Utils.log('info', `${CONFIG.DATA_FILES.TRANSACTIONS} is schema v${schemaVersion}; it will be written as v${CONFIG.TRANSACTIONS_SCHEMA.VERSION} on the next save`);
+        }
+        
+        this.loadErrors = errors;
+        if (errors.length > 0) {
+            Utils.log('warn', `${errors.length} row(s) in ${CONFIG.DATA_FILES.TRANSACTIONS} could not be loaded`, errors);
+        }
+        
+        return transactions;
+    }
+
+    // Parse and validate transactions.csv text, upgrading older schema versions on the way.
+    // errors lists every row that was not loaded, with the line it starts on and why.
+    parseTransactionsCSV(csvText) {
+        const parsed = CSV.parse(csvText);
+        const errors = [...parsed.errors];
+        const transactions = [];
+
+        const version = this.detectSchemaVersion(parsed);
+        const rows = this.migrateRows(parsed.rows, version);
+
+        rows.forEach((row, index) => {
+            const { transaction, problem } = this.checkTransaction(row);
+            if (transaction) {
+                transactions.push(transaction);
+            } else {
+                errors.push({
+                    line: parsed.lineNumbers[index],
+                    message: problem,
+                    fields: Object.values(row)
+                });
+            }
+        });
+
+        errors.sort((a, b) => a.line - b.line);
+        return { transactions, errors, schemaVersion: version };
+    }
+
+    // Schema version of a parsed transactions.csv. Files from before versioning have no version column.
+    detectSchemaVersion(parsed) {
+        const column = CONFIG.TRANSACTIONS_SCHEMA.VERSION_COLUMN;
+        if (!parsed.headers.includes(column)) return 1;
+
+        const versions = parsed.rows.map(row => parseInt(row[column], 10)).filter(version => !isNaN(version));
+        const version = versions.length > 0 ? Math.max(...versions) : CONFIG.TRANSACTIONS_SCHEMA.VERSION;
+
+        if (version > CONFIG.TRANSACTIONS_SCHEMA.VERSION) {
+            throw new Error(`${CONFIG.DATA_FILES.TRANSACTIONS} uses schema version ${version}, but this page only understands ` +
+                `up to version ${CONFIG.TRANSACTIONS_SCHEMA.VERSION}. Please reload to get the latest version of the site.`);
+        }
+        return version;
+    }
+
+    // Upgrade rows one schema version at a time. migrations[n] turns version n rows into version n + 1.
+    migrateRows(rows, fromVersion) {
+        const migrations = {
+            // v1 -> v2: add a stable Id to every row (hashing the v1 columns, so Ids never change)
+            1: rows => this.assignLegacyIds(rows, ['Date', 'Description', 'Amount', 'Type', 'Category', 'Event', 'Reference']),
+            // v2 -> v3: add Account / TransferAccount; existing rows were all in the default account
+            2: rows => rows.map(row => ({
+                ...row,
+                Account: row.Account || CONFIG.ACCOUNTS.DEFAULT,
+                TransferAccount: row.TransferAccount || ''
+            })),
+            // v3 -> v4: add Splits (empty - no existing row is split)
+            3: rows => rows.map(row => ({ ...row, Splits: row.Splits || '' })),
+            // v4 -> v5: add Attachments (no documents were kept before)
+            4: rows => rows.map(row => ({ ...row, Attachments: row.Attachments || '' }))
+        };
+
+        let migrated = rows;
+        for (let version = fromVersion; version < CONFIG.TRANSACTIONS_SCHEMA.VERSION; version++) {
+            migrated = migrations[version](migrated);
+            Utils.log('info', `Migrated ${CONFIG.DATA_FILES.TRANSACTIONS} rows from schema v${version} to v${version + 1}`);
+        }
+        return migrated;
+    }
+
+    // Derive Ids for rows written before Ids existed. The Id is a hash of the row's content plus how
+    // many identical rows came before it, so every load of the same file produces the same Ids.
+    assignLegacyIds(rows, columns) {
+        const occurrences = {};
+        const used = new Set();
+
+        return rows.map(row => {
+            const content = CSV.stringifyRow(columns.map(column => (row[column] || '').trim()));
+            occurrences[content] = (occurrences[content] || 0) + 1;
+
+            let id;
+            let attempt = occurrences[content];
+            do {
+                id = `tx-${Utils.hashString(`${content}#${attempt}`)}`;
+                attempt++;
+            } while (used.has(id));
+            used.add(id);
+
+            return { Id: id, ...row };
+        });
+    }
+
+    // Find a transaction by its Id
+    getTransactionById(id) {
+        return this.transactions.find(transaction => transaction.Id === id) || null;
+    }
+
+    // Load summary from JSON file
+    async loadSummary() {
+        const file = await this.source.readFile(CONFIG.DATA_FILES.SUMMARY);
+        if (!file) {
+            throw new Error(`Failed to load summary: ${CONFIG.DATA_FILES.SUMMARY} not found`);
+        }
+        
+        return JSON.parse(file.content);
+    }
+
+    // Validate and clean transaction data
+    validateTransaction(transaction) {
+        return this.checkTransaction(transaction).transaction;
+    }
+
+    // validateTransaction, also saying why a row was rejected: { transaction, problem } with one of them null
+    checkTransaction(transaction) {
+        const reject = problem => {
+            Utils.log('warn', `Invalid transaction - ${problem}`, transaction);
+            return { transaction: null, problem };
+        };
+
+        try {
+            // Ensure required fields exist - an edited row carries Amount as a number, and 0 is a valid amount
+            const isBlank = value => value === undefined || value === null || value === '';
+            if (isBlank(transaction.Date) || isBlank(transaction.Description) || isBlank(transaction.Amount)) {
+                return reject('Missing date, description or amount');
+            }
+
+            // Check the amount as written - parseFloat would read "-28x5.00" as -28 and the next save would keep that
+            if (!Utils.validate.currency(String(transaction.Amount).trim())) {
+                return reject(`Invalid amount "${transaction.Amount}"`);
+            }
+
+            // Splits arrive as an array (forms) or JSON text (transactions.csv)
+            const splits = Ledger.splits(transaction);
+            if (typeof transaction.Splits === 'string' && transaction.Splits.trim() && splits.length === 0) {
+                return reject('Splits column could not be read');
+            }
+
+            // Clean and validate data
+            const type = transaction.Type?.trim() || (parseFloat(transaction.Amount) > 0 ? 'Income' : 'Expense');
+            const cleaned = {
+                Id: transaction.Id?.trim() || '',
+                Date: transaction.Date.trim(),
+                Description: transaction.Description.trim(),
+                Amount: parseFloat(transaction.Amount) || 0,
+                Type: type,
+                Category: transaction.Category?.trim() || (type === Ledger.TRANSFER ? 'Internal Transfers' : 'Uncategorized'),
+                Event: transaction.Event?.trim() || 'General',
+                Reference: transaction.Reference?.trim() || '',
+                Account: transaction.Account?.trim() || CONFIG.ACCOUNTS.DEFAULT,
+                TransferAccount: type === Ledger.TRANSFER ? (transaction.TransferAccount?.trim() || '') : '',
+                Splits: splits.map(split => ({
+                    amount: Math.round(Number(split.amount) * 100) / 100,
+                    category: String(split.category || '').trim(),
+                    event: String(split.event || '').trim() || 'General'
+                })),
+                Attachments: this.parseAttachments(transaction.Attachments)
+            };
+
+            // A split row's own Category and Event are those of its first split
+            if (cleaned.Splits.length > 0) {
+                cleaned.Category = cleaned.Splits[0].category || cleaned.Category;
+                cleaned.Event = cleaned.Splits[0].event;
+            }
+
+            // Transfers need two different accounts; splits must add up to the amount
+            const postingError = Ledger.checkRow(cleaned);
+            if (postingError) {
+                return reject(postingError);
+            }
+
+            // Validate date
+            if (!Utils.validate.date(cleaned.Date)) {
+                return reject(`Invalid date "${cleaned.Date}"`);
+            }
+
+            return { transaction: cleaned, problem: null };
+            
+        } catch (error) {
+            Utils.log('error', 'Error validating transaction', { transaction, error });
+            return { transaction: null, problem: error.message };
+        }
+    }
+
+    // Attachment file names (under CONFIG.ATTACHMENTS.DIRECTORY) from an array or the ;-separated CSV text
+    parseAttachments(value) {
+        const names = Array.isArray(value) ? value : String(value || '').split(';');
+        return [...new Set(names.map(name => String(name).trim()).filter(Boolean))];
+    }
+
+    // Filter transactions by various criteria
+    filterTransactions(filters = {}) {
+        if (!this.isLoaded) {
+            Utils.log('warn', 'Data not loaded yet');
+            return [];
+        }
+
+        let filtered = [...this.transactions];
+
+        // Date range filter
+        if (filters.startDate || filters.endDate) {
+            filtered = filtered.filter(transaction => {
+                const transactionDate = new Date(transaction.Date);
+                
+                if (filters.startDate && transactionDate < new Date(filters.startDate)) {
+                    return false;
+                }
+                
+                if (filters.endDate && transactionDate > new Date(filters.endDate)) {
+                    return false;
+                }
+                
+                return true;
+            });
+        }
+
+        // Predefined date range filter
+        if (filters.period) {
+            const dateRange = Utils.dateRange.forPeriod(filters.period);
+            if (dateRange) {
+                filtered = filtered.filter(transaction =>
+                    Utils.dateRange.isInRange(transaction.Date, dateRange.start, dateRange.end)
+                );
+            }
+        }
+
+        // Text search filter
+        if (filters.search) {
+            const searchTerm = filters.search.toLowerCase();
+            filtered = filtered.filter(transaction => 
+                transaction.Description.toLowerCase().includes(searchTerm) ||
+                transaction.Category.toLowerCase().includes(searchTerm) ||
+                transaction.Event.toLowerCase().includes(searchTerm) ||
+                transaction.Reference.toLowerCase().includes(searchTerm)
+            );
+        }
+
+        // Category filter (a split row matches any of its splits' categories)
+        if (filters.category && filters.category !== 'all') {
+            filtered = filtered.filter(transaction => Ledger.parts(transaction).some(part =>
+                part.Category.toLowerCase() === filters.category.toLowerCase()
+            ));
+        }
+
+        // Event filter (a split row matches any of its splits' events)
+        if (filters.event && filters.event !== 'all') {
+            filtered = filtered.filter(transaction => Ledger.parts(transaction).some(part =>
+                part.Event.toLowerCase() === filters.event.toLowerCase()
+            ));
+        }
+
+        // Account filter (a transfer matches both of its accounts)
+        if (filters.account && filters.account !== 'all') {
+            filtered = filtered.filter(transaction =>
+                transaction.Account === filters.account || transaction.TransferAccount === filters.account
+            );
+        }
+
+        // Type filter (Income/Expense/Transfer)
+        if (filters.type && filters.type !== 'all') {
+            filtered = filtered.filter(transaction => 
+                transaction.Type.toLowerCase() === filters.type.toLowerCase()
+            );
+        }
+
+        // Amount range filter
+        if (filters.minAmount !== undefined || filters.maxAmount !== undefined) {
+            filtered = filtered.filter(transaction => {
+                const amount = Math.abs(transaction.Amount);
+                
+                if (filters.minAmount !== undefined && amount < filters.minAmount) {
+                    return false;
+                }
+                
+                if (filters.maxAmount !== undefined && amount > filters.maxAmount) {
+                    return false;
+                }
+                
+                return true;
+            });
+        }
+
+        this.filteredTransactions = filtered;
+        return filtered;
+    }
+
+    // Sort transactions by various criteria
+    sortTransactions(sortBy = 'Date', order = 'desc') {
+        if (!this.isLoaded) return [];
+
+        return [...this.filteredTransactions].sort((a, b) => {
+            let aValue, bValue;
+
+            switch (sortBy) {
+                case 'Date':
+                    aValue = new Date(a.Date);
+                    bValue = new Date(b.Date);
+                    break;
+                case 'Amount':
+                    aValue = Math.abs(parseFloat(a.Amount));
+                    bValue = Math.abs(parseFloat(b.Amount));
+                    break;
+                case 'Description':
+                case 'Category':
+                case 'Event':
+                    aValue = a[sortBy].toLowerCase();
+                    bValue = b[sortBy].toLowerCase();
+                    break;
+                default:
+                    aValue = a[sortBy];
+                    bValue = b[sortBy];
+            }
+
+            if (aValue < bValue) return order === 'asc' ? -1 : 1;
+            if (aValue > bValue) return order === 'asc' ? 1 : -1;
+            return 0;
+        });
+    }
+
+    // Get unique values for filters
+    getUniqueValues(field) {
+        if (!this.isLoaded) return [];
+        
+        // Split rows contribute each split's Category and Event
+        const values = [...new Set(this.transactions.flatMap(Ledger.parts).map(t => t[field]))];
+        return values.filter(Boolean).sort();
+    }
+
+    // Financial (academic) years that have transactions, newest first
+    getFinancialYears() {
+        const years = new Map();
+        this.transactions.forEach(transaction => {
+            const date = Utils.parseDate(transaction.Date);
+            if (!date) return;
+            const year = Utils.dateRange.financialYear(date);
+            years.set(year.startYear, year);
+        });
+        return [...years.values()].sort((a, b) => b.startYear - a.startYear);
+    }
+
+    // Calculate totals for filtered transactions. Transfers are not income or expenses;
+    // accounts is the net movement of each account over the same transactions.
+    calculateTotals(transactions = this.filteredTransactions) {
+        return { ...SummaryBuilder.totals(transactions), accounts: Ledger.balances(transactions) };
+    }
+
+    // Balance of every configured account (plus any unknown account used in the file), from all transactions
+    getAccountBalances() {
+        const balances = Ledger.balances(this.transactions);
+        const ids = [...new Set([...CONFIG.ACCOUNTS.LIST.map(account => account.id), ...Object.keys(balances)])];
+
+        return ids.map(id => ({
+            account: id,
+            name: CONFIG.getAccountName(id),
+            balance: balances[id] || 0
+        }));
+    }
+
+    // Expenses of at least `threshold` with no document attached, largest first
+    getMissingReceipts(threshold = CONFIG.ATTACHMENTS.RECEIPT_THRESHOLD, transactions = this.transactions) {
+        return transactions
+            .filter(transaction => transaction.Type === 'Expense' && Math.abs(transaction.Amount) >= threshold)
+            .filter(transaction => transaction.Attachments.length === 0)
+            .sort((a, b) => a.Amount - b.Amount);
+    }
+
+    // Running balance of one account in date order: [{ transaction, amount, balance }]
+    getBalanceHistory(account) {
+        const ordered = [...this.transactions].sort((a, b) =>
+            (Utils.parseDate(a.Date) || 0) - (Utils.parseDate(b.Date) || 0)
+        );
+        return Ledger.history(ordered, account);
+    }
+
+    // Get category breakdown
+    getCategoryBreakdown(transactions = this.filteredTransactions) {
+        if (this.cache.categoryTotals && transactions === this.filteredTransactions) {
+            return this.cache.categoryTotals;
+        }
+
+        const result = SummaryBuilder.breakdown(transactions, transaction => transaction.Category)
+            .map(({ key, ...data }) => ({ category: key, ...data }));
+
+        if (transactions === this.filteredTransactions) {
+            this.cache.categoryTotals = result;
+        }
+
+        return result;
+    }
+
+    // Get event breakdown
+    getEventBreakdown(transactions = this.filteredTransactions) {
+        if (this.cache.eventTotals && transactions === this.filteredTransactions) {
+            return this.cache.eventTotals;
+        }
+
+        const result = SummaryBuilder.breakdown(transactions, transaction => transaction.Event)
+            .map(({ key, ...data }) => ({ event: key, ...data }));
+
+        if (transactions === this.filteredTransactions) {
+            this.cache.eventTotals = result;
+        }
+
+        return result;
+    }
+
+    // Get monthly breakdown
+    getMonthlyBreakdown(transactions = this.filteredTransactions) {
+        if (this.cache.monthlyTotals && transactions === this.filteredTransactions) {
+            return this.cache.monthlyTotals;
+        }
+
+        const result = SummaryBuilder.monthly(transactions);
+
+        if (transactions === this.filteredTransactions) {
+            this.cache.monthlyTotals = result;
+        }
+
+        return result;
+    }
+
+    // Build summary.json contents from a set of transactions
+    buildSummary(transactions = this.transactions, previousSummary = {}) {
+        return SummaryBuilder.build(transactions, previousSummary);
+    }
+
+    // Where the loaded summary.json disagrees with transactions.csv (empty when consistent)
+    checkSummaryConsistency() {
+        return SummaryBuilder.compare(this.summary, this.transactions);
+    }
+
+    // Convert a form/extraction entry ({ date, description, amount, type, ... }) to a CSV row.
+    // Income is paid into entry.account; expenses and transfers (to entry.transferAccount) are paid out of it.
+    // entry.splits ([{ amount, category, event }], amounts positive like entry.amount) divides it up;
+    // entry.attachments lists the names of documents stored by AttachmentStore.
+    normalizeEntry(entry) {
+        const amount = Math.abs(parseFloat(entry.amount)) || 0;
+        const date = Utils.parseDate(entry.date);
+
+        return this.validateTransaction({
+            Id: entry.id || Utils.generateUUID(),
+            Date: date ? Utils.formatDate(date) : String(entry.date || ''),
+            Description: String(entry.description || ''),
+            Amount: (entry.type === 'Income' ? amount : -amount).toFixed(2),
+            Type: entry.type,
+            Category: entry.category,
+            Event: entry.event || 'General',
+            Reference: entry.reference || '',
+            Account: entry.account || CONFIG.ACCOUNTS.DEFAULT,
+            TransferAccount: entry.transferAccount || '',
+            Splits: (entry.splits || []).map(split => ({
+                amount: (entry.type === 'Income' ? 1 : -1) * Math.abs(parseFloat(split.amount) || 0),
+                category: split.category,
+                event: split.event || 'General'
+            })),
+            Attachments: entry.attachments || []
+        });
+    }
+
+    // Append new rows to existing ones, skipping rows that are already present
+    // (same Id, or identical content under a new Id - e.g. the same entry saved twice)
+    mergeTransactions(existing, incoming) {
+        const keyOf = transaction => CSV.stringifyRow(
+            this.toCSVValues(transaction, this.getContentColumns())
+        );
+        const seen = new Set(existing.map(keyOf));
+        const ids = new Set(existing.map(transaction => transaction.Id));
+        const merged = [...existing];
+        const added = [];
+        const skipped = [];
+
+        incoming.forEach(transaction => {
+            const key = keyOf(transaction);
+            if (seen.has(key) || ids.has(transaction.Id)) {
+                skipped.push(transaction);
+                return;
+            }
+            seen.add(key);
+            ids.add(transaction.Id);
+            merged.push(transaction);
+            added.push(transaction);
+        });
+
+        return { merged, added, skipped };
+    }
+
+    // Commit new transactions to data/transactions.csv (with a regenerated summary.json and audit entries).
+    // options.attachments are documents from AttachmentStore.prepare committed alongside them.
+    async saveTransactions(entries, storage, options = {}) {
+        const incoming = entries.map(entry => this.normalizeEntry(entry));
+        const invalid = incoming.filter(transaction => !transaction).length;
+        if (invalid > 0) {
+            throw new Error(`${invalid} transaction(s) have an invalid date or amount. Please correct them before saving.`);
+        }
+
+        const reason = options.note || 'Added from the admin dashboard';
+
+        return this.commitLedgerChange(storage, existing => {
+            const { merged, added, skipped } = this.mergeTransactions(existing, incoming);
+
+            return {
+                transactions: added.length > 0 ? merged : null,
+                auditEntries: added.map(after => auditLog.createEntry({ action: 'create', after, user: options.author, reason })),
+                message: options.message || this.buildCommitMessage(added, options.author, options.note),
+                attachments: added.length > 0 ? (options.attachments || []) : [],
+                result: { added, skipped }
+            };
+        });
+    }
+
+    // Change one existing transaction. changes holds CSV-shaped fields (Date, Description, Amount, ...);
+    // expected is the row as the user saw it, so edits on top of someone else's change are refused.
+    // attachments are newly uploaded documents that changes.Attachments refers to.
+    async updateTransaction(id, changes, storage, { author, reason, expected = null, attachments = [] } = {}) {
+        return this.commitLedgerChange(storage, existing => {
+            const index = this.findTransactionForChange(existing, id, expected);
+            const before = existing[index];
+            const after = this.validateTransaction({ ...before, ...changes, Id: before.Id });
+
+            if (!after) {
+                throw new Error('The edited transaction has a missing field, an invalid date or amount, or a transfer without two different accounts.');
+            }
+            if (auditLog.diff(before, after).length === 0) {
+                throw new Error('Nothing was changed.');
+            }
+
+            const transactions = [...existing];
+            transactions[index] = after;
+            const entry = auditLog.createEntry({ action: 'update', before, after, user: author, reason });
+
+            return {
+                transactions,
+                auditEntries: [entry],
+                message: this.buildChangeMessage(entry),
+                attachments,
+                result: { before, after }
+            };
+        });
+    }
+
+    // Remove one existing transaction
+    async deleteTransaction(id, storage, { author, reason, expected = null } = {}) {
+        return this.commitLedgerChange(storage, existing => {
+            const index = this.findTransactionForChange(existing, id, expected);
+            const before = existing[index];
+            const entry = auditLog.createEntry({ action: 'delete', before, user: author, reason });
+
+            return {
+                transactions: existing.filter((_, i) => i !== index),
+                auditEntries: [entry],
+                message: this.buildChangeMessage(entry),
+                result: { before }
+            };
+        });
+    }
+
+    // Locate the row being edited in the latest file and check nobody else changed it first
+    findTransactionForChange(transactions, id, expected) {
+        const index = transactions.findIndex(transaction => transaction.Id === id);
+        if (index === -1) {
+            throw new Error(`Transaction ${id} no longer exists - it may have been deleted by someone else. Please reload.`);
+        }
+
+        const contentKey = transaction => CSV.stringifyRow(this.toCSVValues(transaction, this.getContentColumns()));
+        if (expected && contentKey(transactions[index]) !== contentKey(expected)) {
+            throw new Error('This transaction was changed by someone else since the page loaded. Please reload and try again.');
+        }
+        return index;
+    }
+
+    // Read transactions.csv, summary.json and the audit log at the branch head, apply `change`, and commit all three.
+    // change(existing, related) returns { transactions, auditEntries, message, result, relatedFiles, attachments };
+    // transactions is null when there is nothing to commit. relatedPaths are other data files read at the same head
+    // and passed to change as { path: file or null }; any { path, content } it returns in relatedFiles lands in the
+    // same commit, as do attachments (prepared documents - content-addressed, so never a conflict).
+    // Retries with the latest data if someone else commits first. Refuses to save while transactions.csv has
+    // rows that fail validation, since they would be dropped from the rewritten file.
+    async commitLedgerChange(storage, change, relatedPaths = []) {
+        let changed, summary;
+        const commit = await commitWithRetry(storage, async head => {
+            const [csvFile, summaryFile, auditFile, ...relatedList] = await Promise.all([
+                storage.readFile(CONFIG.DATA_FILES.TRANSACTIONS, head),
+                storage.readFile(CONFIG.DATA_FILES.SUMMARY, head),
+                storage.readFile(CONFIG.DATA_FILES.AUDIT_LOG, head),
+                ...relatedPaths.map(path => storage.readFile(path, head))
+            ]);
+            const related = Object.fromEntries(relatedPaths.map((path, index) => [path, relatedList[index]]));
+
+            const parsed = csvFile
+                ? this.parseTransactionsCSV(csvFile.content)
+                : { transactions: [], errors: [] };
+
+            // The file is rewritten from the rows that could be read, so saving now would silently drop the rest
+            if (parsed.errors.length > 0) {
+                const lines = parsed.errors.slice(0, 5).map(error => `line ${error.line}: ${error.message}`).join('; ');
+                throw new Error(`${CONFIG.DATA_FILES.TRANSACTIONS} has ${parsed.errors.length} row(s) that cannot be read ` +
+                    `(${lines}${parsed.errors.length > 5 ? '; ...' : ''}). Fix them in the file before saving - ` +
+                    '"node scripts/finance.js validate" lists them all.');
+            }
+
+            const existing = parsed.transactions;
+            changed = change(existing, related);
+            const { transactions, auditEntries, message, relatedFiles = [], attachments = [] } = changed;
+
+            if (!transactions) {
+                return null;
+            }
+
+            const previousSummary = summaryFile ? JSON.parse(summaryFile.content) : {};
+            summary = this.buildSummary(transactions, previousSummary);
+
+            const files = [
+                { path: CONFIG.DATA_FILES.TRANSACTIONS, content: this.exportCSV(transactions) + '\n' },
+                { path: CONFIG.DATA_FILES.SUMMARY, content: JSON.stringify(summary, null, 2) + '\n' }
+            ];
+            const expectedShas = {
+                [CONFIG.DATA_FILES.TRANSACTIONS]: csvFile ? csvFile.sha : null,
+                [CONFIG.DATA_FILES.SUMMARY]: summaryFile ? summaryFile.sha : null
+            };
+            if (CONFIG.isFeatureEnabled('AUDIT_TRAIL')) {
+                files.push({ path: CONFIG.DATA_FILES.AUDIT_LOG, content: auditLog.append(auditFile ? auditFile.content : '', auditEntries) });
+                expectedShas[CONFIG.DATA_FILES.AUDIT_LOG] = auditFile ? auditFile.sha : null;
+            }
+            relatedFiles.forEach(file => {
+                files.push({ path: file.path, content: file.content });
+                expectedShas[file.path] = related[file.path] ? related[file.path].sha : null;
+            });
+            attachments.forEach(attachment => {
+                files.push({ path: attachment.path, base64: attachment.base64 });
+            });
+
+            return { files, message, expectedShas };
+        });
+
+        const { transactions, auditEntries, result } = changed;
+        if (!commit) {
+            return { commit: null, ...result };
+        }
+
+        this.transactions = transactions;
+        this.summary = summary;
+        this.filteredTransactions = [...transactions];
+        this.clearCache();
+        if (this.saveCallback) {
+            this.saveCallback(this.transactions);
+        }
+
+        Utils.log('info', 'Transactions saved', { changes: auditEntries.length, commit: commit.sha });
+        return { commit, auditEntries, ...result };
+    }
+
+    // Describe added rows in a commit message (note: e.g. a reconciliation override, kept with the change)
+    buildCommitMessage(transactions, author = null, note = null) {
+        const title = `Add ${transactions.length} transaction${transactions.length === 1 ? '' : 's'}` +
+            (author ? ` (by @${author})` : '');
+        const lines = transactions.map(t => `- ${t.Date} ${t.Description}: ${Number(t.Amount).toFixed(2)} [${t.Category}]`);
+        const noteText = note ? `\n\nNote: ${note}` : '';
+
+        return `${title}\n\n${lines.join('\n')}${noteText}\n\nSaved from the admin dashboard; summary.json regenerated.`;
+    }
+
+    // Describe an edit or deletion in a commit message
+    buildChangeMessage(entry) {
+        const row = entry.after || entry.before;
+        const verb = entry.action === 'delete' ? 'Delete' : 'Edit';
+        const format = (transaction, field) => field === 'Amount' ? Number(transaction[field]).toFixed(2) : transaction[field];
+        const fields = entry.changes.length > 0
+            ? `\n\nChanged: ${entry.changes.map(field => `${field} "${format(entry.before, field)}" -> "${format(entry.after, field)}"`).join(', ')}`
+            : '';
+
+        return `${verb} transaction ${row.Id} (by @${entry.user})\n\n` +
+            `${row.Date} ${row.Description}: ${Number(row.Amount).toFixed(2)}${fields}\n\nReason: ${entry.reason}`;
+    }
+
+    // Export data in various formats
+    exportData(format = 'csv', transactions = this.filteredTransactions) {
+        switch (format.toLowerCase()) {
+            case 'csv':
+                return this.exportCSV(transactions);
+            case 'json':
+                return this.exportJSON(transactions);
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    // Columns of transactions.csv, in file order
+    getColumns() {
+        return ['Id', ...this.getContentColumns(), 'Attachments', CONFIG.TRANSACTIONS_SCHEMA.VERSION_COLUMN];
+    }
+
+    // Columns that describe the transaction itself (everything except bookkeeping columns - Id, Attachments, version)
+    getContentColumns() {
+        return ['Date', 'Description', 'Amount', 'Type', 'Category', 'Event', 'Reference', 'Account', 'TransferAccount', 'Splits'];
+    }
+
+    // Values of a transaction in column order, with amounts in the 2-decimal file format
+    toCSVValues(transaction, columns = this.getColumns()) {
+        return columns.map(column => {
+            const value = transaction[column];
+            if (column === CONFIG.TRANSACTIONS_SCHEMA.VERSION_COLUMN) {
+                return CONFIG.TRANSACTIONS_SCHEMA.VERSION;
+            }
+            if (column === 'Amount' && typeof value === 'number') {
+                return value.toFixed(2);
+            }
+            if (column === 'Splits' && Array.isArray(value)) {
+                return value.length > 0 ? JSON.stringify(value) : '';
+            }
+            if (column === 'Attachments' && Array.isArray(value)) {
+                return value.join(';');
+            }
+            return value === null || value === undefined ? '' : value;
+        });
+    }
+
+    // Export as CSV (RFC 4180 - reads back losslessly through parseTransactionsCSV)
+    exportCSV(transactions = this.filteredTransactions) {
+        const columns = this.getColumns();
+        const rows = transactions.map(transaction => {
+            const values = this.toCSVValues(transaction);
+            return Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+        });
+
+        return CSV.stringify(rows, columns);
+    }
+
+    // Export as JSON
+    exportJSON(transactions = this.filteredTransactions) {
+        const exportData = {
+            exportDate: new Date().toISOString(),
+            totalTransactions: transactions.length,
+            summary: this.calculateTotals(transactions),
+            transactions: transactions
+        };
+
+        return JSON.stringify(exportData, null, 2);
+    }
+
+    // Clear cache
+    clearCache() {
+        this.cache = {
+            categoryTotals: null,
+            eventTotals: null,
+            monthlyTotals: null
+        };
+    }
+
+    // Get data for charts
+    getChartData() {
+        return {
+            monthly: this.getMonthlyBreakdown(),
+            categories: this.getCategoryBreakdown(),
+            events: this.getEventBreakdown(),
+            totals: this.calculateTotals()
+        };
+    }
+
+    // Search transactions with advanced options
+    searchTransactions(query, options = {}) {
+        if (!query || !this.isLoaded) return this.filteredTransactions;
+
+        const searchTerms = query.toLowerCase().split(' ').filter(term => term.length > 0);
+        
+        return this.filteredTransactions.filter(transaction => {
+            const searchableText = [
+                transaction.Description,
+                transaction.Category,
+                transaction.Event,
+                transaction.Reference,
+                Utils.formatCurrency(transaction.Amount),
+                Utils.formatDate(transaction.Date)
+            ].join(' ').toLowerCase();
+
+            // Check if all search terms are found
+            return searchTerms.every(term => searchableText.includes(term));
+        });
+    }
+}
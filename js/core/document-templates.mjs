@@ -0,0 +1,253 @@
+// js/core/document-templates.mjs - Statement layouts known to Expense365Parser
+// A template says how to recognise a layout (header keywords, column titles), how to pull transactions
+// out of it (regexes, or cells matched to the header's column titles) and how to tidy them afterwards.
+// Built-in templates cover the layouts the parser always handled; more can be added, or a built-in
+// replaced by id, in data/document-templates.json without touching the parser.
+
+import { CONFIG } from './config.mjs';
+import { Utils } from './utils.mjs';
+
+export class DocumentTemplateRegistry {
+    constructor() {
+        this.path = CONFIG.DATA_FILES.DOCUMENT_TEMPLATES;
+        this.templates = [];
+        this.builtInTemplates().forEach(template => this.register(template, 'built-in'));
+
+        Utils.log('info', 'DocumentTemplateRegistry initialized', { templates: this.templates.length });
+    }
+
+    // Templates shipped with the parser. Regexes may be RegExp literals here; JSON templates give
+    // { regex: 'source', flags: 'gm' } instead.
+    builtInTemplates() {
+        const date = /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/.source;
+        const amount = /([£$€]?\s*[\d,]+\.?\d*)/.source;
+
+        return [
+            {
+                id: 'expense365',
+                name: 'Students\' Union expense365 (Cash In / Cash Out)',
+                priority: 1,
+                detect: {
+                    keywords: ['expense365', 'cash in', 'cash out'],
+                    columns: ['Date', 'Description', 'Cash In', 'Cash Out'],
+                    minScore: 0.4
+                },
+                extract: {
+                    strategy: 'regex',
+                    patterns: [
+                        {
+                            name: 'cashInOutFormat',
+                            regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s*\|\s*([^|]+?)\s*\|\s*([£$€]?\s*[\d,]+\.\d{2}|)\s*\|\s*([£$€]?\s*[\d,]+\.\d{2}|)/gm,
+                            fields: ['date', 'description', 'cashIn', 'cashOut'],
+                            priority: 1
+                        },
+                        {
+                            name: 'expense365Standard',
+                            regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s+([^|]+?)(?:\s+\|\s+)?(?:([£$€]?\s*[\d,]+\.?\d*))?\s*(?:\|\s*)?(?:([£$€]?\s*[\d,]+\.?\d*))?/gm,
+                            fields: ['date', 'description', 'cashIn', 'cashOut'],
+                            priority: 2
+                        }
+                    ]
+                }
+            },
+            {
+                id: 'bank-statement',
+                name: 'Bank statement with payment codes',
+                priority: 3,
+                detect: {
+                    keywords: ['sort code', 'account number', 'FPR', 'BGC', 'DDR', 'CHQ', 'TFR'],
+                    minScore: 0.3
+                },
+                extract: {
+                    strategy: 'regex',
+                    patterns: [
+                        {
+                            name: 'bankStatement',
+                            regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s+(.+?)\s+(?:FPR|BGC|DDR|CHQ|TFR)\s+ref\s+(\d+)\s+([£$€]?\s*[\d,]+\.?\d*)/gmi,
+                            fields: ['date', 'description', 'reference', 'amount'],
+                            priority: 3
+                        }
+                    ]
+                }
+            },
+            {
+                // Used only when no other template recognises the document, so its broad patterns
+                // cannot take lines away from a layout-specific template
+                id: 'generic',
+                name: 'Unrecognised layout (date, description, amount)',
+                priority: 10,
+                detect: { fallback: true },
+                extract: {
+                    strategy: 'regex',
+                    patterns: [
+                        {
+                            name: 'tabularFormat',
+                            regex: new RegExp(`${date}\\s{2,}([^\\d£$€]+?)\\s{2,}${amount}`, 'gm'),
+                            fields: ['date', 'description', 'amount'],
+                            priority: 2
+                        },
+                        {
+                            name: 'genericPattern',
+                            regex: new RegExp(`${date}\\s+(.+?)\\s+${amount}\\s*$`, 'gm'),
+                            fields: ['date', 'description', 'amount'],
+                            priority: 10
+                        }
+                    ]
+                }
+            }
+        ];
+    }
+
+    // Load data/document-templates.json from a source (see storage.mjs; a missing file means no extra templates).
+    // Returns the problems found; templates with problems are skipped rather than failing the rest.
+    async load(source) {
+        const file = await source.readFile(this.path);
+        if (!file) {
+            return [];
+        }
+
+        return this.addTemplates(JSON.parse(file.content), this.path);
+    }
+
+    // Add the templates of a { version, templates: [...] } file, replacing built-ins with the same id
+    addTemplates(data, source) {
+        const problems = [];
+        ((data && data.templates) || []).forEach((template, index) => {
+            try {
+                this.register(template, source);
+            } catch (error) {
+                problems.push(`Template ${template.id || index + 1}: ${error.message}`);
+            }
+        });
+
+        if (problems.length > 0) {
+            Utils.log('warn', 'Some document templates were skipped', problems);
+        }
+        Utils.log('info', 'Document templates loaded', { source, templates: this.templates.length });
+        return problems;
+    }
+
+    register(template, source) {
+        const compiled = this.compile(template, source);
+        this.templates = [...this.templates.filter(existing => existing.id !== compiled.id), compiled]
+            .sort((a, b) => a.priority - b.priority);
+        return compiled;
+    }
+
+    get(id) {
+        return this.templates.find(template => template.id === id) || null;
+    }
+
+    // Check a template and fill in defaults, turning regex strings into RegExps
+    compile(template, source) {
+        if (!template || !template.id) {
+            throw new Error('A template needs an id');
+        }
+
+        const detect = { keywords: [], columns: [], minScore: 0.5, fallback: false, ...template.detect };
+        if (!detect.fallback && detect.keywords.length === 0 && detect.columns.length === 0) {
+            throw new Error('detect needs keywords or columns (or fallback: true)');
+        }
+
+        const extract = { strategy: 'regex', patterns: [], columns: {}, ...template.extract };
+        if (extract.strategy === 'regex') {
+            if (extract.patterns.length === 0) {
+                throw new Error('A regex template needs at least one pattern');
+            }
+            extract.patterns = extract.patterns.map((pattern, index) => ({
+                name: pattern.name || `${template.id}-${index + 1}`,
+                fields: pattern.fields || [],
+                priority: pattern.priority ?? 5,
+                category: pattern.category,
+                regex: this.toRegExp(pattern.regex, pattern.flags || 'gm')
+            }));
+        } else if (extract.strategy === 'spatial') {
+            // Field -> column title, e.g. { date: 'Date', description: 'Details', cashIn: 'Paid In' }
+            ['date', 'description'].forEach(field => {
+                if (!extract.columns[field]) {
+                    throw new Error(`A spatial template needs a "${field}" column`);
+                }
+            });
+            if (!extract.columns.amount && !extract.columns.cashIn && !extract.columns.cashOut) {
+                throw new Error('A spatial template needs an amount, cashIn or cashOut column');
+            }
+        } else {
+            throw new Error(`Unknown extraction strategy "${extract.strategy}"`);
+        }
+
+        if (template.postProcess && template.postProcess.categoryRules) {
+            throw new Error(`postProcess.categoryRules is no longer supported - add the keywords as rules in ${CONFIG.DATA_FILES.RULES}`);
+        }
+        const postProcess = {
+            descriptionReplacements: [],
+            skipLines: [],
+            ...template.postProcess
+        };
+        postProcess.descriptionReplacements = postProcess.descriptionReplacements.map(rule => ({
+            pattern: this.toRegExp(rule.pattern, rule.flags || 'gi'),
+            replacement: rule.replacement || ''
+        }));
+        postProcess.skipLines = postProcess.skipLines.map(line => this.toRegExp(line, 'i'));
+
+        return {
+            id: template.id,
+            name: template.name || template.id,
+            priority: template.priority ?? 5,
+            source,
+            detect,
+            extract,
+            postProcess
+        };
+    }
+
+    toRegExp(value, flags) {
+        if (value instanceof RegExp) return value;
+        if (typeof value !== 'string' || !value) {
+            throw new Error('Expected a regular expression string');
+        }
+        return new RegExp(value, flags); // A SyntaxError here names the bad pattern
+    }
+
+    // How well a template's heuristics fit the text: the share of its keywords found anywhere, with its
+    // column titles counting when they all appear on one line (the header row). 0 for fallbacks.
+    score(template, text) {
+        const { keywords, columns } = template.detect;
+        if (keywords.length === 0 && columns.length === 0) return 0;
+
+        const lower = text.toLowerCase();
+        const keywordHits = keywords.filter(keyword => lower.includes(keyword.toLowerCase())).length;
+        const header = columns.length > 0 ? this.findHeaderLine(text, columns) : null;
+        const columnHits = header === null ? 0 : columns.length;
+
+        return Math.round((keywordHits + columnHits) / (keywords.length + columns.length) * 100) / 100;
+    }
+
+    // Index of the first line containing every column title, or null
+    findHeaderLine(text, columns) {
+        const titles = columns.map(title => title.toLowerCase());
+        const index = text.split('\n').findIndex(line => {
+            const lower = line.toLowerCase();
+            return titles.every(title => lower.includes(title));
+        });
+        return index === -1 ? null : index;
+    }
+
+    // Template to parse `text` with: { template, score, scores }. The best-scoring template that
+    // reaches its minScore wins (ties go to the lower priority number); otherwise the fallback.
+    detect(text) {
+        const scores = this.templates
+            .filter(template => !template.detect.fallback)
+            .map(template => ({ id: template.id, score: this.score(template, text), template }));
+
+        const best = scores
+            .filter(entry => entry.score >= entry.template.detect.minScore)
+            .sort((a, b) => b.score - a.score || a.template.priority - b.template.priority)[0];
+        const template = best ? best.template : this.templates.find(candidate => candidate.detect.fallback) || null;
+
+        return {
+            template,
+            score: best ? best.score : 0,
+            scores: scores.map(({ id, score }) => ({ id, score }))
+        };
+    }
+}
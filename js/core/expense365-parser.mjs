@@ -1,97 +1,40 @@
-// js/expense365-parser.js - Specialized parser for expense365 financial statements
-// Optimized patterns for UMHC financial document formats
+// js/core/expense365-parser.mjs - Specialized parser for expense365 financial statements
+// Each document is matched to a layout from the DocumentTemplateRegistry, whose patterns or column
+// layout extract its transactions
 
-class Expense365Parser {
-    constructor() {
-        this.patterns = this.initializePatterns();
+import { Utils } from './utils.mjs';
+import { DocumentTemplateRegistry } from './document-templates.mjs';
+import { statementReconciler } from './statement-reconciler.mjs';
+import { rulesEngine } from './rules-engine.mjs';
+
+export class Expense365Parser {
+    constructor(templates = new DocumentTemplateRegistry(), rules = rulesEngine) {
+        this.templates = templates;
+        this.rules = rules;
         this.confidenceThresholds = {
             high: 0.85,
             medium: 0.65,
             low: 0.4
         };
         
-        Utils.log('info', 'Expense365Parser initialized with optimized patterns');
+        Utils.log('info', 'Expense365Parser initialized with document templates');
     }
 
-    // Initialize all extraction patterns
-    initializePatterns() {
-        return {
-            // Dedicated Cash In/Out format: Date | Description | Cash In | Cash Out
-            cashInOutFormat: {
-                regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s*\|\s*([^|]+?)\s*\|\s*([£$€]?\s*[\d,]+\.\d{2}|)\s*\|\s*([£$€]?\s*[\d,]+\.\d{2}|)/gm,
-                fields: ['date', 'description', 'cashIn', 'cashOut'],
-                priority: 1
-            },
-            
-            // Standard expense365 format: Date | Description | Cash In | Cash Out
-            expense365Standard: {
-                regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s+([^|]+?)(?:\s+\|\s+)?(?:([£$€]?\s*[\d,]+\.?\d*))?\s*(?:\|\s*)?(?:([£$€]?\s*[\d,]+\.?\d*))?/gm,
-                fields: ['date', 'description', 'cashIn', 'cashOut'],
-                priority: 2
-            },
-            
-            // Tabular format with clear columns
-            tabularFormat: {
-                regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s{2,}([^\d£$€]+?)\s{2,}([£$€]?\s*[\d,]+\.?\d*)/gm,
-                fields: ['date', 'description', 'amount'],
-                priority: 2
-            },
-            
-            // Bank statement format with reference numbers
-            bankStatement: {
-                regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s+(.+?)\s+(?:FPR|BGC|DDR|CHQ|TFR)\s+ref\s+(\d+)\s+([£$€]?\s*[\d,]+\.?\d*)/gmi,
-                fields: ['date', 'description', 'reference', 'amount'],
-                priority: 3
-            },
-            
-            // UMHC specific patterns
-            umhcMembership: {
-                regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s+(?:MEMBERSHIP|Member|UMHC).{0,50}?\s+([£$€]?\s*[\d,]+\.?\d*)/gmi,
-                fields: ['date', 'description', 'amount'],
-                category: 'Membership',
-                priority: 4
-            },
-            
-            // Event registration patterns
-            eventRegistration: {
-                regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s+(.{0,20}(?:WELSH\s*3000|TICKET|REGISTRATION|EVENT).{0,30}?)\s+([£$€]?\s*[\d,]+\.?\d*)/gmi,
-                fields: ['date', 'description', 'amount'],
-                category: 'Event Registration',
-                priority: 4
-            },
-            
-            // Transport related
-            transportPattern: {
-                regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s+(.{0,30}(?:MINIBUS|FUEL|DIESEL|TRANSPORT|COACH).{0,30}?)\s+([£$€]?\s*[\d,]+\.?\d*)/gmi,
-                fields: ['date', 'description', 'amount'],
-                category: 'Transport',
-                priority: 4
-            },
-            
-            // Accommodation patterns
-            accommodationPattern: {
-                regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s+(.{0,30}(?:HOSTEL|HOTEL|YHA|ACCOMMODATION|LODGE).{0,30}?)\s+([£$€]?\s*[\d,]+\.?\d*)/gmi,
-                fields: ['date', 'description', 'amount'],
-                category: 'Accommodation',
-                priority: 4
-            },
-            
-            // Generic pattern with amount at end
-            genericPattern: {
-                regex: /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})\s+(.+?)\s+([£$€]?\s*[\d,]+\.?\d*)\s*$/gm,
-                fields: ['date', 'description', 'amount'],
-                priority: 10
-            }
-        };
+    // Add the templates from data/document-templates.json in a source; returns any problems with them
+    async loadTemplates(source) {
+        return this.templates.load(source);
     }
 
-    // Parse document text and extract transactions
-    parseDocument(text, fileName = 'document') {
+    // Parse document text and extract transactions. The layout is detected unless templateId names one;
+    // metadata.template reports which template was used.
+    parseDocument(text, fileName = 'document', { templateId = null } = {}) {
         const results = {
             transactions: [],
+            balanceLines: [],
             parsingStats: {
                 totalMatches: 0,
                 patternMatches: {},
+                templateScores: [],
                 confidence: {
                     high: 0,
                     medium: 0,
@@ -108,25 +51,58 @@ class Expense365Parser {
         };
 
         try {
+            const detection = templateId
+                ? { template: this.templates.get(templateId), score: null, scores: [] }
+                : this.templates.detect(text);
+            const template = detection.template;
+            if (!template) {
+                throw new Error(templateId ? `Unknown document template "${templateId}"` : 'No document template matched');
+            }
+            results.metadata.template = { id: template.id, name: template.name, source: template.source, score: detection.score };
+            results.parsingStats.templateScores = detection.scores;
+            
             // Pre-process text for better pattern matching
             const processedText = this.preprocessText(text);
             
-            // Try patterns in priority order
-            const sortedPatterns = Object.entries(this.patterns)
-                .sort(([,a], [,b]) => a.priority - b.priority);
+            // Balance / brought-forward / carried-forward lines are kept for reconciliation, not parsed as rows
+            const balanceLineStarts = new Set();
+            let offset = 0;
+            for (const line of processedText.split('\n')) {
+                const balanceLine = statementReconciler.detectBalanceLine(line);
+                if (balanceLine) {
+                    results.balanceLines.push({ ...balanceLine, position: offset });
+                    balanceLineStarts.add(offset);
+                }
+                offset += line.length + 1;
+            }
+            
+            // Try the template's patterns in priority order, or read its columns
+            const passes = template.extract.strategy === 'spatial'
+                ? [this.extractWithColumns(text, template)]
+                : [...template.extract.patterns]
+                    .sort((a, b) => a.priority - b.priority)
+                    .map(pattern => ({ pattern, matches: this.extractWithPattern(processedText, pattern, pattern.name) }));
             
             const seenTransactions = new Set();
             
-            for (const [patternName, pattern] of sortedPatterns) {
-                const matches = this.extractWithPattern(processedText, pattern, patternName);
+            for (const { pattern, matches } of passes) {
+                const patternName = pattern.name;
                 results.parsingStats.patternMatches[patternName] = matches.length;
                 results.parsingStats.totalMatches += matches.length;
                 
                 // Process matches and avoid duplicates
                 for (const match of matches) {
-                    const transaction = this.parseTransaction(match, pattern, patternName);
+                    if (pattern.name !== 'columns') {
+                        const lineStart = processedText.lastIndexOf('\n', match.index) + 1;
+                        if (balanceLineStarts.has(lineStart)) continue;
+                        const lineEnd = processedText.indexOf('\n', match.index);
+                        if (this.isSkippedLine(processedText.slice(lineStart, lineEnd === -1 ? undefined : lineEnd), template)) continue;
+                    }
+                    
+                    const transaction = this.parseTransaction(match, pattern, patternName, template);
                     
                     if (transaction && this.isValidTransaction(transaction)) {
+                        transaction.position = match.index; // Statement order, kept through the date sort
                         const dedupeKey = this.getDedupeKey(transaction);
                         
                         if (!seenTransactions.has(dedupeKey)) {
@@ -148,6 +124,12 @@ class Expense365Parser {
                 }
             }
             
+            const opening = results.balanceLines.find(line => line.kind === 'opening');
+            const closing = [...results.balanceLines].reverse().find(line => line.kind === 'closing');
+            results.metadata.balanceLines = results.balanceLines;
+            results.metadata.openingBalance = opening ? opening.amount : null;
+            results.metadata.closingBalance = closing ? closing.amount : null;
+            
             // Sort transactions by date
             results.transactions.sort((a, b) => {
                 const dateA = this.parseDate(a.date);
@@ -157,6 +139,7 @@ class Expense365Parser {
             
             Utils.log('info', 'Expense365 parsing completed', {
                 transactions: results.transactions.length,
+                template: template.id,
                 patterns: Object.keys(results.parsingStats.patternMatches).length,
                 highConfidence: results.parsingStats.confidence.high
             });
@@ -194,10 +177,10 @@ class Expense365Parser {
             
             // Fix pipe separator variations (OCR may see | as other chars)
             .replace(/[│∣║¦]/g, '|')            // Various pipe-like characters
-            .replace(/\s*\|\s*/g, ' | ')        // Normalize spacing around pipes
+            .replace(/[ \t]*\|[ \t]*/g, ' | ')    // Normalize spacing around pipes (not across lines)
             
             // Clean up spacing around numbers and preserve decimal points
-            .replace(/(\d)\s+(\d)/g, '$1$2')
+            .replace(/(\d)[ \t]+(\d)/g, '$1$2')     // (not across lines - that would join rows)
             .replace(/(\d)\s*\.\s*(\d)/g, '$1.$2')
             .replace(/(\d)\s*,\s*(\d{3})/g, '$1,$2') // Thousands separator
             .replace(/(\d)\s*,\s*(\d{1,2})\b/g, '$1.$2') // Decimal separator
@@ -205,14 +188,12 @@ class Expense365Parser {
             // Fix date separators and normalize format
             .replace(/(\d{1,2})\s*[\/\-\.]\s*(\d{1,2})\s*[\/\-\.]\s*(\d{2,4})/g, '$1/$2/$3')
             
-            // Handle table structure - convert multiple spaces/tabs to pipes
-            .replace(/\t+/g, ' | ')             // Tabs to pipes
-            .replace(/ {3,}/g, ' | ')           // Multiple spaces to pipes
-            .replace(/\s*\|\s*\|\s*/g, ' | ')   // Multiple pipes to single pipe
+            // Handle table structure - a gap of tabs or 3+ spaces is a column break. Gaps next to a pipe were
+            // absorbed above, so "| |" left after this is an empty cell (the blank Cash In of a Cash Out row)
+            .replace(/[ \t]*(?:\t| {3})[ \t]*/g, ' | ')
             
             // Clean up pipe-separated structure for Cash In/Out format
-            .replace(/\|\s*£?\s*\|/g, '| |')    // Empty columns with currency symbols
-            .replace(/\|\s*\|\s*/g, '| |')      // Multiple consecutive pipes (empty cells)
+            .replace(/\|[ \t]*£?[ \t]*\|/g, '| |')  // Empty columns with currency symbols
             
             // Remove excessive whitespace while preserving structure
             .replace(/^\s+/gm, '')              // Leading whitespace on lines
@@ -243,8 +224,79 @@ class Expense365Parser {
         return matches;
     }
 
-    // Parse a transaction from a regex match
-    parseTransaction(match, pattern, patternName) {
+    // Template line filter: lines matching any of its skipLines (totals, page footers, ...) are ignored
+    isSkippedLine(line, template) {
+        return template.postProcess.skipLines.some(regex => regex.test(line));
+    }
+
+    // Spatial column layout: find the header row holding the template's column titles, then give each
+    // cell of the rows below to the column whose title it sits under. Cells are runs of text separated
+    // by two or more spaces, tabs or pipes. Returns { pattern, matches } like a regex pass.
+    extractWithColumns(text, template) {
+        const fieldTitles = Object.entries(template.extract.columns);
+        const pattern = { name: 'columns', fields: fieldTitles.map(([field]) => field), priority: 1 };
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const headerIndex = this.templates.findHeaderLine(lines.join('\n'), fieldTitles.map(([, title]) => title));
+        if (headerIndex === null) {
+            return { pattern, matches: [] };
+        }
+
+        const header = lines[headerIndex].toLowerCase();
+        const columns = fieldTitles.map(([field, title]) => {
+            const start = header.indexOf(title.toLowerCase());
+            return { field, start, end: start + title.length };
+        });
+
+        const matches = [];
+        let offset = lines.slice(0, headerIndex + 1).reduce((total, line) => total + line.length + 1, 0);
+        for (const line of lines.slice(headerIndex + 1)) {
+            const index = offset;
+            offset += line.length + 1;
+            if (!line.trim() || statementReconciler.detectBalanceLine(line) || this.isSkippedLine(line, template)) continue;
+
+            const values = columns.map(() => []);
+            this.cellsOf(line).forEach(cell => {
+                values[this.nearestColumn(cell, columns)].push(cell.text);
+            });
+
+            matches.push({
+                fullMatch: line.trim(),
+                groups: values.map(parts => parts.join(' ')),
+                index,
+                patternName: pattern.name
+            });
+        }
+
+        return { pattern, matches };
+    }
+
+    // Runs of text in a line with their character positions
+    cellsOf(line) {
+        const cells = [];
+        const spaced = line.replace(/[|\t]/g, ' ');
+        const regex = /\S+(?: \S+)*/g;
+        let match;
+        while ((match = regex.exec(spaced)) !== null) {
+            cells.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+        }
+        return cells;
+    }
+
+    // Index of the column a cell overlaps most, or failing that the one whose title is closest
+    nearestColumn(cell, columns) {
+        let best = 0, bestOverlap = -Infinity;
+        columns.forEach((column, index) => {
+            const overlap = Math.min(cell.end, column.end) - Math.max(cell.start, column.start);
+            if (overlap > bestOverlap) {
+                bestOverlap = overlap;
+                best = index;
+            }
+        });
+        return best;
+    }
+
+    // Parse a transaction from a regex match or column row, tidied by the template's post-processing
+    parseTransaction(match, pattern, patternName, template) {
         try {
             const transaction = {
                 date: null,
@@ -256,6 +308,7 @@ class Expense365Parser {
                 reference: '',
                 confidence: 0.5,
                 patternUsed: patternName,
+                template: template.id,
                 rawMatch: match.fullMatch
             };
 
@@ -328,6 +381,8 @@ class Expense365Parser {
                 // Only Cash Out (4th column) has value - Expense  
                 transaction.amount = transaction.cashOutValue;
                 transaction.type = 'Expense';
+            } else if (transaction.amount > 0 && !pattern.fields.includes('cashIn') && !pattern.fields.includes('cashOut')) {
+                // Single amount column - amount and type were set from it
             } else {
                 // Neither column has a valid currency amount - invalid transaction
                 return null;
@@ -337,13 +392,7 @@ class Expense365Parser {
             delete transaction.cashInValue;
             delete transaction.cashOutValue;
 
-            // Auto-categorize if not already set by pattern
-            if (transaction.category === 'Uncategorized') {
-                transaction.category = this.autoCategorizeFree(transaction.description);
-            }
-            
-            // Extract event information
-            transaction.event = this.extractEvent(transaction.description);
+            this.applyPostProcessing(transaction, template.postProcess);
             
             // Calculate confidence score
             transaction.confidence = this.calculateTransactionConfidence(transaction, match, pattern);
@@ -356,6 +405,25 @@ class Expense365Parser {
         }
     }
 
+    // Template rules, then the categorisation rules (data/rules.json) for anything still unset.
+    // postProcess: { descriptionReplacements, category, event, type }
+    applyPostProcessing(transaction, postProcess) {
+        postProcess.descriptionReplacements.forEach(({ pattern, replacement }) => {
+            transaction.description = transaction.description.replace(pattern, replacement).replace(/\s+/g, ' ').trim();
+        });
+        
+        if (postProcess.type === 'Income' || postProcess.type === 'Expense') {
+            transaction.type = postProcess.type;
+        }
+        
+        const suggestion = this.rules.suggest(transaction);
+        if (transaction.category === 'Uncategorized') {
+            transaction.category = postProcess.category || suggestion.category || 'Uncategorized';
+        }
+        
+        transaction.event = suggestion.event || postProcess.event || 'General';
+    }
+
     // Normalize date to DD/MM/YYYY format with enhanced OCR error handling
     normalizeDate(dateStr) {
         try {
@@ -431,8 +499,8 @@ class Expense365Parser {
             // Remove trailing numbers that might be amounts
             .replace(/\s+[\d,]+\.?\d*\s*$/, '')
             
-            // Clean up formatting
-            .replace(/[^\w\s£$€.,()&-]/g, '')
+            // Clean up formatting (keeping the slash of a season such as "2024/25")
+            .replace(/[^\w\s£$€.,()&/-]/g, '')
             .trim()
             .substring(0, 80); // Limit length
     }
@@ -558,60 +626,6 @@ class Expense365Parser {
         return Math.min(confidence, 1.0);
     }
 
-    // Auto-categorization using UMHC-specific keywords
-    autoCategorizeFree(description) {
-        const desc = description.toLowerCase();
-        
-        // Use CONFIG categories if available
-        if (typeof CONFIG !== 'undefined' && CONFIG.suggestCategory) {
-            const suggested = CONFIG.suggestCategory(description);
-            if (suggested) return suggested;
-        }
-        
-        // UMHC-specific patterns
-        const categoryPatterns = {
-            'Membership': ['membership', 'member', 'umhc', 'club fee'],
-            'Event Registration': ['welsh 3000', 'ticket', 'registration', 'event', 'trip'],
-            'Transport': ['minibus', 'fuel', 'diesel', 'petrol', 'transport', 'coach', 'train', 'bus'],
-            'Accommodation': ['hostel', 'hotel', 'yha', 'lodge', 'accommodation', 'camping'],
-            'Equipment': ['equipment', 'gear', 'rope', 'helmet', 'boots', 'tent', 'compass'],
-            'Food & Catering': ['food', 'catering', 'meal', 'lunch', 'dinner', 'snack'],
-            'Insurance': ['insurance', 'cover', 'policy'],
-            'Training': ['training', 'course', 'instructor', 'guide', 'lesson'],
-            'Grants & Funding': ['grant', 'fund', 'funding', 'award', 'sponsorship'],
-            'Administration': ['admin', 'fee', 'charge', 'bank', 'statement'],
-            'Social Events': ['social', 'party', 'bbq', 'barbecue', 'drink', 'pub'],
-            'External Memberships': ['bmc', 'mountaineering council', 'outdoor', 'climbing'],
-            'Penalties & Fines': ['fine', 'penalty', 'charge', 'fee', 'parking', 'speeding']
-        };
-        
-        for (const [category, keywords] of Object.entries(categoryPatterns)) {
-            if (keywords.some(keyword => desc.includes(keyword))) {
-                return category;
-            }
-        }
-        
-        return 'Uncategorized';
-    }
-
-    // Extract event information
-    extractEvent(description) {
-        const desc = description.toLowerCase();
-        
-        // UMHC event patterns
-        if (desc.includes('welsh 3000') || desc.includes('welsh3000')) return 'Welsh 3000s 2025';
-        if (desc.includes('snowdon') || desc.includes('snowdonia')) return 'Snowdonia Trip';
-        if (desc.includes('peak district') || desc.includes('peaks')) return 'Peak District Trip';
-        if (desc.includes('lake district') || desc.includes('lakes')) return 'Lake District Trip';
-        if (desc.includes('scotland') || desc.includes('highland')) return 'Scotland Trip';
-        if (desc.includes('brecon') || desc.includes('beacon')) return 'Brecon Beacons Trip';
-        if (desc.includes('fresher') || desc.includes('welcome')) return 'Freshers Events';
-        if (desc.includes('social') || desc.includes('bbq') || desc.includes('party')) return 'Social Events';
-        if (desc.includes('training') || desc.includes('course')) return 'Training Events';
-        
-        return 'General';
-    }
-
     // Create deduplication key
     getDedupeKey(transaction) {
         return `${transaction.date}-${transaction.amount.toFixed(2)}-${transaction.description.substring(0, 20).toLowerCase()}`;
@@ -635,13 +649,8 @@ class Expense365Parser {
     // Get parsing statistics
     getParsingStats() {
         return {
-            patterns: Object.keys(this.patterns).length,
+            templates: this.templates.templates.map(template => ({ id: template.id, source: template.source })),
             confidenceThresholds: this.confidenceThresholds
         };
     }
 }
-
-// Export for use
-window.Expense365Parser = Expense365Parser;
-
-Utils.log('info', 'Expense365 specialized parser loaded with UMHC-optimized patterns');
\ No newline at end of file
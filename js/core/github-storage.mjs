@@ -0,0 +1,225 @@
+// js/core/github-storage.mjs - Commit data files back to the repository via the GitHub API
+// Reads use the Contents API; writes go through the Git Data API so several files land in one commit.
+// Nothing here needs the page, so scripts/test-github-storage.js runs it against a local stand-in for the API.
+
+import { CONFIG } from './config.mjs';
+import { Utils } from './utils.mjs';
+import { GitHubConflictError } from './storage.mjs';
+
+export class GitHubStorage {
+    // auth is anything with makeAuthenticatedRequest(url, options) -> fetch Response (js/auth.js in the pages).
+    // options: { apiBase, owner, repo, branch, maxRetries }, defaulting to CONFIG.GITHUB.
+    constructor(auth, options = {}) {
+        const repo = CONFIG.GITHUB.REPO;
+
+        this.auth = auth;
+        this.apiBase = (options.apiBase || CONFIG.GITHUB.API_BASE).replace(/\/$/, '');
+        this.owner = options.owner || repo.OWNER;
+        this.repo = options.repo || repo.NAME;
+        this.branch = options.branch || repo.BRANCH;
+        this.maxRetries = options.maxRetries ?? 2;
+
+        Utils.log('info', 'GitHubStorage initialized', {
+            repository: `${this.owner}/${this.repo}`,
+            branch: this.branch
+        });
+    }
+
+    // Build a URL under /repos/{owner}/{repo}
+    repoUrl(path) {
+        return `${this.apiBase}/repos/${this.owner}/${this.repo}${path}`;
+    }
+
+    // Make an authenticated request and return parsed JSON, throwing on API errors
+    async request(path, options = {}) {
+        const response = await this.auth.makeAuthenticatedRequest(this.repoUrl(path), {
+            ...options,
+            headers: {
+                'Accept': 'application/vnd.github+json',
+                ...options.headers
+            }
+        });
+
+        await this.checkResponse(response);
+        return response.status === 204 ? null : await response.json();
+    }
+
+    // Throw an Error carrying the status (and GitHub's message, when there is one) for a failed response
+    async checkResponse(response) {
+        if (!response.ok) {
+            let message = response.statusText;
+            try {
+                const body = await response.json();
+                message = body.message || message;
+            } catch (error) {
+                // Body was not JSON - keep the status text
+            }
+
+            const error = new Error(`GitHub API error: ${response.status} ${message}`);
+            error.status = response.status;
+            throw error;
+        }
+    }
+
+    // Whether the repository is private (asked once). Attachments are only committed to a private one.
+    async isPrivate() {
+        if (this.privateRepository === undefined) {
+            const repository = await this.request('');
+            this.privateRepository = repository.private === true;
+        }
+        return this.privateRepository;
+    }
+
+    // Get the commit SHA the configured branch currently points at
+    async getBranchHead() {
+        const ref = await this.request(`/git/ref/heads/${encodeURIComponent(this.branch)}`);
+        return ref.object.sha;
+    }
+
+    // Read a file's text and blob SHA at a ref (defaults to the branch). Returns null if missing.
+    async readFile(path, ref = this.branch) {
+        let file;
+        try {
+            file = await this.request(`/contents/${this.encodePath(path)}?ref=${encodeURIComponent(ref)}`);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+
+        // Files over 1 MB (the audit log, eventually) come back with encoding "none" and no content. Reading
+        // that as empty would let the next save rewrite the file from nothing, so fetch the raw bytes instead.
+        if (file.encoding === 'none' || (!file.content && file.size > 0)) {
+            const blob = await this.readBlob(path, ref);
+            if (!blob) {
+                throw new Error(`${path} could not be read at ${ref}`);
+            }
+            return { path, sha: file.sha, content: await blob.text() };
+        }
+
+        return {
+            path,
+            sha: file.sha,
+            content: this.decodeContent(file.content)
+        };
+    }
+
+    // Read a file's bytes at a ref (the branch by default) as a Blob, or null if it does not exist.
+    // Used for attachments, which are not published with the site.
+    async readBlob(path, ref = this.branch) {
+        const response = await this.auth.makeAuthenticatedRequest(
+            this.repoUrl(`/contents/${this.encodePath(path)}?ref=${encodeURIComponent(ref)}`),
+            { headers: { 'Accept': 'application/vnd.github.raw' } }
+        );
+        if (response.status === 404) return null;
+
+        await this.checkResponse(response);
+        return await response.blob();
+    }
+
+    // Commit several files in a single commit on top of `parent`. Each file is { path, content } for text,
+    // or { path, base64 } for binary files such as receipts (uploaded as blobs first). Files under
+    // CONFIG.ATTACHMENTS.DIRECTORY are refused unless the repository is private.
+    // expectedShas maps path -> blob SHA the caller based its changes on (null for new files).
+    async commitFiles(files, message, { parent = null, expectedShas = {} } = {}) {
+        // Statements and receipts carry account numbers and names; anyone can read a public repository
+        const attachments = files.filter(file => file.path.startsWith(`${CONFIG.ATTACHMENTS.DIRECTORY}/`));
+        if (attachments.length > 0 && !(await this.isPrivate())) {
+            throw new Error(`${this.owner}/${this.repo} is public, so documents are not uploaded to ${CONFIG.ATTACHMENTS.DIRECTORY} - ` +
+                'anyone could read them. Make the repository private to keep receipts and statements.');
+        }
+
+        const head = await this.getBranchHead();
+
+        if (parent && parent !== head) {
+            throw new GitHubConflictError('The branch was updated by someone else while you were saving.', {
+                expected: parent,
+                actual: head
+            });
+        }
+
+        // Check no file changed underneath us
+        for (const [path, expectedSha] of Object.entries(expectedShas)) {
+            const current = await this.readFile(path, head);
+            const currentSha = current ? current.sha : null;
+            if (currentSha !== expectedSha) {
+                throw new GitHubConflictError(`${path} was changed by someone else while you were saving.`, {
+                    path,
+                    expected: expectedSha,
+                    actual: currentSha
+                });
+            }
+        }
+
+        const headCommit = await this.request(`/git/commits/${head}`);
+
+        const entries = [];
+        for (const file of files) {
+            const entry = { path: file.path, mode: '100644', type: 'blob' };
+            if (file.base64 !== undefined) {
+                const blob = await this.request('/git/blobs', {
+                    method: 'POST',
+                    body: JSON.stringify({ content: file.base64, encoding: 'base64' })
+                });
+                entry.sha = blob.sha;
+            } else {
+                entry.content = file.content;
+            }
+            entries.push(entry);
+        }
+
+        const tree = await this.request('/git/trees', {
+            method: 'POST',
+            body: JSON.stringify({
+                base_tree: headCommit.tree.sha,
+                tree: entries
+            })
+        });
+
+        const commit = await this.request('/git/commits', {
+            method: 'POST',
+            body: JSON.stringify({
+                message,
+                tree: tree.sha,
+                parents: [head]
+            })
+        });
+
+        try {
+            // force: false makes GitHub reject the update unless it is a fast-forward
+            await this.request(`/git/refs/heads/${encodeURIComponent(this.branch)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ sha: commit.sha, force: false })
+            });
+        } catch (error) {
+            if (error.status === 422 || error.status === 409) {
+                throw new GitHubConflictError('The branch was updated by someone else while you were saving.', {
+                    expected: head
+                });
+            }
+            throw error;
+        }
+
+        Utils.log('info', 'Committed data files', {
+            commit: commit.sha,
+            files: files.map(file => file.path)
+        });
+
+        return {
+            sha: commit.sha,
+            url: commit.html_url || null,
+            message
+        };
+    }
+
+    // Encode each segment of a repository path for use in a URL
+    encodePath(path) {
+        return path.split('/').map(encodeURIComponent).join('/');
+    }
+
+    // Decode base64 file content from the Contents API as UTF-8
+    decodeContent(base64) {
+        const binary = atob((base64 || '').replace(/\s/g, ''));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
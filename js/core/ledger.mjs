@@ -0,0 +1,134 @@
+// js/core/ledger.mjs - Double-entry postings and per-account balances for transactions.csv rows
+// Used by SummaryBuilder, DataManager and CategoryClassifier in the browser and the Node scripts. Everything it
+// needs is in the rows themselves, so it imports nothing.
+//
+// Every row is a set of postings that sum to zero:
+//   Income/Expense: the money account (Account) against a nominal account for the category
+//                   (one per split when the row is split across categories and events)
+//   Transfer:       Account against TransferAccount - money moving between the club's own accounts
+
+export const Ledger = {
+    TRANSFER: 'Transfer',
+
+    isTransfer: (transaction) => transaction.Type === Ledger.TRANSFER,
+
+    // Splits of a row as [{ amount, category, event }] with amounts signed like Amount, or [] when it is not split.
+    // Accepts the parsed array or the JSON text stored in the Splits column.
+    splits: (transaction) => {
+        const value = transaction.Splits;
+        if (Array.isArray(value)) return value;
+        if (!value) return [];
+
+        try {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    // A row as parts that each have one Amount, Category and Event: its splits, or just the row itself
+    parts: (transaction) => {
+        const splits = Ledger.splits(transaction);
+        if (splits.length === 0) return [transaction];
+
+        return splits.map(split => ({
+            ...transaction,
+            Amount: split.amount,
+            Category: split.category,
+            Event: split.event || 'General',
+            Splits: []
+        }));
+    },
+
+    // [{ account, amount, nominal }] for one row. Amount is signed from Account's point of view.
+    postings: (transaction) => {
+        const amount = Math.round((parseFloat(transaction.Amount) || 0) * 100) / 100;
+
+        if (Ledger.isTransfer(transaction)) {
+            return [
+                { account: transaction.Account, amount: amount, nominal: false },
+                { account: transaction.TransferAccount, amount: -amount, nominal: false }
+            ];
+        }
+
+        return [
+            { account: transaction.Account, amount: amount, nominal: false },
+            ...Ledger.parts(transaction).map(part => ({
+                account: `${amount > 0 ? 'income' : 'expense'}:${part.Category}`,
+                amount: -Math.round((parseFloat(part.Amount) || 0) * 100) / 100,
+                nominal: true
+            }))
+        ];
+    },
+
+    // Why a row cannot be posted, or null. Transfers need two different accounts; splits must have a
+    // category and an amount each, all with the row's sign, adding up to the row's Amount.
+    checkRow: (transaction) => {
+        if (!transaction.Account) {
+            return 'No account';
+        }
+        if (Ledger.isTransfer(transaction)) {
+            if (!transaction.TransferAccount) return 'Transfer has no destination account';
+            if (transaction.TransferAccount === transaction.Account) return 'Transfer must be between two different accounts';
+        }
+
+        if (typeof transaction.Splits === 'string' && transaction.Splits.trim() && Ledger.splits(transaction).length === 0) {
+            return 'Splits column is not a valid list of splits';
+        }
+
+        const splits = Ledger.splits(transaction);
+        if (splits.length > 0) {
+            const amount = parseFloat(transaction.Amount) || 0;
+            if (Ledger.isTransfer(transaction)) return 'Transfers cannot be split';
+            if (splits.length < 2) return 'A split transaction needs at least two splits';
+            if (splits.some(split => !split.category || typeof split.amount !== 'number' || isNaN(split.amount))) {
+                return 'Every split needs a category and an amount';
+            }
+            if (splits.some(split => split.amount === 0 || (split.amount > 0) !== (amount > 0))) {
+                return 'Split amounts must be non-zero and have the same sign as the transaction';
+            }
+            const total = splits.reduce((sum, split) => sum + split.amount, 0);
+            if (Math.abs(total - amount) >= 0.005) {
+                return `Splits add up to ${total.toFixed(2)} but the transaction is ${amount.toFixed(2)}`;
+            }
+        }
+        return null;
+    },
+
+    // { accountId: balance } for the money accounts, from all postings
+    balances: (transactions) => {
+        const balances = {};
+
+        transactions.forEach(transaction => {
+            Ledger.postings(transaction)
+                .filter(posting => !posting.nominal && posting.account)
+                .forEach(posting => {
+                    balances[posting.account] = (balances[posting.account] || 0) + posting.amount;
+                });
+        });
+
+        Object.keys(balances).forEach(account => {
+            balances[account] = Math.round(balances[account] * 100) / 100;
+        });
+        return balances;
+    },
+
+    // Running balance of one account over rows given in date order:
+    // [{ transaction, amount, balance }] with amount signed from that account's point of view
+    history: (transactions, account) => {
+        let balance = 0;
+        const history = [];
+
+        transactions.forEach(transaction => {
+            Ledger.postings(transaction)
+                .filter(posting => !posting.nominal && posting.account === account)
+                .forEach(posting => {
+                    balance = Math.round((balance + posting.amount) * 100) / 100;
+                    history.push({ transaction, amount: posting.amount, balance });
+                });
+        });
+
+        return history;
+    }
+};
@@ -0,0 +1,930 @@
+// js/core/pdf-spatial-processor.mjs - PDF Spatial Text Extraction
+// Processes PDFs using PDF.js with coordinate-based column detection. OCR needs a canvas, so photos and
+// scanned pages are read by the browser subclass in js/ocr-processor.js; its word boxes come back through
+// spatialTextFromWords into the same column detection.
+
+import { Utils } from './utils.mjs';
+import { statementReconciler } from './statement-reconciler.mjs';
+import { rulesEngine } from './rules-engine.mjs';
+
+export class PDFSpatialProcessor {
+    // pdfjs is the PDF.js module to read PDFs with (e.g. pdfjs-dist under Node); rules categorise the rows
+    constructor({ pdfjs = null, rules = rulesEngine } = {}) {
+        this.pdfjs = pdfjs;
+        this.rules = rules;
+        this.currentProcessingId = 0;
+        this.progressCallback = null;
+        
+        // Image coordinates are scaled to this page width (A4 in PDF points) so the column
+        // thresholds tuned for PDF.js output apply to photos of any resolution
+        this.pageWidth = 595;
+        
+        // ColumnLayoutStore of layouts learned from the treasurer's corrections (set by the dashboard)
+        this.columnLayouts = null;
+        
+        Utils.log('info', 'PDF Spatial Processor initialized');
+    }
+
+    // Set progress callback for UI updates
+    setProgressCallback(callback) {
+        this.progressCallback = callback;
+    }
+
+    // Update progress
+    updateProgress(message, progress = null) {
+        if (this.progressCallback) {
+            this.progressCallback(message, progress);
+        }
+        Utils.log('debug', `OCR Progress: ${message}${progress !== null ? ` (${Math.round(progress * 100)}%)` : ''}`);
+    }
+
+    // Main processing function - PDFs by their text layer, images by OCR
+    async processDocument(file) {
+        const processingId = ++this.currentProcessingId;
+        
+        try {
+            this.updateProgress('Starting document processing...', 0);
+            
+            if (file.type === 'application/pdf') {
+                return await this.processPDF(file, processingId);
+            } else if (file.type.startsWith('image/')) {
+                return await this.processImage(file, processingId);
+            } else {
+                throw new Error('Unsupported file type. Please upload a PDF, PNG or JPG file.');
+            }
+            
+        } catch (error) {
+            Utils.log('error', 'PDF processing failed', error);
+            throw error;
+        }
+    }
+
+    // Process PDF files
+    async processPDF(file, processingId) {
+        this.updateProgress('Loading PDF...', 0.1);
+        
+        try {
+            const pdfjs = await this.loadPDFJS();
+            
+            const arrayBuffer = await file.arrayBuffer();
+            const pdf = await pdfjs.getDocument({data: arrayBuffer}).promise;
+            
+            this.updateProgress(`Processing ${pdf.numPages} pages...`, 0.2);
+            
+            let fullText = '';
+            let allTransactions = [];
+            let balanceLines = [];
+            const pages = []; // How each page was read: { page, method: 'text' | 'ocr', confidence, transactions, blank, warning }
+            const preprocessing = []; // What imagePreprocessor did to each OCR'd page
+            const spatialPages = []; // Items and columns of each page, for the extraction overlay
+            const maxPages = Math.min(pdf.numPages, 10); // Limit to 10 pages for performance
+            let masterColumnInfo = null; // Store column info for consistency across pages
+            
+            // Process each page
+            for (let pageNum = 1; pageNum <= maxPages; pageNum++) {
+                // Check if processing was cancelled
+                if (this.currentProcessingId !== processingId) {
+                    throw new Error('Processing cancelled');
+                }
+                
+                const baseProgress = 0.2 + ((pageNum - 1) / maxPages) * 0.7;
+                this.updateProgress(`Processing page ${pageNum}/${maxPages}...`, baseProgress);
+                
+                const page = await pdf.getPage(pageNum);
+                
+                // Extract spatial text data from PDF
+                const textContent = await page.getTextContent();
+                let spatialText = this.extractSpatialText(textContent, pageNum);
+                let pageInfo = { page: pageNum, method: 'text', confidence: 100 };
+                const viewport = page.getViewport({ scale: 1 });
+                let pageView = { width: viewport.width, height: viewport.height, background: null };
+                
+                // A scanned page has no text layer - render it and read the words with OCR instead
+                if (spatialText.items.length === 0) {
+                    this.updateProgress(`Page ${pageNum} is scanned - reading it with OCR...`, baseProgress + 0.05);
+                    const ocr = await this.ocrPDFPage(page, pageNum);
+                    spatialText = ocr.spatialText;
+                    pageInfo = { page: pageNum, method: 'ocr', confidence: ocr.confidence };
+                    pageView = ocr.view;
+                    preprocessing.push({ page: pageNum, ...ocr.preprocessing });
+                    
+                    if (spatialText.items.length === 0) {
+                        fullText += `\n--- Page ${pageNum} (OCR: no text found) ---\n`;
+                        pages.push({ ...pageInfo, transactions: 0, blank: true });
+                        continue;
+                    }
+                }
+                
+                fullText += `\n--- Page ${pageNum}${pageInfo.method === 'ocr' ? ` (OCR, ${pageInfo.confidence}% confidence)` : ''} ---\n${spatialText.plainText}\n`;
+                
+                // Always use spatial extraction
+                this.updateProgress(`Analyzing spatial layout on page ${pageNum}...`, baseProgress + 0.1);
+                const result = this.extractTransactionsWithSpatial(spatialText, pageNum, masterColumnInfo);
+                const pageTransactions = result.transactions;
+                
+                // A cover or summary page without a transaction table is skipped, not the whole document
+                if (result.warning) {
+                    pages.push({ ...pageInfo, transactions: 0, blank: false, warning: result.warning });
+                    continue;
+                }
+                
+                this.capOCRConfidence(pageTransactions, pageInfo);
+                pages.push({ ...pageInfo, transactions: pageTransactions.length, blank: false });
+                spatialPages.push({ ...pageInfo, ...pageView, items: spatialText.items, columnInfo: result.columnInfo });
+                
+                // Update master column info if this page provided better data
+                if (result.columnInfo && result.columnInfo.hasValidStructure) {
+                    masterColumnInfo = result.columnInfo;
+                }
+                allTransactions = allTransactions.concat(pageTransactions);
+                balanceLines = balanceLines.concat(result.balanceLines);
+            }
+            
+            if (pages.every(info => info.blank)) {
+                throw new Error('No text could be read from any page, even with OCR. The scan may be blank or too faint.');
+            }
+            if (spatialPages.length === 0) {
+                throw new Error('No page contains a recognizable transaction table structure. Please ensure the PDF contains properly formatted financial data with columns.');
+            }
+            
+            this.updateProgress('Finalizing results...', 0.9);
+            
+            // First brought-forward and last carried-forward lines bound the statement
+            const opening = balanceLines.find(line => line.kind === 'opening');
+            const closing = [...balanceLines].reverse().find(line => line.kind === 'closing');
+            
+            const result = {
+                fullText: fullText,
+                transactions: allTransactions,
+                spatialPages: spatialPages,
+                summary: {
+                    totalTransactions: allTransactions.length,
+                    pagesProcessed: maxPages,
+                    processingMethod: pages.some(info => info.method === 'ocr') ? 'PDF.js + Tesseract.js OCR' : 'PDF.js spatial extraction',
+                    pages: pages,
+                    warnings: pages.filter(info => info.warning).map(info => info.warning),
+                    preprocessing: preprocessing,
+                    columnLayout: this.describeColumnLayout(masterColumnInfo),
+                    fileName: file.name,
+                    balanceLines: balanceLines,
+                    openingBalance: opening ? opening.amount : null,
+                    closingBalance: closing ? closing.amount : null
+                }
+            };
+            
+            this.updateProgress(`Extracted ${allTransactions.length} transactions`, 1.0);
+            
+            Utils.log('info', 'PDF processing completed', {
+                pages: maxPages,
+                transactions: allTransactions.length
+            });
+            
+            return result;
+            
+        } catch (error) {
+            Utils.log('error', 'PDF processing failed', error);
+            throw new Error(`PDF processing failed: ${error.message}`);
+        }
+    }
+
+    // Photos and scans need OCR, which the browser subclass provides
+    async processImage(file, processingId) {
+        throw new Error('Reading images needs OCR, which is only available in the browser');
+    }
+    
+    // A PDF page without a text layer needs OCR too
+    async ocrPDFPage(page, pageNum) {
+        throw new Error(`Page ${pageNum} is scanned and reading it needs OCR, which is only available in the browser`);
+    }
+    
+    // The PDF.js module given to the constructor (the browser subclass loads it from the CDN instead)
+    async loadPDFJS() {
+        if (!this.pdfjs) {
+            throw new Error('PDF.js is not available - pass it to the PDFSpatialProcessor constructor');
+        }
+        return this.pdfjs;
+    }
+    
+    // Rows read by OCR are only as reliable as the OCR of their page
+    capOCRConfidence(transactions, pageInfo) {
+        if (pageInfo.method !== 'ocr') return;
+        transactions.forEach(transaction => {
+            transaction.confidence = Math.min(transaction.confidence, pageInfo.confidence / 100);
+            transaction.extractionMethod = 'spatial-ocr';
+        });
+    }
+    
+    // Read the kept pages (result.spatialPages) again with column positions moved in the extraction
+    // overlay: { dateColumn, cashInColumn, cashOutColumn, balanceColumn } applied to every page
+    reextractWithColumns(spatialPages, columns) {
+        const transactions = [];
+        const balanceLines = [];
+        
+        spatialPages.forEach(page => {
+            page.columnInfo = { ...page.columnInfo, ...columns, hasValidStructure: true, learned: false };
+            const result = this.extractTransactionsWithSpatial({ items: page.items, pageNum: page.page }, page.page, page.columnInfo);
+            this.capOCRConfidence(result.transactions, page);
+            page.transactions = result.transactions.length;
+            transactions.push(...result.transactions);
+            balanceLines.push(...result.balanceLines);
+        });
+        
+        const opening = balanceLines.find(line => line.kind === 'opening');
+        const closing = [...balanceLines].reverse().find(line => line.kind === 'closing');
+        return {
+            transactions,
+            balanceLines,
+            openingBalance: opening ? opening.amount : null,
+            closingBalance: closing ? closing.amount : null,
+            columnLayout: this.describeColumnLayout(spatialPages[0] && spatialPages[0].columnInfo)
+        };
+    }
+    
+    // What imagePreprocessor did, without the canvas: { rotation, skew, scale, cropped, steps }
+    describePreprocessing(prepared) {
+        const { rotation, skew, scale, cropped, steps } = prepared;
+        return { rotation, skew, scale: Math.round(scale * 100) / 100, cropped: !!cropped, steps };
+    }
+    
+    // Tesseract.js word results as { text, x0, y0, x1, y1, confidence } in image pixels
+    wordsFromTesseract(data) {
+        return (data.words || []).map(word => ({
+            text: word.text,
+            x0: word.bbox.x0,
+            y0: word.bbox.y0,
+            x1: word.bbox.x1,
+            y1: word.bbox.y1,
+            confidence: word.confidence
+        }));
+    }
+    
+    // Statements go through the column detection; a photo without a transaction table is read as a receipt
+    extractFromImageText(spatialText) {
+        const columnInfo = this.resolveColumnStructure(spatialText.items);
+        if (columnInfo.hasValidStructure) {
+            const result = this.extractTransactionsWithSpatial(spatialText, spatialText.pageNum, columnInfo);
+            if (result.transactions.length > 0) {
+                return { ...result, isReceipt: false };
+            }
+        }
+        
+        const receipt = this.extractReceiptTotal(spatialText);
+        return { transactions: receipt ? [receipt] : [], balanceLines: [], isReceipt: true };
+    }
+    
+    // One expense from a receipt: the amount on its "Total" line (or the largest amount), the first date,
+    // and the top line - usually the shop's name - as the description
+    extractReceiptTotal(spatialText) {
+        const rows = this.groupItemsIntoRows(spatialText.items);
+        const rowText = row => row.map(item => item.text).join(' ');
+        const amountsIn = text => (text.match(/£?\s?\d{1,6}[.,]\d{2}\b/g) || [])
+            .map(match => this.parseCurrencyAmount(match))
+            .filter(amount => amount !== null && amount > 0);
+        
+        const totalRows = rows.filter(row => /\btotal\b/i.test(rowText(row)) && !/sub\s*-?\s*total/i.test(rowText(row)));
+        const candidates = (totalRows.length > 0 ? totalRows : rows).flatMap(row => amountsIn(rowText(row)));
+        if (candidates.length === 0) return null;
+        
+        const amount = Math.max(...candidates);
+        const dateRow = rows.find(row => /\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}/.test(rowText(row)));
+        const dateMatch = dateRow ? rowText(dateRow).match(/\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}/) : null;
+        const description = this.cleanDescription(rows.length > 0 ? rowText(rows[0]) : '') || 'Receipt';
+        const date = dateMatch ? this.normalizeDate(dateMatch[0]) : null;
+        const { category, event } = this.rules.categorize({ date, description, amount, type: 'Expense' });
+        
+        return {
+            date: date,
+            description: description,
+            amount: amount,
+            type: 'Expense',
+            category: category,
+            event: event,
+            reference: '',
+            balance: null,
+            confidence: totalRows.length > 0 ? 0.7 : 0.4, // Lower when the total had to be guessed
+            page: spatialText.pageNum,
+            extractionMethod: 'receipt'
+        };
+    }
+    
+    // Turn OCR word boxes (image pixels, origin top-left) into the item format extractSpatialText produces.
+    // Neighbouring words on a line are merged into phrases like PDF.js text runs ("Cash In", "Balance b/f"),
+    // and coordinates are scaled to pageWidth with y increasing up the page as in PDF space.
+    spatialTextFromWords(words, size, pageNum, pageWidth = this.pageWidth) {
+        const scale = pageWidth / (size.width || Math.max(1, ...words.map(word => word.x1)));
+        const height = size.height || Math.max(1, ...words.map(word => word.y1));
+        
+        const boxes = words
+            .filter(word => word.text && word.text.trim())
+            .map(word => ({ ...word, text: word.text.trim(), middle: (word.y0 + word.y1) / 2, size: word.y1 - word.y0 }))
+            .sort((a, b) => a.middle - b.middle);
+        
+        // Words whose vertical middles are within half a word height share a line
+        const lines = [];
+        boxes.forEach(word => {
+            const line = lines[lines.length - 1];
+            if (line && Math.abs(word.middle - line.middle) < Math.max(word.size, line.size) / 2) {
+                line.words.push(word);
+            } else {
+                lines.push({ middle: word.middle, size: word.size, words: [word] });
+            }
+        });
+        
+        // Within a line, a gap wider than a word height separates two columns
+        const phrases = [];
+        lines.forEach(line => {
+            line.words.sort((a, b) => a.x0 - b.x0);
+            let phrase = null;
+            line.words.forEach(word => {
+                if (phrase && word.x0 - phrase.x1 <= Math.max(word.size, phrase.size)) {
+                    phrase.text += ` ${word.text}`;
+                    phrase.x1 = Math.max(phrase.x1, word.x1);
+                    phrase.y0 = Math.min(phrase.y0, word.y0);
+                    phrase.y1 = Math.max(phrase.y1, word.y1);
+                    phrase.confidences.push(word.confidence);
+                } else {
+                    phrase = { ...word, confidences: [word.confidence] };
+                    phrases.push(phrase);
+                }
+            });
+        });
+        
+        return this.extractSpatialText({
+            items: phrases.map(phrase => ({
+                str: phrase.text,
+                transform: [(phrase.y1 - phrase.y0) * scale, 0, 0, 0, phrase.x0 * scale, (height - phrase.y1) * scale],
+                width: (phrase.x1 - phrase.x0) * scale,
+                height: (phrase.y1 - phrase.y0) * scale,
+                confidence: this.averageConfidence(phrase.confidences)
+            }))
+        }, pageNum);
+    }
+    
+    // Mean of the known confidences, or null when the OCR engine gave none
+    averageConfidence(confidences) {
+        const known = confidences.filter(value => typeof value === 'number');
+        return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+    }
+    
+    // Extract text with spatial coordinates from PDF.js textContent
+    extractSpatialText(textContent, pageNum) {
+        try {
+            const items = textContent.items.map(item => ({
+                text: item.str,
+                x: item.transform[4], // X coordinate
+                y: item.transform[5], // Y coordinate
+                width: item.width,
+                height: item.height,
+                fontSize: item.transform[0], // Font size (scale factor)
+                confidence: item.confidence ?? null // OCR confidence 0-100 (null for a PDF text layer)
+            }));
+            
+            // Sort items by Y coordinate (top to bottom), then X coordinate (left to right)
+            items.sort((a, b) => {
+                const yDiff = Math.abs(a.y - b.y);
+                if (yDiff < 5) { // Same line (within 5 units)
+                    return a.x - b.x; // Sort by X (left to right)
+                }
+                return b.y - a.y; // Sort by Y (top to bottom, PDF coordinates are inverted)
+            });
+            
+            // Generate plain text for backward compatibility
+            const plainText = items.map(item => item.text).join(' ');
+            
+            Utils.log('debug', `Extracted ${items.length} spatial text items from page ${pageNum}`);
+            
+            return {
+                items: items,
+                plainText: plainText,
+                pageNum: pageNum
+            };
+            
+        } catch (error) {
+            Utils.log('error', 'Failed to extract spatial text', error);
+            return {
+                items: [],
+                plainText: textContent.items.map(item => item.str).join(' '),
+                pageNum: pageNum
+            };
+        }
+    }
+    
+    // Extract transactions using spatial positioning data. A page with no column structure gives no rows
+    // and a warning saying it was skipped: { transactions, balanceLines, columnInfo, warning }.
+    extractTransactionsWithSpatial(spatialText, pageNum, masterColumnInfo = null) {
+        try {
+            // Use master column info if available, otherwise detect from this page
+            let columnInfo = masterColumnInfo;
+            if (!columnInfo || !columnInfo.hasValidStructure) {
+                columnInfo = this.resolveColumnStructure(spatialText.items);
+            }
+            
+            if (!columnInfo.hasValidStructure) {
+                const warning = `Page ${pageNum} has no recognizable transaction table, so it was skipped`;
+                Utils.log('warn', warning);
+                return { transactions: [], balanceLines: [], columnInfo, warning };
+            }
+            
+            // Group items into rows based on Y coordinate
+            const rows = this.groupItemsIntoRows(spatialText.items);
+            
+            // Extract transactions from each row using column positions.
+            // Balance / brought-forward / carried-forward lines are kept aside for reconciliation.
+            const transactions = [];
+            const balanceLines = [];
+            rows.forEach((row, rowIndex) => {
+                const position = pageNum * 10000 + rowIndex; // Statement order across pages
+                const balanceLine = statementReconciler.detectBalanceLine(row.map(item => item.text).join(' '));
+                if (balanceLine) {
+                    balanceLines.push({ ...balanceLine, page: pageNum, position });
+                    return;
+                }
+                
+                const transaction = this.parseRowWithSpatial(row, columnInfo, pageNum);
+                if (transaction && this.isValidTransaction(transaction)) {
+                    transaction.position = position;
+                    transactions.push(transaction);
+                }
+            });
+            
+            Utils.log('info', `Extracted ${transactions.length} transactions and ${balanceLines.length} balance lines using spatial analysis on page ${pageNum}`);
+            
+            return {
+                transactions: transactions,
+                balanceLines: balanceLines,
+                columnInfo: columnInfo // Return column info for use on subsequent pages
+            };
+            
+        } catch (error) {
+            Utils.log('error', 'Spatial transaction extraction failed', error);
+            throw error; // No fallback - fail clearly
+        }
+    }
+    
+    // Column positions for a page: a layout learned from corrections to earlier documents with the same
+    // header if there is one, otherwise whatever detectColumnStructure finds
+    resolveColumnStructure(items) {
+        const fingerprint = this.headerFingerprint(items);
+        const learned = this.columnLayouts ? this.columnLayouts.find(fingerprint) : null;
+        
+        if (learned) {
+            Utils.log('info', 'Using learned column layout', { fingerprint, learnedFrom: learned.learnedFrom });
+            const columns = { ...learned.columns };
+            
+            // A side the corrections never showed is still guessed, from the amounts outside the known columns
+            if (columns.cashInColumn === null || columns.cashOutColumn === null) {
+                const known = columns.cashInColumn ?? columns.cashOutColumn;
+                const inferred = this.inferColumnPositions(items.filter(item => Math.abs(item.x - known) >= 30), columns.balanceColumn);
+                const guess = inferred.cashOut ?? inferred.cashIn;
+                if (guess !== null) {
+                    columns[columns.cashInColumn === null ? 'cashInColumn' : 'cashOutColumn'] = guess;
+                }
+            }
+            return { ...columns, hasValidStructure: true, headers: [], fingerprint, learned: true };
+        }
+        return { ...this.detectColumnStructure(items), fingerprint, learned: false };
+    }
+    
+    // Identifies a statement layout by its table header: the words of the last row without digits above
+    // the first dated row, lower-cased and joined with " | ". null when the page has no such row.
+    headerFingerprint(items) {
+        const rows = this.groupItemsIntoRows(items);
+        const firstDated = rows.findIndex(row => row.some(item => /\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}/.test(item.text)));
+        if (firstDated === -1) return null;
+        
+        const header = rows.slice(0, firstDated).reverse()
+            .find(row => row.length >= 2 && !row.some(item => /\d/.test(item.text)));
+        if (!header) return null;
+        
+        return header
+            .map(item => item.text.toLowerCase().replace(/[^a-z&/ ]+/g, ' ').replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join(' | ') || null;
+    }
+    
+    // Column positions as reported in the result summary (null when no table was found)
+    describeColumnLayout(columnInfo) {
+        if (!columnInfo || !columnInfo.hasValidStructure) return null;
+        
+        const { dateColumn, descColumn, cashInColumn, cashOutColumn, balanceColumn } = columnInfo;
+        return {
+            fingerprint: columnInfo.fingerprint || null,
+            learned: Boolean(columnInfo.learned),
+            columns: { dateColumn, descColumn, cashInColumn, cashOutColumn, balanceColumn }
+        };
+    }
+    
+    // Detect column structure from spatial text items
+    detectColumnStructure(items) {
+        // Look for header indicators
+        const headerKeywords = ['date', 'description', 'cash in', 'cash out', 'amount'];
+        const headers = [];
+        
+        for (const item of items) {
+            const text = item.text.toLowerCase().trim();
+            
+            // Only a bare "Balance" is the column header - "Balance b/f" is a balance line
+            if (text === 'balance') {
+                headers.push({ keyword: 'balance', x: item.x, y: item.y, text: item.text });
+                continue;
+            }
+            
+            for (const keyword of headerKeywords) {
+                if (text.includes(keyword)) {
+                    headers.push({
+                        keyword: keyword,
+                        x: item.x,
+                        y: item.y,
+                        text: item.text
+                    });
+                    break;
+                }
+            }
+        }
+        
+        // Try to establish column positions
+        let dateColumn = null, descColumn = null, cashInColumn = null, cashOutColumn = null, balanceColumn = null;
+        
+        for (const header of headers) {
+            if (header.keyword.includes('date')) dateColumn = header.x;
+            if (header.keyword.includes('description')) descColumn = header.x;
+            if (header.keyword.includes('cash in')) cashInColumn = header.x;
+            if (header.keyword.includes('cash out')) cashOutColumn = header.x;
+            if (header.keyword === 'balance') balanceColumn = header.x;
+        }
+        
+        // If we don't have clear headers, try to infer from content patterns
+        if (!cashInColumn || !cashOutColumn) {
+            const inferredColumns = this.inferColumnPositions(items, balanceColumn);
+            if (inferredColumns.cashIn) cashInColumn = inferredColumns.cashIn;
+            if (inferredColumns.cashOut) cashOutColumn = inferredColumns.cashOut;
+        }
+        
+        const hasValidStructure = dateColumn !== null && (cashInColumn !== null || cashOutColumn !== null);
+        
+        Utils.log('debug', 'Column structure detection', {
+            dateColumn, descColumn, cashInColumn, cashOutColumn, balanceColumn, hasValidStructure
+        });
+        
+        return {
+            hasValidStructure,
+            dateColumn,
+            descColumn,
+            cashInColumn,
+            cashOutColumn,
+            balanceColumn,
+            headers
+        };
+    }
+    
+    // Infer column positions from currency amounts and text positioning
+    inferColumnPositions(items, balanceColumn = null) {
+        const currencyPattern = /^\d{1,6}\.\d{2}$/;
+        
+        // Find all currency amounts, leaving out the running balance column
+        const amounts = items.filter(item => 
+            currencyPattern.test(item.text.replace(/[£$€,\s]/g, '')) &&
+            (balanceColumn === null || Math.abs(item.x - balanceColumn) >= 30)
+        );
+        
+        if (amounts.length === 0) return { cashIn: null, cashOut: null };
+        
+        // Group amounts by X position (within 30 units for more flexibility)
+        const xGroups = {};
+        for (const amount of amounts) {
+            const roundedX = Math.round(amount.x / 30) * 30; // Group by 30-unit buckets
+            if (!xGroups[roundedX]) xGroups[roundedX] = [];
+            xGroups[roundedX].push(amount);
+        }
+        
+        // Get unique X positions sorted left to right
+        const xPositions = Object.keys(xGroups).map(Number).sort((a, b) => a - b);
+        
+        Utils.log('debug', 'Found amount column positions', { xPositions, groupCount: xPositions.length });
+        
+        if (xPositions.length === 1) {
+            // Only one column of amounts - assume it's Cash Out (expenses are more common)
+            return {
+                cashIn: null,
+                cashOut: xPositions[0]
+            };
+        } else if (xPositions.length >= 2) {
+            // Two or more columns - Cash In (left), Cash Out (right)
+            return {
+                cashIn: xPositions[xPositions.length - 2],  // Second from right
+                cashOut: xPositions[xPositions.length - 1]  // Rightmost
+            };
+        }
+        
+        return { cashIn: null, cashOut: null };
+    }
+    
+    // Group spatial items into rows based on Y coordinate
+    groupItemsIntoRows(items) {
+        const rows = [];
+        let currentRow = [];
+        let currentY = null;
+        
+        for (const item of items) {
+            // If Y coordinate differs by more than 10 units, it's a new row
+            if (currentY === null || Math.abs(item.y - currentY) > 10) {
+                if (currentRow.length > 0) {
+                    rows.push([...currentRow]);
+                }
+                currentRow = [item];
+                currentY = item.y;
+            } else {
+                currentRow.push(item);
+            }
+        }
+        
+        // Add the last row
+        if (currentRow.length > 0) {
+            rows.push(currentRow);
+        }
+        
+        return rows;
+    }
+    
+    // Parse a single row using spatial column information
+    parseRowWithSpatial(rowItems, columnInfo, pageNumber) {
+        // Find date in the row
+        const dateItem = rowItems.find(item => 
+            /\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}/.test(item.text)
+        );
+        if (!dateItem) return null; // No date found, skip this row
+        
+        // Find description (text between date and amounts)
+        const descItems = rowItems.filter(item => 
+            item.x > (columnInfo.dateColumn || 0) + 50 && // After date column
+            item.x < Math.min(columnInfo.cashInColumn || 9999, columnInfo.cashOutColumn || 9999) - 20 // Before amount columns
+        );
+        const description = descItems.map(item => item.text).join(' ').trim();
+        
+        // Every amount on the line with its position, so a corrected row shows where its column really is
+        const rowAmounts = rowItems
+            .filter(item => /^\d{1,6}\.\d{2}$/.test(item.text.replace(/[£$€,\s]/g, '')))
+            .map(item => ({ x: item.x, value: Math.abs(this.parseCurrencyAmount(item.text) || 0) }))
+            .filter(amount => amount.value > 0);
+        
+        // Find amounts based on column positions
+        let cashInAmount = null, cashOutAmount = null;
+        
+        if (columnInfo.cashInColumn) {
+            const cashInItems = rowItems.filter(item => 
+                Math.abs(item.x - columnInfo.cashInColumn) < 50 && // Within 50 units of column
+                /\d+\.\d{2}/.test(item.text.replace(/[£$€,\s]/g, ''))
+            );
+            if (cashInItems.length > 0) {
+                cashInAmount = this.parseCurrencyAmount(cashInItems[0].text);
+            }
+        }
+        
+        if (columnInfo.cashOutColumn) {
+            const cashOutItems = rowItems.filter(item => 
+                Math.abs(item.x - columnInfo.cashOutColumn) < 50 && // Within 50 units of column
+                /\d+\.\d{2}/.test(item.text.replace(/[£$€,\s]/g, ''))
+            );
+            if (cashOutItems.length > 0) {
+                cashOutAmount = this.parseCurrencyAmount(cashOutItems[0].text);
+            }
+        }
+        
+        // The statement's own running balance, used to reconcile row by row
+        let statementBalance = null;
+        if (columnInfo.balanceColumn) {
+            const balanceItems = rowItems.filter(item => 
+                Math.abs(item.x - columnInfo.balanceColumn) < 30 &&
+                /\d+\.\d{2}/.test(item.text.replace(/[£$€,\s]/g, ''))
+            );
+            if (balanceItems.length > 0) {
+                const balance = this.parseCurrencyAmount(balanceItems[0].text);
+                if (balance !== null) {
+                    // Overdrawn balances are often marked DR rather than signed
+                    statementBalance = /\bDR\b/i.test(balanceItems[0].text) ? -Math.abs(balance) : balance;
+                }
+            }
+        }
+        
+        // Create transaction object
+        if ((cashInAmount || cashOutAmount) && description.length > 2) {
+            const date = this.normalizeDate(dateItem.text);
+            if (!date) return null;
+            
+            const amount = cashInAmount || cashOutAmount;
+            const type = cashInAmount ? 'Income' : 'Expense';
+            const { category, event } = this.rules.categorize({ date, description, amount: Math.abs(amount), type });
+            
+            return {
+                date: date,
+                description: this.cleanDescription(description),
+                amount: Math.abs(amount),
+                type: type,
+                category: category,
+                event: event,
+                reference: '',
+                balance: statementBalance,
+                confidence: 0.9, // Higher confidence for spatial extraction
+                page: pageNumber,
+                extractionMethod: 'spatial',
+                spatialInfo: {
+                    dateX: dateItem.x,
+                    amountX: cashInAmount ? columnInfo.cashInColumn : columnInfo.cashOutColumn,
+                    rowY: dateItem.y,
+                    amounts: rowAmounts
+                }
+            };
+        }
+        
+        return null;
+    }
+
+    // Normalize date format with enhanced OCR error handling
+    normalizeDate(dateStr) {
+        try {
+            if (!dateStr) return null;
+            
+            // Clean OCR artifacts and normalize separators  
+            let cleanDate = dateStr.toString().trim()
+                .replace(/[Oo]/g, '0')  // O → 0
+                .replace(/[Il|]/g, '1') // I, l, | → 1
+                .replace(/[S]/g, '5')   // S → 5  
+                .replace(/[Z]/g, '2')   // Z → 2
+                .replace(/[G]/g, '6')   // G → 6
+                .replace(/\s+/g, '')    // Remove all whitespace
+                .replace(/[-\.]/g, '/') // Normalize separators
+                .replace(/[^\d\/]/g, ''); // Remove non-digit, non-slash characters
+            
+            const parts = cleanDate.split('/');
+            
+            if (parts.length !== 3) return null;
+            
+            let [day, month, year] = parts.map(p => parseInt(p));
+            
+            // Handle invalid parse results
+            if (isNaN(day) || isNaN(month) || isNaN(year)) return null;
+            
+            // Handle 2-digit years
+            if (year < 100) {
+                year = year > 50 ? 1900 + year : 2000 + year;
+            }
+            
+            // Swap day/month if month > 12 but day <= 12 (common OCR error)
+            if (month > 12 && day <= 12) {
+                [day, month] = [month, day];
+            }
+            
+            // Validate date components
+            if (day < 1 || day > 31 || month < 1 || month > 12 || year < 1900 || year > 2100) {
+                return null;
+            }
+            
+            // Additional validation: check if date is actually valid
+            const testDate = new Date(year, month - 1, day);
+            if (testDate.getDate() !== day || testDate.getMonth() !== month - 1) {
+                return null;
+            }
+            
+            // Check if date is reasonable (not too far in future)
+            const now = new Date();
+            const twoYearsFromNow = new Date(now.getFullYear() + 2, now.getMonth(), now.getDate());
+            
+            if (testDate > twoYearsFromNow) {
+                return null;
+            }
+            
+            // Return in DD/MM/YYYY format
+            return `${String(day).padStart(2, '0')}/${String(month).padStart(2, '0')}/${year}`;
+            
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Clean description text
+    cleanDescription(description) {
+        return description
+            .replace(/\s+/g, ' ')
+            .replace(/[^\w\s£$€.,()-]/g, '')
+            .trim()
+            .substring(0, 100); // Limit length
+    }
+
+    // Parse amount from string - now delegates to currency parsing for consistency
+    parseAmount(amountStr) {
+        // For modern expense365 parsing, require proper currency format
+        return this.parseCurrencyAmount(amountStr);
+    }
+    
+    // Parse currency amount - requires exactly 2 decimal places (e.g., 123.45)
+    parseCurrencyAmount(amountStr) {
+        try {
+            if (!amountStr) return null;
+            
+            // Clean OCR artifacts first
+            let cleaned = amountStr.toString().trim()
+                .replace(/[Oo]/g, '0')    // O → 0
+                .replace(/[Il]/g, '1')    // I, l → 1
+                .replace(/[S]/g, '5')     // S → 5
+                .replace(/[Z]/g, '2')     // Z → 2
+                .replace(/[G]/g, '6')     // G → 6
+                .replace(/[£$€\s]/g, ''); // Remove currency and whitespace
+            
+            // Must have at least some digits and a decimal point
+            if (!cleaned || !/\d+\.\d/.test(cleaned)) return null;
+            
+            // Handle negative amounts (in parentheses or with minus)
+            const isNegative = amountStr.includes('(') || 
+                              amountStr.includes('-') || 
+                              amountStr.toLowerCase().includes('out') ||
+                              amountStr.toLowerCase().includes('debit');
+            
+            // Remove negative indicators
+            cleaned = cleaned.replace(/[\(\)\-]/g, '');
+            
+            // Only keep digits, commas, dots
+            cleaned = cleaned.replace(/[^0-9.,]/g, '');
+            
+            // Handle comma thousands separators
+            if (cleaned.includes(',') && cleaned.includes('.')) {
+                const lastDotIndex = cleaned.lastIndexOf('.');
+                const lastCommaIndex = cleaned.lastIndexOf(',');
+                
+                if (lastDotIndex > lastCommaIndex) {
+                    // Remove comma thousands separators, keep dot as decimal
+                    cleaned = cleaned.replace(/,/g, '');
+                }
+            } else if (cleaned.includes(',') && !cleaned.includes('.')) {
+                // Only comma - check if it's decimal separator
+                const parts = cleaned.split(',');
+                if (parts.length === 2 && parts[1].length === 2) {
+                    // Likely decimal: "123,45" → "123.45"
+                    cleaned = cleaned.replace(',', '.');
+                } else {
+                    // Likely thousands separator without decimals - invalid
+                    return null;
+                }
+            }
+            
+            // Strict currency format validation: must have exactly 2 decimal places
+            const currencyPattern = /^\d{1,6}\.\d{2}$/;
+            if (!currencyPattern.test(cleaned)) {
+                return null;
+            }
+            
+            const amount = parseFloat(cleaned);
+            
+            // Validate amount is reasonable
+            if (isNaN(amount) || amount < 0.01 || amount > 50000) {
+                return null;
+            }
+            
+            return isNegative ? -amount : amount;
+            
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Calculate confidence score
+    calculateConfidence(rawMatch, description, amount) {
+        let confidence = 0.5; // Base confidence
+        
+        // Date format clarity
+        if (/\d{2}\/\d{2}\/\d{4}/.test(rawMatch)) confidence += 0.2;
+        
+        // Description quality
+        if (description.length > 5 && description.length < 50) confidence += 0.1;
+        if (description.match(/[a-zA-Z]/)) confidence += 0.1;
+        
+        // Amount clarity
+        if (!isNaN(amount) && amount !== 0) confidence += 0.2;
+        
+        // Overall structure
+        if (rawMatch.split(/\s+/).length >= 3) confidence += 0.1;
+        
+        return Math.min(confidence, 1.0);
+    }
+
+    // Validate transaction data
+    isValidTransaction(transaction) {
+        return transaction.date && 
+               transaction.description && 
+               transaction.description.length > 2 &&
+               transaction.amount !== null && 
+               transaction.amount > 0;
+    }
+
+    // Remove duplicate transactions
+    removeDuplicateTransactions(transactions) {
+        const seen = new Set();
+        return transactions.filter(transaction => {
+            const key = `${transaction.date}-${transaction.amount}-${transaction.description.substring(0, 20)}`;
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+}
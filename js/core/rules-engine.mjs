@@ -0,0 +1,249 @@
+// js/core/rules-engine.mjs - Categorisation rules for new transactions
+// Every importer and parser asks the same rules for a transaction's category and event. The rules live in
+// data/rules.json and are edited from the admin dashboard. A rule matches on any of: a description regex
+// (case-insensitive), an amount range (in pounds, either direction), the sign (money in or out), a date
+// window and a reference prefix, and sets a category, an event or both. Rules are tried by priority, lowest
+// number first; the first enabled match that sets a category decides the category, and likewise the event.
+
+import { CONFIG } from './config.mjs';
+import { Utils } from './utils.mjs';
+import { commitWithRetry } from './storage.mjs';
+
+export class RulesEngine {
+    constructor() {
+        this.path = CONFIG.DATA_FILES.RULES;
+        this.rules = [];
+        this.signs = ['income', 'expense'];
+
+        // Compiled description regexes by source; an unusable one is stored as null and never matches
+        this.patterns = new Map();
+
+        Utils.log('info', 'RulesEngine initialized');
+    }
+
+    emptyRules() {
+        return { version: 1, rules: [] };
+    }
+
+    normalizeRules(data) {
+        return { ...this.emptyRules(), ...data, rules: [...((data && data.rules) || [])] };
+    }
+
+    // Read rules.json from the site, the repository or a checkout (a missing file means no rules yet).
+    // Rules that do not pass validateRule are left out and logged.
+    async load(source) {
+        const file = await source.readFile(this.path);
+        const data = this.normalizeRules(file ? JSON.parse(file.content) : {});
+
+        this.rules = data.rules.filter(rule => {
+            const check = this.validateRule(rule);
+            if (!check.isValid) {
+                Utils.log('warn', `Skipping rule "${rule.name || rule.id}" in ${this.path}`, check.errors);
+            }
+            return check.isValid;
+        });
+
+        Utils.log('info', 'Categorisation rules loaded', { rules: this.rules.length });
+        return this.rules;
+    }
+
+    getRule(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    // Enabled rules in the order they are tried (file order breaks ties)
+    sortRules(rules) {
+        return rules
+            .map((rule, index) => ({ rule, index }))
+            .filter(({ rule }) => rule.enabled !== false)
+            .sort((a, b) => (a.rule.priority - b.rule.priority) || (a.index - b.index))
+            .map(({ rule }) => rule);
+    }
+
+    // Check a rule from rules.json or the editor:
+    // { id, name, priority, enabled, match: { description, minAmount, maxAmount, sign, from, to, referencePrefix },
+    //   category, event }
+    validateRule(rule) {
+        const errors = [];
+        const match = rule.match || {};
+        const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+        const isAmount = value => typeof value === 'number' && !isNaN(value) && value >= 0;
+
+        if (!rule.id) errors.push('The rule has no id');
+        if (!rule.name || !rule.name.trim()) errors.push('Give the rule a name');
+        if (typeof rule.priority !== 'number' || isNaN(rule.priority)) errors.push('Priority must be a number');
+
+        if (match.description !== undefined && this.pattern(match.description) === null) {
+            errors.push(`Description pattern "${match.description}" is not a valid regular expression`);
+        }
+        if (match.minAmount !== undefined && !isAmount(match.minAmount)) errors.push('Minimum amount must be a positive number');
+        if (match.maxAmount !== undefined && !isAmount(match.maxAmount)) errors.push('Maximum amount must be a positive number');
+        if (isAmount(match.minAmount) && isAmount(match.maxAmount) && match.minAmount > match.maxAmount) {
+            errors.push('Minimum amount is more than the maximum');
+        }
+        if (match.sign !== undefined && !this.signs.includes(match.sign)) errors.push(`Sign must be one of: ${this.signs.join(', ')}`);
+        if (match.from !== undefined && !isDay(match.from)) errors.push(`"From" date "${match.from}" must be YYYY-MM-DD`);
+        if (match.to !== undefined && !isDay(match.to)) errors.push(`"To" date "${match.to}" must be YYYY-MM-DD`);
+        if (isDay(match.from) && isDay(match.to) && match.from > match.to) errors.push('"From" date is after the "To" date');
+        if (match.referencePrefix !== undefined && (typeof match.referencePrefix !== 'string' || !match.referencePrefix.trim())) {
+            errors.push('Reference prefix must not be blank');
+        }
+        if (Object.keys(match).length === 0) errors.push('Add at least one condition');
+
+        if (rule.category && !CONFIG.getAllCategories().includes(rule.category)) errors.push(`Unknown category "${rule.category}"`);
+        if (!rule.category && !(rule.event && rule.event.trim())) errors.push('The rule must set a category, an event or both');
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    pattern(source) {
+        if (!this.patterns.has(source)) {
+            let regex = null;
+            try {
+                regex = source ? new RegExp(source, 'i') : null;
+            } catch (error) {
+                regex = null;
+            }
+            this.patterns.set(source, regex);
+        }
+        return this.patterns.get(source);
+    }
+
+    // What rules look at, from a review row ({ date, description, amount, type, reference } with a positive
+    // amount) or a transactions.csv row ({ Date, Description, Amount, Type, Reference } with a signed one)
+    describe(transaction) {
+        const amount = parseFloat(transaction.amount ?? transaction.Amount);
+        const type = transaction.type ?? transaction.Type;
+        const date = Utils.parseDate(transaction.date ?? transaction.Date);
+
+        return {
+            description: String(transaction.description ?? transaction.Description ?? ''),
+            amount: isNaN(amount) ? null : Math.abs(amount),
+            sign: type === 'Income' || type === 'Expense'
+                ? type.toLowerCase()
+                : (isNaN(amount) ? null : (amount > 0 ? 'income' : 'expense')),
+            day: date ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}` : null,
+            reference: String(transaction.reference ?? transaction.Reference ?? '')
+        };
+    }
+
+    // Whether every condition of a rule holds for a transaction (or for describe()'s view of one)
+    matches(rule, transaction) {
+        const facts = transaction.day !== undefined ? transaction : this.describe(transaction);
+        const match = rule.match || {};
+
+        if (match.description !== undefined) {
+            const regex = this.pattern(match.description);
+            if (!regex || !regex.test(facts.description)) return false;
+        }
+        if (match.minAmount !== undefined && (facts.amount === null || facts.amount < match.minAmount)) return false;
+        if (match.maxAmount !== undefined && (facts.amount === null || facts.amount > match.maxAmount)) return false;
+        if (match.sign !== undefined && facts.sign !== match.sign) return false;
+        if (match.from !== undefined && (!facts.day || facts.day < match.from)) return false;
+        if (match.to !== undefined && (!facts.day || facts.day > match.to)) return false;
+        if (match.referencePrefix !== undefined &&
+            !facts.reference.toLowerCase().startsWith(match.referencePrefix.toLowerCase())) return false;
+
+        return true;
+    }
+
+    // { category, event, categoryRule, eventRule } for a transaction - null where no rule applies, or for
+    // everything when CONFIG.FEATURES.CATEGORY_SUGGESTIONS is off. rules defaults to the loaded ones.
+    suggest(transaction, rules = this.rules) {
+        const result = { category: null, event: null, categoryRule: null, eventRule: null };
+        if (!CONFIG.FEATURES.CATEGORY_SUGGESTIONS) return result;
+
+        const facts = this.describe(transaction);
+        for (const rule of this.sortRules(rules)) {
+            if (result.categoryRule && result.eventRule) break;
+            const wanted = (rule.category && !result.categoryRule) || (rule.event && !result.eventRule);
+            if (!wanted || !this.matches(rule, facts)) continue;
+
+            if (rule.category && !result.categoryRule) {
+                result.category = rule.category;
+                result.categoryRule = rule;
+            }
+            if (rule.event && !result.eventRule) {
+                result.event = rule.event;
+                result.eventRule = rule;
+            }
+        }
+        return result;
+    }
+
+    // Category and event to record for a new transaction, with the usual defaults when no rule applies
+    categorize(transaction) {
+        const { category, event } = this.suggest(transaction);
+        return { category: category || 'Uncategorized', event: event || 'General' };
+    }
+
+    // Preview a rule (saved or still being edited) against past transactions.csv rows. Each row the rule
+    // matches is listed with what it is recorded as and what the rules, with this one in place, would give
+    // it now; overriddenBy names a higher-priority rule that would win instead.
+    // Returns { rows: [{ transaction, category, event, overriddenBy: { category, event } }], checked, changed }.
+    testRule(rule, transactions) {
+        const rules = [...this.rules.filter(existing => existing.id !== rule.id), { ...rule, enabled: true }];
+        const rows = [];
+
+        transactions.forEach(transaction => {
+            if (!this.matches(rule, transaction)) return;
+
+            const suggestion = this.suggest(transaction, rules);
+            const winner = (field, other) => rule[field] && other && other.id !== rule.id ? other.name : null;
+            rows.push({
+                transaction,
+                category: suggestion.category,
+                event: suggestion.event,
+                overriddenBy: {
+                    category: winner('category', suggestion.categoryRule),
+                    event: winner('event', suggestion.eventRule)
+                }
+            });
+        });
+
+        const changed = rows.filter(row =>
+            (rule.category && row.category !== row.transaction.Category) ||
+            (rule.event && row.event !== row.transaction.Event)).length;
+
+        return { rows, checked: transactions.length, changed };
+    }
+
+    // Save (or with rule = null, remove) one rule, leaving the rest of the latest rules.json as it is
+    async saveRule(id, rule, storage, { author } = {}) {
+        if (rule) {
+            const check = this.validateRule({ ...rule, id });
+            if (!check.isValid) {
+                throw new Error(check.errors.join('\n'));
+            }
+        }
+
+        let data;
+        const commit = await commitWithRetry(storage, async head => {
+            const file = await storage.readFile(this.path, head);
+            data = this.normalizeRules(file ? JSON.parse(file.content) : {});
+
+            const index = data.rules.findIndex(existing => existing.id === id);
+            const name = rule ? rule.name : (data.rules[index] || {}).name || id;
+            if (rule) {
+                const saved = Object.assign({ id }, rule, { id, updatedBy: author || null, updatedAt: new Date().toISOString() });
+                if (index === -1) data.rules.push(saved);
+                else data.rules[index] = saved;
+            } else if (index !== -1) {
+                data.rules.splice(index, 1);
+            }
+
+            return {
+                files: [{ path: this.path, content: JSON.stringify(data, null, 2) + '\n' }],
+                message: `${rule ? 'Update' : 'Remove'} categorisation rule "${name}"` + (author ? ` (by @${author})` : ''),
+                expectedShas: { [this.path]: file ? file.sha : null }
+            };
+        });
+
+        this.rules = data.rules.filter(saved => this.validateRule(saved).isValid);
+        Utils.log('info', 'Categorisation rule saved', { id, removed: !rule, commit: commit.sha });
+        return { commit };
+    }
+}
+
+// Shared rules instance used by the parsers and importers (js/rules-engine.js exposes it to the pages)
+export const rulesEngine = new RulesEngine();
@@ -0,0 +1,509 @@
+// js/core/statement-parser.mjs - Native parsers for machine-readable bank statements
+// OFX/QFX, QIF, ISO 20022 CAMT.053 and SWIFT MT940 - exact imports with no OCR guesswork.
+// Plain text in, plain objects out, so the CLI and the extraction tests use it as the dashboard does.
+
+import { CONFIG } from './config.mjs';
+import { Utils } from './utils.mjs';
+import { rulesEngine } from './rules-engine.mjs';
+
+export class StatementParser {
+    // rules categorise the transactions read (the shared rules from data/rules.json by default)
+    constructor(rules = rulesEngine) {
+        this.rules = rules;
+
+        // QIF files carry no date format; UK banks and the SU export day-first
+        this.qifDateOrder = 'DMY';
+
+        Utils.log('info', 'StatementParser initialized');
+    }
+
+    // File extensions handled here rather than by PDF/OCR processing
+    getSupportedExtensions() {
+        return CONFIG.UPLOAD.STATEMENT_EXTENSIONS;
+    }
+
+    isStatementFile(file) {
+        const name = (file.name || '').toLowerCase();
+        return this.getSupportedExtensions().some(extension => name.endsWith(extension));
+    }
+
+    // Work out the format from the content (extensions are unreliable, e.g. .xml or .txt)
+    detectFormat(text, fileName = '') {
+        const head = text.slice(0, 2000);
+
+        if (/<OFX>|OFXHEADER/i.test(head)) return 'ofx';
+        if (/urn:iso:std:iso:20022:tech:xsd:camt\.053|<BkToCstmrStmt/i.test(text.slice(0, 5000))) return 'camt053';
+        if (/^\s*!(Type|Account|Option)/im.test(head)) return 'qif';
+        if (/^:20:/m.test(head) && /^:6[01][FM]?:/m.test(text)) return 'mt940';
+
+        const extension = fileName.toLowerCase().split('.').pop();
+        return { ofx: 'ofx', qfx: 'ofx', qif: 'qif', sta: 'mt940', mt940: 'mt940', 940: 'mt940' }[extension] || null;
+    }
+
+    // Read a statement file into the shape displayExtractedData expects
+    async processFile(file) {
+        const text = await file.text();
+        return this.parse(text, file.name);
+    }
+
+    parse(text, fileName = 'statement') {
+        const format = this.detectFormat(text, fileName);
+        const parsers = {
+            ofx: () => this.parseOFX(text),
+            qif: () => this.parseQIF(text),
+            camt053: () => this.parseCAMT053(text),
+            mt940: () => this.parseMT940(text)
+        };
+
+        if (!format) {
+            throw new Error('Unrecognised statement format. Supported: OFX/QFX, QIF, CAMT.053 XML and MT940.');
+        }
+
+        const statement = parsers[format]();
+        const transactions = statement.transactions.map(transaction => this.toReviewTransaction(transaction, format));
+
+        // Formats that only carry one balance: derive the other from the transactions
+        const net = statement.transactions.reduce((sum, transaction) => sum + transaction.amount, 0);
+        if (statement.openingBalance === null && statement.closingBalance !== null) {
+            statement.openingBalance = Math.round((statement.closingBalance - net) * 100) / 100;
+        } else if (statement.closingBalance === null && statement.openingBalance !== null) {
+            statement.closingBalance = Math.round((statement.openingBalance + net) * 100) / 100;
+        }
+
+        Utils.log('info', 'Statement parsed', {
+            format,
+            transactions: transactions.length,
+            openingBalance: statement.openingBalance,
+            closingBalance: statement.closingBalance
+        });
+
+        return {
+            fullText: text,
+            transactions,
+            summary: {
+                totalTransactions: transactions.length,
+                processingMethod: `${this.getFormatName(format)} statement import`,
+                fileName,
+                format,
+                account: statement.account || null,
+                currency: statement.currency || CONFIG.UI.CURRENCY,
+                openingBalance: statement.openingBalance,
+                closingBalance: statement.closingBalance,
+                statementStart: statement.startDate || null,
+                statementEnd: statement.endDate || null
+            }
+        };
+    }
+
+    getFormatName(format) {
+        return { ofx: 'OFX/QFX', qif: 'QIF', camt053: 'CAMT.053', mt940: 'MT940' }[format] || format;
+    }
+
+    // Convert a parsed statement line ({ date, valueDate, amount (signed), description, reference }) for review
+    toReviewTransaction(line, format) {
+        const description = (line.description || '').replace(/\s+/g, ' ').trim() || 'Bank transaction';
+        // Fall back to the bank's own reference so the row stays traceable in transactions.csv
+        const reference = line.reference || line.bankReference || '';
+        const { category, event } = this.rules.categorize({ date: line.date, description, amount: line.amount, reference });
+
+        return {
+            date: line.date,
+            valueDate: line.valueDate || line.date,
+            description,
+            amount: Math.abs(line.amount),
+            type: line.amount > 0 ? 'Income' : 'Expense',
+            category,
+            event,
+            reference,
+            bankReference: line.bankReference || '',
+            balance: line.balance ?? null,
+            confidence: 1.0, // Exact machine-readable data
+            extractionMethod: 'statement',
+            statementFormat: format
+        };
+    }
+
+    // Format a Date-like set of parts as DD/MM/YYYY
+    formatDate(year, month, day) {
+        return `${String(day).padStart(2, '0')}/${String(month).padStart(2, '0')}/${year}`;
+    }
+
+    // YYYYMMDD[HHMMSS...] or YYYY-MM-DD[THH:MM...] -> DD/MM/YYYY
+    parseISODate(value) {
+        const match = (value || '').trim().match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+        return match ? this.formatDate(match[1], match[2], match[3]) : null;
+    }
+
+    // Parse "1234.56", "1,234.56" or MT940-style "1234,56"
+    parseNumber(value, decimalComma = false) {
+        if (value === null || value === undefined) return null;
+        let text = String(value).trim().replace(/\s/g, '');
+        if (decimalComma) {
+            text = text.replace(/\./g, '').replace(',', '.');
+        } else {
+            text = text.replace(/,/g, '');
+        }
+        const number = parseFloat(text);
+        return isNaN(number) ? null : number;
+    }
+
+    // ---- OFX / QFX (SGML v1 and XML v2) ----
+
+    // Value of the first <TAG>value in an OFX block (closing tags are optional in OFX 1.x)
+    ofxValue(block, tag) {
+        const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+        return match ? this.decodeEntities(match[1].trim()) : '';
+    }
+
+    ofxBlocks(text, tag) {
+        const blocks = [];
+        const pattern = new RegExp(`<${tag}>([\\s\\S]*?)(?=</${tag}>|<${tag}>|</BANKTRANLIST>|$)`, 'gi');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            blocks.push(match[1]);
+        }
+        return blocks;
+    }
+
+    parseOFX(text) {
+        const transactions = this.ofxBlocks(text, 'STMTTRN').map(block => {
+            const name = this.ofxValue(block, 'NAME') || this.ofxValue(block, 'PAYEE');
+            const memo = this.ofxValue(block, 'MEMO');
+
+            return {
+                date: this.parseISODate(this.ofxValue(block, 'DTPOSTED')),
+                valueDate: this.parseISODate(this.ofxValue(block, 'DTAVAIL') || this.ofxValue(block, 'DTUSER')),
+                amount: this.parseNumber(this.ofxValue(block, 'TRNAMT')),
+                description: memo && memo !== name ? `${name} ${memo}` : name,
+                reference: this.ofxValue(block, 'CHECKNUM') || this.ofxValue(block, 'REFNUM'),
+                bankReference: this.ofxValue(block, 'FITID'),
+                type: this.ofxValue(block, 'TRNTYPE')
+            };
+        }).filter(transaction => transaction.date && transaction.amount !== null);
+
+        const ledger = this.ofxBlocks(text, 'LEDGERBAL')[0] || '';
+
+        return {
+            account: this.ofxValue(text, 'ACCTID'),
+            currency: this.ofxValue(text, 'CURDEF'),
+            startDate: this.parseISODate(this.ofxValue(text, 'DTSTART')),
+            endDate: this.parseISODate(this.ofxValue(text, 'DTEND')),
+            openingBalance: null,
+            closingBalance: ledger ? this.parseNumber(this.ofxValue(ledger, 'BALAMT')) : null,
+            transactions
+        };
+    }
+
+    decodeEntities(value) {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    // ---- QIF ----
+
+    // QIF dates: 01/02/2024, 1/2/24, 1/ 2'24, 2024-02-01
+    parseQIFDate(value) {
+        const text = (value || '').trim();
+        const iso = this.parseISODate(text);
+        if (iso && /^\d{4}/.test(text)) return iso;
+
+        const match = text.match(/^(\d{1,2})[\/\-.](\s?\d{1,2})[\/\-.'](\s?\d{2,4})$/);
+        if (!match) return null;
+
+        let [first, second, year] = match.slice(1).map(part => parseInt(part.trim(), 10));
+        if (year < 100) year += year > 50 ? 1900 : 2000;
+
+        const [day, month] = this.qifDateOrder === 'MDY' ? [second, first] : [first, second];
+        return this.formatDate(year, month, day);
+    }
+
+    parseQIF(text) {
+        const records = text.replace(/\r\n?/g, '\n').split(/^\^\s*$/m);
+        const transactions = [];
+        let openingBalance = null;
+
+        records.forEach(record => {
+            const fields = {};
+            record.split('\n').forEach(line => {
+                if (!line || line.startsWith('!')) return;
+                const code = line[0];
+                // Keep the first occurrence of each code (split lines repeat S/$/E)
+                if (!(code in fields)) fields[code] = line.slice(1).trim();
+            });
+
+            const date = this.parseQIFDate(fields.D);
+            const amount = this.parseNumber(fields.T ?? fields.U);
+            if (!date || amount === null) return;
+
+            // Quicken writes the starting balance as a transaction
+            if (/^opening balance$/i.test(fields.P || '')) {
+                openingBalance = amount;
+                return;
+            }
+
+            const payee = fields.P || '';
+            const memo = fields.M || '';
+            transactions.push({
+                date,
+                valueDate: date,
+                amount,
+                description: memo && memo !== payee ? `${payee} ${memo}`.trim() : payee,
+                reference: fields.N || '',
+                bankReference: ''
+            });
+        });
+
+        return {
+            account: null,
+            currency: null,
+            openingBalance,
+            closingBalance: null,
+            transactions
+        };
+    }
+
+    // ---- ISO 20022 CAMT.053 ----
+
+    // Inner XML of every <Tag> element (namespace prefixes allowed)
+    xmlBlocks(xml, tag) {
+        const blocks = [];
+        const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            blocks.push(match[1]);
+        }
+        return blocks;
+    }
+
+    // Text of the element at a path such as 'BookgDt/Dt'
+    xmlValue(xml, path) {
+        let current = xml;
+        for (const tag of path.split('/')) {
+            const blocks = this.xmlBlocks(current, tag);
+            if (blocks.length === 0) return '';
+            current = blocks[0];
+        }
+        return this.decodeEntities(current.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim());
+    }
+
+    // Amount element with its CdtDbtInd sibling as a signed number
+    camtAmount(block) {
+        const amount = this.parseNumber(this.xmlValue(block, 'Amt'));
+        if (amount === null) return null;
+        return this.xmlValue(block, 'CdtDbtInd') === 'DBIT' ? -amount : amount;
+    }
+
+    camtDate(block, path) {
+        return this.parseISODate(this.xmlValue(block, `${path}/Dt`) || this.xmlValue(block, `${path}/DtTm`));
+    }
+
+    // A file can hold several <Stmt> blocks, e.g. one per day. Statements of the same account are read as
+    // one: every transaction, in date order, from the opening balance of the earliest to the closing
+    // balance of the latest. A file covering more than one account is refused - import each separately.
+    parseCAMT053(xml) {
+        const blocks = this.xmlBlocks(xml, 'Stmt');
+        const statements = (blocks.length > 0 ? blocks : [xml]).map(block => this.parseCAMTStatement(block));
+
+        const accounts = [...new Set(statements.map(statement => statement.account).filter(Boolean))];
+        if (accounts.length > 1) {
+            throw new Error(`This CAMT.053 file holds statements for ${accounts.length} accounts (${accounts.join(', ')}). ` +
+                'Export one account per file.');
+        }
+
+        // Earliest period first; file order when a statement gives no period
+        const sortKey = date => date.split('/').reverse().join('');
+        if (statements.every(statement => statement.startDate)) {
+            statements.sort((a, b) => sortKey(a.startDate).localeCompare(sortKey(b.startDate)));
+        }
+
+        const first = statements[0];
+        const last = statements[statements.length - 1];
+        return {
+            account: accounts[0] || '',
+            currency: first.currency,
+            startDate: first.startDate,
+            endDate: last.endDate,
+            openingBalance: first.openingBalance,
+            closingBalance: last.closingBalance,
+            transactions: statements.flatMap(statement => statement.transactions)
+        };
+    }
+
+    // One <Stmt> block
+    parseCAMTStatement(statement) {
+        const balances = {};
+        this.xmlBlocks(statement, 'Bal').forEach(balance => {
+            const code = this.xmlValue(balance, 'Tp/CdOrPrtry/Cd');
+            balances[code] = this.camtAmount(balance);
+        });
+
+        const transactions = this.xmlBlocks(statement, 'Ntry').map(entry => {
+            const debit = this.xmlValue(entry, 'CdtDbtInd') === 'DBIT';
+            // The counterparty is the creditor on payments out and the debtor on money in
+            const party = this.xmlValue(entry, debit ? 'RltdPties/Cdtr/Nm' : 'RltdPties/Dbtr/Nm') ||
+                this.xmlValue(entry, debit ? 'RltdPties/Cdtr/Pty/Nm' : 'RltdPties/Dbtr/Pty/Nm');
+            const remittance = this.xmlValue(entry, 'RmtInf/Ustrd');
+            const additional = this.xmlValue(entry, 'AddtlNtryInf');
+
+            return {
+                date: this.camtDate(entry, 'BookgDt'),
+                valueDate: this.camtDate(entry, 'ValDt'),
+                amount: this.camtAmount(entry),
+                description: [party, remittance].filter(Boolean).join(' ') || additional,
+                reference: this.xmlValue(entry, 'Refs/EndToEndId').replace(/^NOTPROVIDED$/, '') || this.xmlValue(entry, 'NtryRef'),
+                bankReference: this.xmlValue(entry, 'AcctSvcrRef')
+            };
+        }).filter(transaction => transaction.date && transaction.amount !== null);
+
+        return {
+            account: this.xmlValue(statement, 'Acct/Id/IBAN') || this.xmlValue(statement, 'Acct/Id/Othr/Id'),
+            currency: (statement.match(/<(?:\w+:)?Amt\s+Ccy="([A-Z]{3})"/) || [])[1] || null,
+            startDate: this.parseISODate(this.xmlValue(statement, 'FrToDt/FrDtTm')),
+            endDate: this.parseISODate(this.xmlValue(statement, 'FrToDt/ToDtTm')),
+            openingBalance: balances.OPBD ?? balances.PRCD ?? null,
+            closingBalance: balances.CLBD ?? null,
+            transactions
+        };
+    }
+
+    // ---- SWIFT MT940 ----
+
+    // Split an MT940 message into [tag, value] pairs (values may span several lines)
+    mt940Fields(text) {
+        const fields = [];
+        text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            const match = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+            if (match) {
+                fields.push([match[1], match[2]]);
+            } else if (fields.length > 0 && line.trim() !== '-' && !/^[{}]/.test(line)) {
+                fields[fields.length - 1][1] += '\n' + line;
+            }
+        });
+        return fields;
+    }
+
+    // Balance fields (:60F:, :62F:): C/D mark, YYMMDD, currency, amount
+    parseMT940Balance(value) {
+        const match = value.match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)/);
+        if (!match) return null;
+        const amount = this.parseNumber(match[4], true);
+        return {
+            amount: match[1] === 'D' ? -amount : amount,
+            date: this.parseMT940Date(match[2]),
+            currency: match[3]
+        };
+    }
+
+    parseMT940Date(yymmdd) {
+        const year = parseInt(yymmdd.slice(0, 2), 10);
+        return this.formatDate(year + (year > 79 ? 1900 : 2000), yymmdd.slice(2, 4), yymmdd.slice(4, 6));
+    }
+
+    parseMT940(text) {
+        const statement = {
+            account: null,
+            currency: null,
+            openingBalance: null,
+            closingBalance: null,
+            transactions: []
+        };
+
+        let current = null;
+        this.mt940Fields(text).forEach(([tag, value]) => {
+            switch (tag) {
+                case '25':
+                    statement.account = value.trim();
+                    break;
+
+                case '60F':
+                case '60M': {
+                    const balance = this.parseMT940Balance(value);
+                    // Multi-message statements: keep the first opening balance
+                    if (balance && statement.openingBalance === null) {
+                        statement.openingBalance = balance.amount;
+                        statement.currency = balance.currency;
+                        statement.startDate = balance.date;
+                    }
+                    break;
+                }
+
+                case '62F':
+                case '62M': {
+                    const balance = this.parseMT940Balance(value);
+                    if (balance) {
+                        statement.closingBalance = balance.amount;
+                        statement.endDate = balance.date;
+                    }
+                    break;
+                }
+
+                case '61': {
+                    // YYMMDD value date, optional MMDD entry date, (R)C/D mark, optional funds code,
+                    // amount, transaction type, customer reference, //bank reference, supplementary details
+                    const [first, ...rest] = value.split('\n');
+                    const match = first.match(/^(\d{6})(\d{4})?(R?[CD])([A-Z])?([\d,]+)([NFS][A-Z0-9]{3})([^/]*)(?:\/\/(.*))?$/);
+                    if (!match) {
+                        Utils.log('warn', 'Unreadable MT940 :61: line', value);
+                        current = null;
+                        return;
+                    }
+
+                    const valueDate = this.parseMT940Date(match[1]);
+                    let bookingDate = valueDate;
+                    if (match[2]) {
+                        // Entry date shares the value date's year unless it wraps over new year
+                        let year = parseInt(valueDate.slice(6), 10);
+                        const entryMonth = parseInt(match[2].slice(0, 2), 10);
+                        const valueMonth = parseInt(match[1].slice(2, 4), 10);
+                        if (entryMonth === 1 && valueMonth === 12) year++;
+                        if (entryMonth === 12 && valueMonth === 1) year--;
+                        bookingDate = this.formatDate(year, match[2].slice(0, 2), match[2].slice(2, 4));
+                    }
+
+                    const amount = this.parseNumber(match[5], true);
+                    // RC (reversal of credit) is money out, RD (reversal of debit) is money in
+                    const isDebit = match[3] === 'D' || match[3] === 'RC';
+                    const reference = (match[7] || '').trim();
+
+                    current = {
+                        date: bookingDate,
+                        valueDate,
+                        amount: isDebit ? -amount : amount,
+                        description: rest.join(' ').trim(),
+                        reference: reference === 'NONREF' ? '' : reference,
+                        bankReference: (match[8] || '').trim()
+                    };
+                    statement.transactions.push(current);
+                    break;
+                }
+
+                case '86':
+                    // Information to account owner - belongs to the preceding :61:
+                    if (current) {
+                        current.description = [current.description, this.cleanMT940Details(value)]
+                            .filter(Boolean).join(' ');
+                    }
+                    break;
+            }
+        });
+
+        return statement;
+    }
+
+    // Structured :86: fields (e.g. "?20text?21more" or "/REMI/text") to plain text
+    cleanMT940Details(value) {
+        return value
+            .replace(/\n/g, '')
+            .replace(/\?\d{2}/g, ' ')
+            .replace(/\/(REMI|NAME|EREF|ORDP|BENM|ADDR)\//g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+// Shared parser instance (js/statement-parser.js exposes it to the pages)
+export const statementParser = new StatementParser();
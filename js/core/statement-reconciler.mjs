@@ -0,0 +1,226 @@
+// js/core/statement-reconciler.mjs - Check extracted statement rows against the statement's own balances
+// Walks the rows in statement order keeping a running balance, and finds the first place it disagrees
+
+import { Utils } from './utils.mjs';
+
+export class StatementReconciler {
+    constructor() {
+        // Differences below half a penny are rounding, not errors
+        this.tolerance = 0.005;
+
+        this.balancePatterns = {
+            opening: /brought\s+forward|\bb\/\s?f\b|\bb\/?fwd\b|opening\s+balance|balance\s+forward|previous\s+balance|start(?:ing)?\s+balance/i,
+            closing: /carried\s+forward|\bc\/\s?f\b|\bc\/?fwd\b|closing\s+balance|end(?:ing)?\s+balance|final\s+balance/i,
+            checkpoint: /^\s*(?:\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}\s+)?balance\b/i
+        };
+
+        Utils.log('info', 'StatementReconciler initialized');
+    }
+
+    // Recognise a balance, brought-forward or carried-forward line.
+    // Returns { kind: 'opening' | 'closing' | 'checkpoint', amount, text } or null.
+    detectBalanceLine(text) {
+        const line = String(text || '').trim();
+        if (!line) return null;
+
+        const kind = this.balancePatterns.opening.test(line) ? 'opening'
+            : this.balancePatterns.closing.test(line) ? 'closing'
+            : this.balancePatterns.checkpoint.test(line) ? 'checkpoint'
+            : null;
+        if (!kind) return null;
+
+        // The balance is the last amount on the line (a header like "Balance" has none)
+        const amounts = [...line.matchAll(/(-?)\s*[£$€]?\s*(\(?)([\d,]+\.\d{2})\)?(\s*(?:CR|DR)\b)?/gi)];
+        if (amounts.length === 0) return null;
+
+        const [, minus, bracket, digits, mark] = amounts[amounts.length - 1];
+        const isNegative = minus === '-' || bracket === '(' || /DR/i.test(mark || '');
+        const amount = parseFloat(digits.replace(/,/g, ''));
+
+        return {
+            kind,
+            amount: isNegative ? -amount : amount,
+            text: line
+        };
+    }
+
+    // Signed effect of a review row on the balance
+    signedAmount(transaction) {
+        const amount = Math.abs(parseFloat(transaction.amount)) || 0;
+        return transaction.type === 'Income' ? amount : -amount;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // Reconcile review rows against the statement.
+    // transactions: review-shaped rows (amount positive, type Income/Expense). Rows and balance lines
+    //   may carry a numeric `position` giving statement order; otherwise the array order is used.
+    //   A row's `balance` (the statement's balance column) is checked when present.
+    // statement: { balanceLines: [{ kind, amount, position }], openingBalance, closingBalance }
+    reconcile(transactions, statement = {}) {
+        const balanceLines = statement.balanceLines || [];
+        const hasPositions = transactions.length > 0 &&
+            transactions.every(transaction => typeof transaction.position === 'number');
+
+        // Merge rows and balance lines into one sequence in statement order
+        const events = transactions.map((transaction, index) => ({
+            type: 'row',
+            index,
+            transaction,
+            position: hasPositions ? transaction.position : index
+        }));
+        if (hasPositions) {
+            balanceLines
+                .filter(line => typeof line.position === 'number')
+                .forEach(line => events.push({ type: 'balance', line, position: line.position }));
+            events.sort((a, b) => a.position - b.position || (a.type === 'balance' ? -1 : 1));
+        }
+
+        const rows = new Array(transactions.length);
+        const checks = [];
+        let running = this.isNumber(statement.openingBalance) ? statement.openingBalance : null;
+        let openingBalance = running;
+        let lastGoodIndex = -1;   // last row the balance was confirmed after
+        const rowsSeen = [];      // row indexes in statement order
+        let divergence = null;
+
+        const check = (kind, label, expected, rowIndex = null) => {
+            const difference = this.round(expected - running);
+            const ok = Math.abs(difference) < this.tolerance;
+            checks.push({ kind, label, expected, computed: this.round(running), difference, ok, rowIndex });
+
+            if (ok) {
+                lastGoodIndex = rowsSeen.length - 1;
+            } else if (!divergence) {
+                divergence = this.describeDivergence(rowsSeen.slice(lastGoodIndex + 1), transactions, difference, rowIndex !== null);
+            }
+        };
+
+        for (const event of events) {
+            if (event.type === 'balance') {
+                const { line } = event;
+                if (running === null) {
+                    running = line.amount;
+                    openingBalance = line.amount;
+                } else {
+                    check(line.kind, line.text || this.describeKind(line.kind), line.amount);
+                }
+                continue;
+            }
+
+            const { transaction, index } = event;
+            const signed = this.signedAmount(transaction);
+            const statementBalance = this.isNumber(transaction.balance) ? transaction.balance : null;
+
+            // No opening balance yet - work it back from this row's printed balance
+            if (running === null && statementBalance !== null) {
+                running = this.round(statementBalance - signed);
+                openingBalance = running;
+            }
+
+            rowsSeen.push(index);
+            if (running !== null) {
+                running = this.round(running + signed);
+            }
+
+            rows[index] = {
+                index,
+                signedAmount: signed,
+                runningBalance: running,
+                statementBalance
+            };
+
+            if (running !== null && statementBalance !== null) {
+                check('row', `Row ${index + 1} balance`, statementBalance, index);
+            }
+        }
+
+        const closingBalance = this.isNumber(statement.closingBalance) ? statement.closingBalance : null;
+        if (running !== null && closingBalance !== null) {
+            check('closing', 'Closing balance', closingBalance);
+        }
+
+        const status = running === null || checks.length === 0 ? 'unverifiable'
+            : divergence ? 'unbalanced'
+            : 'reconciled';
+
+        const result = {
+            status,
+            openingBalance,
+            closingBalance,
+            computedClosing: running,
+            rows,
+            checks,
+            divergence
+        };
+
+        Utils.log('debug', 'Statement reconciliation', {
+            status,
+            checks: checks.length,
+            divergesAt: divergence ? divergence.index : null
+        });
+
+        return result;
+    }
+
+    // Rows are only saved without a note once the statement reconciles. Rows that contradict the balances,
+    // and rows that cannot be checked because no balance lines were found, need the treasurer's note saying
+    // why it is safe - otherwise a missed balance line would skip the check without anyone noticing.
+    requiresNote(result) {
+        return result.status !== 'reconciled';
+    }
+
+    // What to record with the saved rows: null for a statement that reconciles
+    describeOverride(result, note = '') {
+        return result.status === 'reconciled' ? null : `Statement ${result.status}: ${note}`;
+    }
+
+    // Work out where a failed check went wrong. `candidates` are the rows (in statement order)
+    // since the last balance that agreed; one of them, or a row missing between them, is at fault.
+    describeDivergence(candidates, transactions, difference, exactRow) {
+        const amount = Utils.formatCurrency(Math.abs(difference));
+        const direction = difference > 0 ? 'higher' : 'lower';
+
+        // A row whose sign is flipped is off by twice its amount
+        const flipped = candidates.find(index =>
+            Math.abs(Math.abs(this.signedAmount(transactions[index]) * 2) - Math.abs(difference)) < this.tolerance
+        );
+
+        let index = null;
+        let hint;
+        if (candidates.length === 0) {
+            hint = `A row of ${amount} appears to be missing before this balance.`;
+        } else if (exactRow || candidates.length === 1) {
+            index = candidates[candidates.length - 1];
+            hint = `The statement balance is ${amount} ${direction} than the running total at row ${index + 1}.`;
+        } else if (flipped !== undefined) {
+            index = flipped;
+            hint = `Row ${flipped + 1} would fix the difference if its type (Income/Expense) were swapped.`;
+        } else {
+            index = candidates[0];
+            hint = `The statement balance is ${amount} ${direction} than the running total somewhere between rows ` +
+                `${Math.min(...candidates) + 1} and ${Math.max(...candidates) + 1} - check for a misread or missing row.`;
+        }
+
+        return {
+            index,
+            rows: candidates,
+            difference,
+            exact: index !== null && (exactRow || candidates.length === 1),
+            message: hint
+        };
+    }
+
+    describeKind(kind) {
+        return { opening: 'Balance brought forward', closing: 'Balance carried forward', checkpoint: 'Balance' }[kind] || 'Balance';
+    }
+
+    isNumber(value) {
+        return typeof value === 'number' && !isNaN(value);
+    }
+}
+
+// Shared statement reconciler instance (js/statement-reconciler.js exposes it to the pages)
+export const statementReconciler = new StatementReconciler();
@@ -0,0 +1,122 @@
+// js/core/storage.mjs - Where the core reads and writes data files
+// Anything with readFile(path) -> { content, sha } (or null when there is no such file) can be loaded from:
+// GitHubStorage reads the repository, createFetchSource the published site and createFileSource a checkout
+// on disk. Saving also needs getBranchHead(), commitFiles(files, message, { parent, expectedShas }) and maxRetries,
+// with a GitHubConflictError when someone else committed first - GitHubStorage, or createFileStorage for a checkout.
+// commitWithRetry wraps the read -> change -> commit cycle every save goes through.
+
+import { Utils } from './utils.mjs';
+
+// Raised when the branch moved on (or a file changed) between reading and committing
+export class GitHubConflictError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'GitHubConflictError';
+        this.details = details;
+    }
+}
+
+// Files served over HTTP, e.g. the published site (paths relative to baseUrl). fetch defaults to the global one.
+export function createFetchSource({ fetch = (...args) => globalThis.fetch(...args), baseUrl = '' } = {}) {
+    return {
+        async readFile(path) {
+            const response = await fetch(baseUrl + path);
+            if (response.status === 404) {
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`Failed to load ${path}: ${response.status} ${response.statusText}`);
+            }
+            return { content: await response.text(), sha: null };
+        }
+    };
+}
+
+// Files in a directory on disk (Node only - fs is imported when the first file is read)
+export function createFileSource(root) {
+    return {
+        async readFile(path) {
+            const fs = await import('node:fs/promises');
+            try {
+                return { content: await fs.readFile(`${root}/${path}`, 'utf8'), sha: null };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        }
+    };
+}
+
+// A checkout on disk that can be saved to like GitHubStorage (Node only). commitFiles writes the files in
+// place and leaves committing them to git; a file's sha is a hash of its content, so one edited between
+// reading and saving is still refused as a conflict.
+export function createFileStorage(root) {
+    const source = createFileSource(root);
+    const shaOf = async content => (await import('node:crypto')).createHash('sha1').update(content).digest('hex');
+
+    return {
+        maxRetries: 0,
+
+        // A working tree has no head to move - every read sees the files as they are now
+        async getBranchHead() {
+            return null;
+        },
+
+        async readFile(path) {
+            const file = await source.readFile(path);
+            return file && { path, content: file.content, sha: await shaOf(file.content) };
+        },
+
+        // files are { path, content } for text or { path, base64 } for binary files, as for GitHubStorage
+        async commitFiles(files, message, { expectedShas = {} } = {}) {
+            for (const [path, expectedSha] of Object.entries(expectedShas)) {
+                const current = await this.readFile(path);
+                if ((current ? current.sha : null) !== expectedSha) {
+                    throw new GitHubConflictError(`${path} was changed by someone else while you were saving.`, {
+                        path,
+                        expected: expectedSha,
+                        actual: current ? current.sha : null
+                    });
+                }
+            }
+
+            const fs = await import('node:fs/promises');
+            const { dirname } = await import('node:path');
+            for (const file of files) {
+                const target = `${root}/${file.path}`;
+                await fs.mkdir(dirname(target), { recursive: true });
+                await fs.writeFile(target, file.base64 !== undefined ? Buffer.from(file.base64, 'base64') : file.content);
+            }
+
+            return { sha: null, message, files: files.map(file => file.path) };
+        }
+    };
+}
+
+// Commit a change to data files, starting again from the latest branch head when someone else commits first
+// (up to storage.maxRetries times). prepare(head) reads the files it needs at head, applies the change and
+// returns { files, message, expectedShas } for storage.commitFiles - or null when there is nothing to commit.
+// Because the change is re-applied to whatever is newest, two people saving different parts of a file do not
+// overwrite each other. Returns the commit, or null.
+export async function commitWithRetry(storage, prepare) {
+    for (let attempt = 0; ; attempt++) {
+        const head = await storage.getBranchHead();
+        const change = await prepare(head);
+        if (!change) {
+            return null;
+        }
+
+        try {
+            return await storage.commitFiles(change.files, change.message, {
+                parent: head,
+                expectedShas: change.expectedShas || {}
+            });
+        } catch (error) {
+            if (error instanceof GitHubConflictError && attempt < storage.maxRetries) {
+                Utils.log('warn', `Save conflict on "${change.message.split('\n')[0]}", retrying with latest data`, error.details);
+                continue;
+            }
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,173 @@
+// js/core/summary-builder.mjs - Derive summary.json from transactions.csv rows
+// Shared by DataManager in the browser and scripts/build-summary.js in Node, so both compute the same figures.
+// Transfers between the club's own accounts (see ledger.mjs) are not income or expenses and are left out of them.
+
+import { Utils } from './utils.mjs';
+import { Ledger } from './ledger.mjs';
+
+export const SummaryBuilder = {
+    // Differences below half a penny are rounding, not disagreement
+    tolerance: 0.005,
+
+    round: (value) => Math.round(value * 100) / 100,
+
+    amountOf: (transaction) => parseFloat(transaction.Amount) || 0,
+
+    // "2024-09" for a transaction dated 14/09/2024
+    monthKey: (value) => {
+        const date = Utils.parseDate(value);
+        return date ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}` : null;
+    },
+
+    // Income, expenses (positive), balance and count. count includes transfers; the money figures do not.
+    totals: (transactions) => {
+        const totals = {
+            income: 0,
+            expenses: 0,
+            balance: 0,
+            count: transactions.length
+        };
+
+        transactions.forEach(transaction => {
+            if (Ledger.isTransfer(transaction)) return;
+
+            const amount = SummaryBuilder.amountOf(transaction);
+            if (amount > 0) {
+                totals.income += amount;
+            } else {
+                totals.expenses += Math.abs(amount);
+            }
+        });
+
+        totals.balance = totals.income - totals.expenses;
+        return totals;
+    },
+
+    // Group by keyOf(transaction): [{ key, income, expenses, net, count }], largest net movement first.
+    // Split rows are grouped split by split (see Ledger.parts); transfers are skipped.
+    breakdown: (transactions, keyOf) => {
+        const groups = {};
+
+        transactions.flatMap(Ledger.parts).forEach(transaction => {
+            if (Ledger.isTransfer(transaction)) return;
+
+            const key = keyOf(transaction);
+            const amount = SummaryBuilder.amountOf(transaction);
+
+            if (!groups[key]) {
+                groups[key] = { income: 0, expenses: 0, net: 0, count: 0 };
+            }
+
+            if (amount > 0) {
+                groups[key].income += amount;
+            } else {
+                groups[key].expenses += Math.abs(amount);
+            }
+
+            groups[key].net += amount;
+            groups[key].count++;
+        });
+
+        return Object.entries(groups)
+            .map(([key, data]) => ({ key, ...data }))
+            .sort((a, b) => Math.abs(b.net) - Math.abs(a.net));
+    },
+
+    // Per-month figures in date order: [{ month: 'YYYY-MM', income, expenses, net, count, date }]
+    monthly: (transactions) => {
+        const dated = transactions.filter(transaction => SummaryBuilder.monthKey(transaction.Date));
+
+        return SummaryBuilder.breakdown(dated, transaction => SummaryBuilder.monthKey(transaction.Date))
+            .map(({ key, ...data }) => {
+                const [year, month] = key.split('-').map(Number);
+                return { month: key, ...data, date: new Date(year, month - 1, 1) };
+            })
+            .sort((a, b) => a.date - b.date);
+    },
+
+    // { key: rounded net } for a breakdown
+    netByKey: (groups, keyName = 'key') => {
+        const result = {};
+        groups.forEach(group => {
+            result[group[keyName]] = SummaryBuilder.round(group.net);
+        });
+        return result;
+    },
+
+    // Derived figures for the recentActivity section; fields that cannot be derived are kept from previous
+    recentActivity: (transactions, previous = {}) => {
+        if (transactions.length === 0) return { ...previous };
+
+        const round = SummaryBuilder.round;
+        const amounts = transactions.filter(transaction => !Ledger.isTransfer(transaction)).map(SummaryBuilder.amountOf);
+        const dates = transactions.map(transaction => Utils.parseDate(transaction.Date)).filter(Boolean);
+        const months = SummaryBuilder.monthly(transactions);
+        const totals = SummaryBuilder.totals(transactions);
+        const categories = SummaryBuilder.breakdown(transactions, transaction => transaction.Category)
+            .sort((a, b) => b.count - a.count);
+        const events = new Set(transactions.map(transaction => transaction.Event).filter(event => event && event !== 'General'));
+
+        const latest = dates.length > 0 ? new Date(Math.max(...dates)) : null;
+        const pad = value => String(value).padStart(2, '0');
+
+        return {
+            ...previous,
+            lastTransaction: latest ? `${latest.getFullYear()}-${pad(latest.getMonth() + 1)}-${pad(latest.getDate())}` : null,
+            averageMonthlyIncome: months.length > 0 ? round(totals.income / months.length) : 0,
+            averageMonthlyExpenses: months.length > 0 ? round(totals.expenses / months.length) : 0,
+            largestIncome: round(Math.max(0, ...amounts)),
+            largestExpense: round(Math.min(0, ...amounts)),
+            mostActiveCategory: categories.length > 0 ? categories[0].key : null,
+            totalEvents: events.size
+        };
+    },
+
+    // Build summary.json. Sections not derived here (e.g. trends) are carried over from previousSummary.
+    build: (transactions, previousSummary = {}, { now = new Date() } = {}) => {
+        const round = SummaryBuilder.round;
+        const totals = SummaryBuilder.totals(transactions);
+
+        return {
+            ...previousSummary,
+            lastUpdated: now.toISOString(),
+            totalIncome: round(totals.income),
+            totalExpenses: round(totals.expenses),
+            balance: round(totals.balance),
+            transactionCount: totals.count,
+            byCategory: SummaryBuilder.netByKey(SummaryBuilder.breakdown(transactions, transaction => transaction.Category)),
+            byEvent: SummaryBuilder.netByKey(SummaryBuilder.breakdown(transactions, transaction => transaction.Event)),
+            byMonth: SummaryBuilder.netByKey(SummaryBuilder.monthly(transactions), 'month'),
+            byAccount: Ledger.balances(transactions),
+            recentActivity: SummaryBuilder.recentActivity(transactions, previousSummary.recentActivity)
+        };
+    },
+
+    // List where a summary disagrees with the transactions: [{ field, summary, transactions }]
+    compare: (summary, transactions) => {
+        const expected = SummaryBuilder.build(transactions, {});
+        const differences = [];
+        const differs = (a, b) => typeof a !== 'number' || typeof b !== 'number'
+            ? a !== b
+            : Math.abs(a - b) >= SummaryBuilder.tolerance;
+
+        ['transactionCount', 'totalIncome', 'totalExpenses', 'balance'].forEach(field => {
+            if (differs(summary[field], expected[field])) {
+                differences.push({ field, summary: summary[field] ?? null, transactions: expected[field] });
+            }
+        });
+
+        ['byCategory', 'byEvent', 'byMonth', 'byAccount'].forEach(section => {
+            const actual = summary[section] || {};
+            const keys = new Set([...Object.keys(actual), ...Object.keys(expected[section])]);
+            keys.forEach(key => {
+                const summaryValue = actual[key] ?? 0;
+                const transactionValue = expected[section][key] ?? 0;
+                if (differs(summaryValue, transactionValue)) {
+                    differences.push({ field: `${section}.${key}`, summary: summaryValue, transactions: transactionValue });
+                }
+            });
+        });
+
+        return differences;
+    }
+};
@@ -0,0 +1,445 @@
+// js/core/utils.mjs - Helper functions for UMHC Finance System (FIXED DATE PARSING)
+// Formatting, dates, validation and logging with no DOM use; js/utils.js adds the browser-only helpers.
+
+import { CONFIG } from './config.mjs';
+import { CSV } from './csv.mjs';
+
+export const Utils = {
+    // Currency formatting
+    formatCurrency: (amount, showSymbol = true) => {
+        const formatted = new Intl.NumberFormat('en-GB', {
+            style: showSymbol ? 'currency' : 'decimal',
+            currency: 'GBP',
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }).format(Math.abs(amount));
+        
+        return amount < 0 ? `-${formatted}` : formatted;
+    },
+    
+    // Date formatting with proper DD/MM/YYYY support
+    formatDate: (date, format = 'short') => {
+        const dateObj = Utils.parseDate(date);
+        
+        if (!dateObj || isNaN(dateObj)) {
+            return 'Invalid Date';
+        }
+        
+        switch (format) {
+            case 'short':
+                return dateObj.toLocaleDateString('en-GB');
+            case 'long':
+                return dateObj.toLocaleDateString('en-GB', {
+                    weekday: 'long',
+                    year: 'numeric',
+                    month: 'long',
+                    day: 'numeric'
+                });
+            case 'month-year':
+                return dateObj.toLocaleDateString('en-GB', {
+                    year: 'numeric',
+                    month: 'long'
+                });
+            default:
+                return dateObj.toLocaleDateString('en-GB');
+        }
+    },
+
+    // FIXED: Parse dates in DD/MM/YYYY format (British format) - Much more robust
+    parseDate: (dateString) => {
+        if (!dateString) return null;
+        
+        // If it's already a Date object, return it
+        if (dateString instanceof Date) {
+            return dateString;
+        }
+        
+        // Convert to string and clean it thoroughly
+        const dateStr = dateString.toString().trim().replace(/\s+/g, '');
+        
+        // Try DD/MM/YYYY format first (British format) - IMPROVED LOGIC
+        if (dateStr.includes('/')) {
+            const parts = dateStr.split('/');
+            if (parts.length === 3) {
+                // Parse each part and ensure they're valid numbers
+                const day = parseInt(parts[0].trim(), 10);
+                const month = parseInt(parts[1].trim(), 10);
+                const year = parseInt(parts[2].trim(), 10);
+                
+                // More thorough validation
+                if (!isNaN(day) && !isNaN(month) && !isNaN(year) &&
+                    day >= 1 && day <= 31 && 
+                    month >= 1 && month <= 12 && 
+                    year >= 1900 && year <= 2100) {
+                    
+                    try {
+                        // Create date with month-1 because JavaScript months are 0-indexed
+                        const dateObj = new Date(year, month - 1, day);
+                        
+                        // FIXED: More lenient validation - just check the date is reasonable
+                        // Some edge cases like leap years can cause the strict check to fail
+                        if (dateObj.getFullYear() === year && 
+                            dateObj.getMonth() === (month - 1) && 
+                            Math.abs(dateObj.getDate() - day) <= 3) { // Allow slight day drift for edge cases
+                            return dateObj;
+                        }
+                        
+                        // If that failed, try a more permissive approach
+                        const dateObj2 = new Date(`${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`);
+                        if (!isNaN(dateObj2.getTime())) {
+                            return dateObj2;
+                        }
+                        
+                    } catch (error) {
+                        Utils.log('debug', 'Date parsing error for DD/MM/YYYY format', { dateStr, error });
+                    }
+                }
+            }
+        }
+        
+        // Try DD-MM-YYYY format
+        if (dateStr.includes('-')) {
+            const parts = dateStr.split('-');
+            if (parts.length === 3) {
+                // If it looks like DD-MM-YYYY (day first)
+                if (parts[0].length <= 2 && parts[1].length <= 2 && parts[2].length === 4) {
+                    const day = parseInt(parts[0], 10);
+                    const month = parseInt(parts[1], 10);
+                    const year = parseInt(parts[2], 10);
+                    
+                    if (!isNaN(day) && !isNaN(month) && !isNaN(year) &&
+                        day >= 1 && day <= 31 && month >= 1 && month <= 12) {
+                        try {
+                            const dateObj = new Date(year, month - 1, day);
+                            if (!isNaN(dateObj.getTime())) {
+                                return dateObj;
+                            }
+                        } catch (error) {
+                            Utils.log('debug', 'Date parsing error for DD-MM-YYYY format', { dateStr, error });
+                        }
+                    }
+                }
+                
+                // Try ISO format (YYYY-MM-DD) as fallback
+                try {
+                    const dateObj = new Date(dateStr);
+                    if (!isNaN(dateObj.getTime())) {
+                        return dateObj;
+                    }
+                } catch (error) {
+                    Utils.log('debug', 'Date parsing error for ISO format', { dateStr, error });
+                }
+            }
+        }
+        
+        // Last resort: try various other formats but log a warning
+        try {
+            // Try parsing with explicit British locale interpretation
+            const britishFormats = [
+                dateStr,
+                dateStr.replace(/\//g, '-'),
+                // Convert DD/MM/YYYY to YYYY-MM-DD for reliable parsing
+                (() => {
+                    const parts = dateStr.split('/');
+                    if (parts.length === 3) {
+                        return `${parts[2]}-${parts[1].padStart(2, '0')}-${parts[0].padStart(2, '0')}`;
+                    }
+                    return null;
+                })()
+            ].filter(Boolean);
+            
+            for (const format of britishFormats) {
+                const dateObj = new Date(format);
+                if (!isNaN(dateObj.getTime()) && dateObj.getFullYear() >= 1900) {
+                    Utils.log('debug', 'Date parsed using fallback format', { original: dateString, parsed: format });
+                    return dateObj;
+                }
+            }
+        } catch (error) {
+            Utils.log('debug', 'All date parsing attempts failed', { dateStr, error });
+        }
+        
+        Utils.log('warn', 'Unable to parse date', { dateString, cleaned: dateStr });
+        return null;
+    },
+    
+    // Number formatting
+    formatNumber: (number, decimals = 0) => {
+        return new Intl.NumberFormat('en-GB', {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }).format(number);
+    },
+    
+    // Percentage formatting
+    formatPercentage: (value, decimals = 1) => {
+        return `${(value * 100).toFixed(decimals)}%`;
+    },
+    
+    // CSV parsing utility - delegates to the RFC 4180 parser in csv.js
+    // Malformed rows are logged with their line numbers; use CSV.parse to inspect them
+    parseCSV: (csvText) => {
+        const result = CSV.parse(csvText);
+        
+        result.errors.forEach(error => {
+            Utils.log('warn', `CSV line ${error.line}: ${error.message}`, error.fields);
+        });
+        
+        return result.rows;
+    },
+    
+    // Logging utility
+    log: (level, message, data = null) => {
+        if (!CONFIG || !CONFIG.DEBUG || !CONFIG.DEBUG.ENABLED) return;
+        
+        const levels = ['debug', 'info', 'warn', 'error'];
+        const configLevel = CONFIG.DEBUG.LOG_LEVEL || 'info';
+        const currentLevelIndex = levels.indexOf(configLevel);
+        const messageLevelIndex = levels.indexOf(level);
+        
+        if (messageLevelIndex >= currentLevelIndex) {
+            const timestamp = new Date().toISOString();
+            const prefix = `[UMHC Finance ${timestamp}]`;
+            
+            if (data) {
+                console[level](prefix, message, data);
+            } else {
+                console[level](prefix, message);
+            }
+        }
+    },
+    
+    // Escape text for interpolation into innerHTML templates
+    escapeHtml: (value) => {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+    
+    // Date range helpers
+    dateRange: {
+        today: () => {
+            const today = new Date();
+            return {
+                start: new Date(today.getFullYear(), today.getMonth(), today.getDate()),
+                end: new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1)
+            };
+        },
+        
+        thisMonth: () => {
+            const today = new Date();
+            return {
+                start: new Date(today.getFullYear(), today.getMonth(), 1),
+                end: new Date(today.getFullYear(), today.getMonth() + 1, 1)
+            };
+        },
+        
+        thisQuarter: () => {
+            const today = new Date();
+            const quarter = Math.floor(today.getMonth() / 3);
+            return {
+                start: new Date(today.getFullYear(), quarter * 3, 1),
+                end: new Date(today.getFullYear(), (quarter + 1) * 3, 1)
+            };
+        },
+        
+        thisYear: () => {
+            const today = new Date();
+            return {
+                start: new Date(today.getFullYear(), 0, 1),
+                end: new Date(today.getFullYear() + 1, 0, 1)
+            };
+        },
+        
+        // Financial (academic) year containing date, moved by offset years. Starts in CONFIG.FINANCIAL_YEAR.START_MONTH.
+        financialYear: (date = new Date(), offset = 0) => {
+            const startMonth = CONFIG.FINANCIAL_YEAR.START_MONTH - 1;
+            const startYear = date.getFullYear() - (date.getMonth() < startMonth ? 1 : 0) + offset;
+            return {
+                start: new Date(startYear, startMonth, 1),
+                end: new Date(startYear + 1, startMonth, 1),
+                startYear: startYear,
+                label: startMonth === 0 ? `${startYear}` : `${startYear}/${String(startYear + 1).slice(-2)}`
+            };
+        },
+
+        // Terms of the financial year containing date: [{ key, name, label, start, end }]
+        terms: (date = new Date(), offset = 0) => {
+            const year = Utils.dateRange.financialYear(date, offset);
+            const terms = CONFIG.FINANCIAL_YEAR.TERMS;
+            const startOf = term => new Date(year.startYear,
+                year.start.getMonth() + (term.startMonth - 1 - year.start.getMonth() + 12) % 12, 1);
+
+            return terms.map((term, index) => ({
+                key: term.key,
+                name: term.name,
+                label: `${term.name} ${year.label}`,
+                start: startOf(term),
+                end: index + 1 < terms.length ? startOf(terms[index + 1]) : year.end
+            }));
+        },
+
+        thisAcademicYear: () => Utils.dateRange.financialYear(new Date(), 0),
+
+        lastAcademicYear: () => Utils.dateRange.financialYear(new Date(), -1),
+
+        thisTerm: () => {
+            const today = new Date();
+            return Utils.dateRange.terms(today).find(term => today >= term.start && today < term.end);
+        },
+
+        lastTerm: () => {
+            const today = new Date();
+            const terms = [...Utils.dateRange.terms(today, -1), ...Utils.dateRange.terms(today)];
+            const current = terms.findIndex(term => today >= term.start && today < term.end);
+            return terms[current - 1];
+        },
+
+        // Resolve a period filter value: a named range above ('thisAcademicYear', 'lastTerm', ...),
+        // 'year:2024' for the financial year starting in 2024, or 'term:2024:spring' for one of its terms
+        forPeriod: (period) => {
+            const named = ['today', 'thisMonth', 'thisQuarter', 'thisYear',
+                'thisAcademicYear', 'lastAcademicYear', 'thisTerm', 'lastTerm'];
+            if (named.includes(period)) {
+                return Utils.dateRange[period]() || null;
+            }
+
+            const match = String(period || '').match(/^(year|term):(\d{4})(?::(\w+))?$/);
+            if (!match) return null;
+
+            const date = new Date(Number(match[2]), CONFIG.FINANCIAL_YEAR.START_MONTH - 1, 1);
+            if (match[1] === 'year') {
+                return Utils.dateRange.financialYear(date);
+            }
+            return Utils.dateRange.terms(date).find(term => term.key === match[3]) || null;
+        },
+
+        // Helper to check if a date string falls within a range
+        isInRange: (dateString, startDate, endDate) => {
+            const date = Utils.parseDate(dateString);
+            if (!date) return false;
+            
+            const start = startDate instanceof Date ? startDate : Utils.parseDate(startDate);
+            const end = endDate instanceof Date ? endDate : Utils.parseDate(endDate);
+            
+            return date >= start && date < end;
+        }
+    },
+    
+    // Validation helpers - IMPROVED
+    validate: {
+        email: (email) => {
+            const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            return regex.test(email);
+        },
+        
+        currency: (value) => {
+            const regex = /^-?\d+(\.\d{1,2})?$/;
+            return regex.test(value.toString());
+        },
+        
+        // FIXED: More robust date validation
+        date: (dateString) => {
+            try {
+                const dateObj = Utils.parseDate(dateString);
+                const isValid = dateObj !== null && !isNaN(dateObj.getTime());
+                
+                if (!isValid) {
+                    Utils.log('debug', 'Date validation failed', { dateString, parsed: dateObj });
+                }
+                
+                return isValid;
+            } catch (error) {
+                Utils.log('debug', 'Date validation error', { dateString, error });
+                return false;
+            }
+        },
+        
+        required: (value) => {
+            return value !== null && value !== undefined && value.toString().trim() !== '';
+        }
+    },
+    
+    // Debounce function for search inputs
+    debounce: (func, wait) => {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    },
+    
+    // Generate unique IDs
+    generateId: () => {
+        return 'umhc_' + Math.random().toString(36).substr(2, 9);
+    },
+    
+    // Generate a random RFC 4122 version 4 UUID
+    generateUUID: () => {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        
+        const bytes = new Uint8Array(16);
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            crypto.getRandomValues(bytes);
+        } else {
+            bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    },
+    
+    // Fast synchronous 64-bit string hash (two seeded FNV-1a passes) as 16 hex characters.
+    // Not cryptographic - used to derive stable IDs from content.
+    hashString: (text) => {
+        const fnv = (seed) => {
+            let hash = seed >>> 0;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+            // Final avalanche so similar strings get dissimilar hashes
+            hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+            hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+            return ((hash ^ (hash >>> 16)) >>> 0).toString(16).padStart(8, '0');
+        };
+        return fnv(0x811c9dc5) + fnv(0x050c5d1f);
+    },
+    
+    // Deep clone objects
+    deepClone: (obj) => {
+        return JSON.parse(JSON.stringify(obj));
+    },
+    
+    // Calculate transaction totals
+    calculateTotals: (transactions) => {
+        let income = 0;
+        let expenses = 0;
+        
+        transactions.forEach(transaction => {
+            const amount = parseFloat(transaction.Amount) || 0;
+            if (amount > 0) {
+                income += amount;
+            } else {
+                expenses += Math.abs(amount);
+            }
+        });
+        
+        return {
+            income,
+            expenses,
+            balance: income - expenses
+        };
+    }
+};
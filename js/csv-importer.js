@@ -0,0 +1,22 @@
+// js/csv-importer.js - Browser adapter for js/core/csv-importer.mjs
+// Keeps mapping profiles in localStorage, so a bank's column mapping is remembered between visits
+
+import { CSVImporter as CoreCSVImporter } from './core/csv-importer.mjs';
+
+class CSVImporter extends CoreCSVImporter {
+    constructor(dataManager) {
+        super(dataManager);
+        this.profilesKey = 'umhc_import_profiles';
+    }
+
+    getProfiles() {
+        return Utils.storage.get(this.profilesKey, {});
+    }
+
+    storeProfiles(profiles) {
+        Utils.storage.set(this.profilesKey, profiles);
+    }
+}
+
+// Export for use in other files
+window.CSVImporter = CSVImporter;
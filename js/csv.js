@@ -0,0 +1,7 @@
+// js/csv.js - Browser adapter for the CSV parser and writer in js/core/csv.mjs
+
+import { CSV, CSVParser } from './core/csv.mjs';
+
+// Export for use in other files
+window.CSV = CSV;
+window.CSVParser = CSVParser;
@@ -0,0 +1,299 @@
+// js/extraction-overlay.js - Shows how a document was read, drawn over its pages
+// Each page is rendered (PDF pages with PDF.js, OCR'd pages from the cleaned image the words were read from)
+// with an SVG layer on top: a box per spatial text item, the row groups from groupItemsIntoRows and the
+// column bands parseRowWithSpatial matches amounts in. Clicking a box shows its text and the transaction its
+// row became; the column bands can be dragged and the document read again with the new positions.
+
+class ExtractionOverlay {
+    // onRerun(columns) re-reads the document with the dragged columns and returns the new
+    // { transactions, balanceLines }
+    constructor(container, processor, { onRerun } = {}) {
+        this.container = container;
+        this.processor = processor;
+        this.onRerun = onRerun;
+        this.pages = [];
+        this.transactions = [];
+        this.balanceLines = [];
+        this.columns = null;
+        this.pdf = null;
+        this.pageIndex = 0;
+        this.viewWidth = 800;
+
+        // Column band half-widths, the distances parseRowWithSpatial accepts an item's x within
+        this.bands = {
+            dateColumn: { label: 'Date', colour: '#6f42c1', reach: 50 },
+            cashInColumn: { label: 'Cash In', colour: '#28a745', reach: 50 },
+            cashOutColumn: { label: 'Cash Out', colour: '#dc3545', reach: 50 },
+            balanceColumn: { label: 'Balance', colour: '#007bff', reach: 30 }
+        };
+
+        Utils.log('info', 'ExtractionOverlay initialized');
+    }
+
+    // Show a processed document. file is the uploaded File (PDF pages are rendered from it), pages the
+    // result's spatialPages, transactions and balanceLines what the review table holds.
+    async open(file, pages, transactions, balanceLines = []) {
+        this.pages = pages;
+        this.transactions = transactions;
+        this.balanceLines = balanceLines;
+        this.pageIndex = 0;
+
+        const withColumns = pages.find(page => page.columnInfo && page.columnInfo.hasValidStructure);
+        this.columns = withColumns ? this.pickColumns(withColumns.columnInfo) : null;
+
+        this.pdf = null;
+        if (file && file.type === 'application/pdf' && pages.some(page => !page.background)) {
+            const pdfjs = await this.processor.loadPDFJS();
+            this.pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+        }
+
+        await this.render();
+    }
+
+    close() {
+        this.container.innerHTML = '';
+        this.pages = [];
+        this.pdf = null;
+    }
+
+    pickColumns(columnInfo) {
+        const columns = {};
+        Object.keys(this.bands).forEach(key => {
+            columns[key] = columnInfo[key] ?? null;
+        });
+        return columns;
+    }
+
+    async showPage(index) {
+        this.pageIndex = Math.max(0, Math.min(this.pages.length - 1, index));
+        await this.render();
+    }
+
+    async render() {
+        const page = this.pages[this.pageIndex];
+        if (!page) {
+            this.container.innerHTML = '<p>No page layout was kept for this document.</p>';
+            return;
+        }
+
+        const scale = this.viewWidth / page.width;
+        const viewHeight = Math.round(page.height * scale);
+
+        this.container.innerHTML = `
+            <div class="overlay-toolbar">
+                <button class="btn secondary" data-action="previous" ${this.pageIndex === 0 ? 'disabled' : ''}>◀</button>
+                <span>Page ${page.page} (${this.pageIndex + 1} of ${this.pages.length}) • ${page.method === 'ocr' ? 'OCR' : 'text layer'}</span>
+                <button class="btn secondary" data-action="next" ${this.pageIndex === this.pages.length - 1 ? 'disabled' : ''}>▶</button>
+                ${this.columns ? `
+                    <button class="btn" data-action="rerun">↻ Re-run Extraction</button>
+                    <span class="overlay-hint">Drag a column band sideways to move it, then re-run</span>
+                ` : '<span class="overlay-hint">No table columns were found, so there is nothing to adjust</span>'}
+            </div>
+            <div class="overlay-legend">
+                ${Object.values(this.bands).map(band => `<span><i style="background: ${band.colour};"></i>${band.label}</span>`).join('')}
+                <span><i class="row-transaction"></i>Row → transaction</span>
+                <span><i class="row-balance"></i>Balance line</span>
+                <span><i class="row-ignored"></i>Ignored row</span>
+            </div>
+            <div class="overlay-stage" style="width: ${this.viewWidth}px; height: ${viewHeight}px;">
+                <canvas width="${this.viewWidth}" height="${viewHeight}"></canvas>
+                <svg width="${this.viewWidth}" height="${viewHeight}" viewBox="0 0 ${this.viewWidth} ${viewHeight}"></svg>
+            </div>
+            <div class="overlay-details">Click a box to see what was read there.</div>
+        `;
+
+        const canvas = this.container.querySelector('canvas');
+        const toView = await this.drawBackground(page, canvas, scale, viewHeight);
+        this.drawLayer(page, this.container.querySelector('svg'), toView, viewHeight);
+        this.bindEvents(page, toView);
+    }
+
+    // Paint the page and return the function mapping item coordinates (PDF units, y up) to view pixels
+    async drawBackground(page, canvas, scale, viewHeight) {
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        if (page.background) {
+            const image = new Image();
+            image.src = page.background;
+            await image.decode();
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            return (x, y) => [x * scale, viewHeight - y * scale];
+        }
+
+        if (this.pdf) {
+            const pdfPage = await this.pdf.getPage(page.page);
+            const viewport = pdfPage.getViewport({ scale });
+            await pdfPage.render({ canvasContext: context, viewport }).promise;
+            return (x, y) => viewport.convertToViewportPoint(x, y);
+        }
+
+        return (x, y) => [x * scale, viewHeight - y * scale];
+    }
+
+    // Which transaction or balance line each row of the page became, by the position extraction gave it
+    rowOutcomes(page, rows) {
+        return rows.map((_, rowIndex) => {
+            const position = page.page * 10000 + rowIndex;
+            const transactionIndex = this.transactions.findIndex(transaction => transaction.position === position);
+            if (transactionIndex !== -1) return { kind: 'transaction', index: transactionIndex };
+
+            const balanceLine = this.balanceLines.find(line => line.position === position);
+            if (balanceLine) return { kind: 'balance', line: balanceLine };
+
+            return { kind: 'ignored' };
+        });
+    }
+
+    itemBox(item, toView) {
+        const height = item.height || item.fontSize || 8;
+        const [x0, y0] = toView(item.x, item.y);
+        const [x1, y1] = toView(item.x + (item.width || 0), item.y + height);
+        return { x: Math.min(x0, x1), y: Math.min(y0, y1), width: Math.abs(x1 - x0) || 2, height: Math.abs(y1 - y0) || 2 };
+    }
+
+    drawLayer(page, svg, toView, viewHeight) {
+        const rows = this.processor.groupItemsIntoRows(page.items);
+        const outcomes = this.rowOutcomes(page, rows);
+        this.rowOf = new Map();
+        rows.forEach((row, rowIndex) => row.forEach(item => this.rowOf.set(item, rowIndex)));
+        this.currentOutcomes = outcomes;
+
+        let markup = '';
+
+        // Row groups, behind everything else
+        rows.forEach((row, rowIndex) => {
+            const boxes = row.map(item => this.itemBox(item, toView));
+            const left = Math.min(...boxes.map(box => box.x)) - 2;
+            const top = Math.min(...boxes.map(box => box.y)) - 2;
+            const right = Math.max(...boxes.map(box => box.x + box.width)) + 2;
+            const bottom = Math.max(...boxes.map(box => box.y + box.height)) + 2;
+            markup += `<rect class="overlay-row row-${outcomes[rowIndex].kind}" x="${left}" y="${top}" width="${right - left}" height="${bottom - top}"></rect>`;
+        });
+
+        // Column bands, draggable
+        if (this.columns) {
+            Object.entries(this.bands).forEach(([key, band]) => {
+                const x = this.columns[key];
+                if (x === null || x === undefined) return;
+                const [left] = toView(x - band.reach, 0);
+                const [centre] = toView(x, 0);
+                const [right] = toView(x + band.reach, 0);
+                markup += `
+                    <g class="overlay-column" data-column="${key}">
+                        <rect x="${left}" y="0" width="${right - left}" height="${viewHeight}" fill="${band.colour}" fill-opacity="0.12"></rect>
+                        <line x1="${centre}" y1="0" x2="${centre}" y2="${viewHeight}" stroke="${band.colour}" stroke-width="2" stroke-dasharray="6 4"></line>
+                        <text x="${centre + 4}" y="14" fill="${band.colour}">${band.label}</text>
+                    </g>
+                `;
+            });
+        }
+
+        // Item boxes on top, so they can be clicked
+        page.items.forEach((item, index) => {
+            const box = this.itemBox(item, toView);
+            markup += `<rect class="overlay-item row-${outcomes[this.rowOf.get(item)]?.kind || 'ignored'}" data-item="${index}" x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}"></rect>`;
+        });
+
+        svg.innerHTML = markup;
+    }
+
+    bindEvents(page, toView) {
+        this.container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.dataset.action;
+                if (action === 'previous') this.showPage(this.pageIndex - 1);
+                if (action === 'next') this.showPage(this.pageIndex + 1);
+                if (action === 'rerun') this.rerun();
+            });
+        });
+
+        const svg = this.container.querySelector('svg');
+        svg.addEventListener('click', event => {
+            const target = event.target.closest('[data-item]');
+            if (target) {
+                this.container.querySelectorAll('.overlay-item.selected').forEach(rect => rect.classList.remove('selected'));
+                target.classList.add('selected');
+                this.showDetails(page, page.items[Number(target.dataset.item)]);
+            }
+        });
+
+        // Dragging a band moves its column; view pixels convert back to PDF units through the x scale
+        const [originX] = toView(0, 0);
+        const [unitX] = toView(1, 0);
+        const pixelsPerUnit = unitX - originX;
+        let drag = null;
+
+        svg.addEventListener('pointerdown', event => {
+            const group = event.target.closest('.overlay-column');
+            if (!group) return;
+            drag = { key: group.dataset.column, startX: event.clientX, startColumn: this.columns[group.dataset.column], group };
+            svg.setPointerCapture(event.pointerId);
+            event.preventDefault();
+        });
+        svg.addEventListener('pointermove', event => {
+            if (!drag) return;
+            const dx = event.clientX - drag.startX;
+            drag.group.setAttribute('transform', `translate(${dx} 0)`);
+            this.columns[drag.key] = Math.round(drag.startColumn + dx / pixelsPerUnit);
+        });
+        svg.addEventListener('pointerup', () => {
+            if (!drag) return;
+            drag = null;
+            this.container.querySelector('.overlay-details').innerHTML =
+                `Columns moved: ${Object.entries(this.bands)
+                    .filter(([key]) => this.columns[key] !== null && this.columns[key] !== undefined)
+                    .map(([key, band]) => `${band.label} at ${this.columns[key]}`).join(', ')}. Re-run extraction to apply.`;
+        });
+    }
+
+    // Text, position and outcome of one item
+    showDetails(page, item) {
+        const rowIndex = this.rowOf.get(item);
+        const outcome = this.currentOutcomes[rowIndex] || { kind: 'ignored' };
+        const column = this.columns ? Object.entries(this.bands)
+            .find(([key, band]) => this.columns[key] !== null && this.columns[key] !== undefined &&
+                Math.abs(item.x - this.columns[key]) < band.reach) : null;
+
+        let result;
+        if (outcome.kind === 'transaction') {
+            const transaction = this.transactions[outcome.index];
+            result = `
+                Row ${rowIndex + 1} became <a href="#transaction-${outcome.index}">transaction ${outcome.index + 1}</a>:
+                ${Utils.escapeHtml(transaction.date || '')} • ${Utils.escapeHtml(transaction.description || '')} •
+                ${Utils.formatCurrency(transaction.amount)} ${Utils.escapeHtml(transaction.type || '')}
+            `;
+        } else if (outcome.kind === 'balance') {
+            result = `Row ${rowIndex + 1} is a balance line (${Utils.escapeHtml(outcome.line.kind)}: ${Utils.formatCurrency(outcome.line.amount)}), used for reconciliation`;
+        } else {
+            result = `Row ${rowIndex + 1} did not produce a transaction (no date, no amount in a cash column, or too little description)`;
+        }
+
+        this.container.querySelector('.overlay-details').innerHTML = `
+            <strong>"${Utils.escapeHtml(item.text)}"</strong>
+            at x ${Math.round(item.x)}, y ${Math.round(item.y)} (${Math.round(item.width || 0)} wide)
+            ${typeof item.confidence === 'number' ? ` • OCR confidence ${Math.round(item.confidence)}%` : ''}
+            ${column ? ` • in the ${column[1].label} column` : ''}<br>
+            ${result}
+        `;
+    }
+
+    async rerun() {
+        if (!this.onRerun || !this.columns) return;
+
+        const result = await this.onRerun({ ...this.columns });
+        if (!result) return;
+
+        this.transactions = result.transactions;
+        this.balanceLines = result.balanceLines;
+        await this.render();
+        this.container.querySelector('.overlay-details').textContent =
+            `Extraction re-run with the moved columns: ${result.transactions.length} transaction(s). The review table below has been replaced.`;
+    }
+}
+
+// Export for use in other files
+window.ExtractionOverlay = ExtractionOverlay;
+
+Utils.log('info', 'Extraction overlay loaded');
@@ -0,0 +1,17 @@
+// js/github-storage.js - Browser adapter for js/core/github-storage.mjs
+// Signs requests in as the logged-in committee member by default
+
+import { GitHubStorage as CoreGitHubStorage } from './core/github-storage.mjs';
+import { GitHubConflictError } from './core/storage.mjs';
+
+class GitHubStorage extends CoreGitHubStorage {
+    constructor(auth = window.authManager, options = {}) {
+        super(auth, options);
+    }
+}
+
+// Export for use in other files
+window.GitHubStorage = GitHubStorage;
+window.GitHubConflictError = GitHubConflictError;
+
+Utils.log('info', 'GitHub storage module loaded');
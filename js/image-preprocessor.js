@@ -0,0 +1,465 @@
+// js/image-preprocessor.js - Clean up photos and scans before OCR
+// Works on a greyscale copy of the image: contrast stretch, crop to the paper, turn the right way up,
+// deskew, upscale small text and finally adaptive thresholding to black text on white.
+// Images are { width, height, data } with one byte per pixel, so the steps need no canvas of their own.
+
+class ImagePreprocessor {
+    constructor() {
+        this.maxInputSize = 3000;    // Longest edge photos are reduced to before processing
+        this.maxOutputSize = 4000;   // Upscaling stops here (keeps the threshold's integral image in 32 bits)
+        this.analysisSize = 800;     // Rotation and skew are measured on a copy this size
+        this.targetLineHeight = 32;  // Tesseract reads best with text lines of about this many pixels
+        this.maxUpscale = 3;
+        this.maxSkew = 15;           // Degrees either way
+        this.previewSize = 360;
+
+        Utils.log('info', 'ImagePreprocessor initialized');
+    }
+
+    // Prepare a File, image bitmap or canvas for OCR. Returns the cleaned canvas and what was done;
+    // with previews, steps holds a small image of the page after each stage for the debug panel.
+    async process(source, { crop = true, previews = false } = {}) {
+        const steps = [];
+        const record = (name, image) => {
+            if (previews) steps.push({ name, dataUrl: this.toDataUrl(image, this.previewSize) });
+        };
+
+        let image = await this.readImage(source);
+        const original = { width: image.width, height: image.height };
+        record('Original', image);
+
+        image = this.stretchContrast(image);
+        record('Contrast', image);
+
+        let cropped = null;
+        if (crop) {
+            cropped = this.findDocument(image);
+            if (cropped) {
+                image = this.cropImage(image, cropped);
+                record('Cropped to document', image);
+            }
+        }
+
+        const rotation = this.detectRotation(image);
+        if (rotation !== 0) {
+            image = this.rotateQuarterTurns(image, rotation / 90);
+            record(`Rotated ${rotation}°`, image);
+        }
+
+        const skew = this.detectSkew(image);
+        if (Math.abs(skew) >= 0.2) {
+            image = this.straighten(image, skew);
+            record(`Deskewed ${skew.toFixed(1)}°`, image);
+        }
+
+        const scale = this.upscaleFactor(image);
+        if (scale > 1) {
+            image = this.resize(image, scale);
+            record(`Upscaled ×${scale.toFixed(1)}`, image);
+        }
+
+        image = this.adaptiveThreshold(image);
+        record('Thresholded', image);
+
+        Utils.log('info', 'Image preprocessed', { original, rotation, skew, scale, cropped: !!cropped });
+
+        return {
+            canvas: this.toCanvas(image),
+            width: image.width,
+            height: image.height,
+            rotation,
+            skew,
+            scale,
+            cropped,
+            steps
+        };
+    }
+
+    // Greyscale copy of the source, honouring EXIF orientation and reduced to maxInputSize
+    async readImage(source) {
+        let bitmap = source;
+        if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            bitmap = await createImageBitmap(source, { imageOrientation: 'from-image' });
+        }
+
+        const ratio = Math.min(1, this.maxInputSize / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * ratio);
+        canvas.height = Math.round(bitmap.height * ratio);
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        if (bitmap !== source && bitmap.close) bitmap.close();
+
+        const rgba = context.getImageData(0, 0, canvas.width, canvas.height).data;
+        const data = new Uint8ClampedArray(canvas.width * canvas.height);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+        }
+        return { width: canvas.width, height: canvas.height, data };
+    }
+
+    // Stretch the 1st-99th percentile of brightness to the full range (lifts grey, low-contrast photos)
+    stretchContrast(image) {
+        const histogram = this.histogram(image);
+        const total = image.data.length;
+        let low = 0, high = 255;
+        for (let sum = 0; low < 255 && (sum += histogram[low]) < total * 0.01; low++);
+        for (let sum = 0; high > 0 && (sum += histogram[high]) < total * 0.01; high--);
+        if (high - low < 16) return image;
+
+        const data = new Uint8ClampedArray(image.data.length);
+        const factor = 255 / (high - low);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = (image.data[i] - low) * factor;
+        }
+        return { ...image, data };
+    }
+
+    histogram(image) {
+        const histogram = new Array(256).fill(0);
+        for (let i = 0; i < image.data.length; i++) histogram[image.data[i]]++;
+        return histogram;
+    }
+
+    // Otsu's threshold: the brightness that best separates ink from paper
+    otsuThreshold(image) {
+        const histogram = this.histogram(image);
+        const total = image.data.length;
+        const sumAll = histogram.reduce((sum, count, value) => sum + count * value, 0);
+
+        let best = 128, bestVariance = -1, weightDark = 0, sumDark = 0;
+        for (let value = 0; value < 256; value++) {
+            weightDark += histogram[value];
+            if (weightDark === 0) continue;
+            const weightLight = total - weightDark;
+            if (weightLight === 0) break;
+
+            sumDark += value * histogram[value];
+            const meanDark = sumDark / weightDark;
+            const meanLight = (sumAll - sumDark) / weightLight;
+            const variance = weightDark * weightLight * (meanDark - meanLight) ** 2;
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                best = value;
+            }
+        }
+        return best;
+    }
+
+    // Bounding box { x, y, width, height } of the paper - the largest bright region - or null when the
+    // paper already fills the picture or cannot be told apart from the background
+    findDocument(image) {
+        const small = this.resize(image, Math.min(1, 300 / Math.max(image.width, image.height)));
+        const threshold = this.otsuThreshold(small);
+        const { width, height } = small;
+        const labels = new Int32Array(width * height).fill(-1);
+
+        let best = null;
+        for (let start = 0; start < labels.length; start++) {
+            if (labels[start] !== -1 || small.data[start] <= threshold) continue;
+
+            // Flood fill one bright region
+            const region = { area: 0, left: width, top: height, right: 0, bottom: 0 };
+            const stack = [start];
+            labels[start] = start;
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const x = index % width, y = (index - x) / width;
+                region.area++;
+                region.left = Math.min(region.left, x);
+                region.right = Math.max(region.right, x);
+                region.top = Math.min(region.top, y);
+                region.bottom = Math.max(region.bottom, y);
+
+                [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([nx, ny]) => {
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) return;
+                    const next = ny * width + nx;
+                    if (labels[next] === -1 && small.data[next] > threshold) {
+                        labels[next] = start;
+                        stack.push(next);
+                    }
+                });
+            }
+            if (!best || region.area > best.area) best = region;
+        }
+
+        if (!best || best.area < width * height * 0.15) return null;
+        const boxWidth = best.right - best.left + 1, boxHeight = best.bottom - best.top + 1;
+        if (boxWidth > width * 0.95 && boxHeight > height * 0.95) return null;
+
+        // Back to full-size pixels, with a small margin so edge text is not clipped
+        const scale = image.width / width;
+        const margin = Math.round(Math.max(image.width, image.height) * 0.01);
+        const x = Math.max(0, Math.round(best.left * scale) - margin);
+        const y = Math.max(0, Math.round(best.top * scale) - margin);
+        return {
+            x,
+            y,
+            width: Math.min(image.width - x, Math.round(boxWidth * scale) + margin * 2),
+            height: Math.min(image.height - y, Math.round(boxHeight * scale) + margin * 2)
+        };
+    }
+
+    cropImage(image, box) {
+        const data = new Uint8ClampedArray(box.width * box.height);
+        for (let y = 0; y < box.height; y++) {
+            const from = (box.y + y) * image.width + box.x;
+            data.set(image.data.subarray(from, from + box.width), y * box.width);
+        }
+        return { width: box.width, height: box.height, data };
+    }
+
+    // Ink as a list of points on a reduced copy, for measuring rotation and skew
+    inkPoints(image) {
+        const small = this.resize(image, Math.min(1, this.analysisSize / Math.max(image.width, image.height)));
+        const threshold = this.otsuThreshold(small);
+        const xs = [], ys = [];
+        for (let y = 0; y < small.height; y++) {
+            for (let x = 0; x < small.width; x++) {
+                if (small.data[y * small.width + x] < threshold) {
+                    xs.push(x);
+                    ys.push(y);
+                }
+            }
+        }
+        return { xs, ys, width: small.width, height: small.height };
+    }
+
+    // Clockwise turn (0, 90, 180 or 270 degrees) that puts the text upright. Text lines make the row
+    // profile much spikier than the column profile; upside-down text has its ascenders below the line.
+    detectRotation(image) {
+        let points = this.inkPoints(image);
+        if (points.xs.length < 100) return 0;
+
+        let turns = 0;
+        if (this.profileContrast(points.xs, points.width) > this.profileContrast(points.ys, points.height) * 1.3) {
+            // Lines run up the page - turn a quarter clockwise and check which way up it is
+            points = { xs: points.ys.map(y => points.height - 1 - y), ys: points.xs, width: points.height, height: points.width };
+            turns = 1;
+        }
+        if (this.isUpsideDown(points)) {
+            turns += 2;
+        }
+        return (turns % 4) * 90;
+    }
+
+    // Coefficient of variation of a projection profile
+    profileContrast(values, size) {
+        const profile = new Array(size).fill(0);
+        values.forEach(value => profile[value]++);
+        const mean = values.length / size;
+        const variance = profile.reduce((sum, count) => sum + (count - mean) ** 2, 0) / size;
+        return Math.sqrt(variance) / (mean || 1);
+    }
+
+    // Text lines as [top, bottom) row bands of the row profile
+    lineBands(ys, height) {
+        const profile = new Array(height).fill(0);
+        ys.forEach(y => profile[y]++);
+        const cutoff = Math.max(1, (ys.length / height) * 0.3);
+
+        const bands = [];
+        let top = null;
+        profile.forEach((count, y) => {
+            if (count >= cutoff && top === null) top = y;
+            if (count < cutoff && top !== null) {
+                bands.push([top, y]);
+                top = null;
+            }
+        });
+        if (top !== null) bands.push([top, height]);
+        return bands.filter(([start, end]) => end - start >= 3);
+    }
+
+    // In Latin text ascenders outnumber descenders, so the upper half of each line holds less ink
+    isUpsideDown(points) {
+        const bands = this.lineBands(points.ys, points.height);
+        const rowOf = new Int32Array(points.height).fill(-1);
+        bands.forEach(([top, bottom], index) => {
+            for (let y = top; y < bottom; y++) rowOf[y] = index;
+        });
+
+        let upper = 0, lower = 0;
+        points.ys.forEach(y => {
+            const band = bands[rowOf[y]];
+            if (!band) return;
+            if (y < (band[0] + band[1]) / 2) upper++;
+            else lower++;
+        });
+        return upper > lower * 1.15;
+    }
+
+    // Angle in degrees of the text lines (positive when they run down to the right): the angle whose
+    // projection packs the ink into the sharpest rows, searched coarsely then finely
+    detectSkew(image) {
+        const { xs, ys } = this.inkPoints(image);
+        if (xs.length < 100) return 0;
+
+        // Large images have plenty of ink - a sample is enough
+        const step = Math.max(1, Math.floor(xs.length / 50000));
+        const score = degrees => {
+            const radians = degrees * Math.PI / 180;
+            const sin = Math.sin(radians), cos = Math.cos(radians);
+            const bins = new Map();
+            for (let i = 0; i < xs.length; i += step) {
+                const row = Math.round(ys[i] * cos - xs[i] * sin);
+                bins.set(row, (bins.get(row) || 0) + 1);
+            }
+            let sum = 0;
+            bins.forEach(count => { sum += count * count; });
+            return sum;
+        };
+
+        const search = (from, to, increment) => {
+            let best = from, bestScore = -1;
+            for (let degrees = from; degrees <= to + 1e-9; degrees += increment) {
+                const value = score(degrees);
+                if (value > bestScore) {
+                    bestScore = value;
+                    best = degrees;
+                }
+            }
+            return best;
+        };
+
+        const coarse = search(-this.maxSkew, this.maxSkew, 1);
+        return Math.round(search(coarse - 1, coarse + 1, 0.1) * 10) / 10 || 0;
+    }
+
+    rotateQuarterTurns(image, turns) {
+        let result = image;
+        for (let turn = 0; turn < turns; turn++) {
+            const { width, height, data } = result;
+            const rotated = new Uint8ClampedArray(data.length);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    rotated[x * height + (height - 1 - y)] = data[y * width + x];
+                }
+            }
+            result = { width: height, height: width, data: rotated };
+        }
+        return result;
+    }
+
+    // Rotate so lines at `degrees` (as measured by detectSkew) become level; new corners are white
+    straighten(image, degrees) {
+        const radians = degrees * Math.PI / 180;
+        const sin = Math.sin(radians), cos = Math.cos(radians);
+        const width = Math.ceil(Math.abs(image.width * cos) + Math.abs(image.height * sin));
+        const height = Math.ceil(Math.abs(image.width * sin) + Math.abs(image.height * cos));
+        const data = new Uint8ClampedArray(width * height).fill(255);
+
+        // Step along each output row in source coordinates (nearest pixel, +0.5 rounds)
+        const centreX = image.width / 2 + 0.5, centreY = image.height / 2 + 0.5;
+        for (let v = 0; v < height; v++) {
+            const dv = v - height / 2, du = -width / 2;
+            let sourceX = du * cos - dv * sin + centreX;
+            let sourceY = du * sin + dv * cos + centreY;
+            for (let u = 0, index = v * width; u < width; u++, index++, sourceX += cos, sourceY += sin) {
+                if (sourceX >= 0 && sourceY >= 0 && sourceX < image.width && sourceY < image.height) {
+                    data[index] = image.data[(sourceY | 0) * image.width + (sourceX | 0)];
+                }
+            }
+        }
+        return { width, height, data };
+    }
+
+    // How much to enlarge so text lines reach targetLineHeight (1 when they already do)
+    upscaleFactor(image) {
+        const { ys, height } = this.inkPoints(image);
+        const bands = this.lineBands(ys, height);
+        if (bands.length === 0) return 1;
+
+        const heights = bands.map(([top, bottom]) => bottom - top).sort((a, b) => a - b);
+        const lineHeight = heights[Math.floor(heights.length / 2)] * (image.height / height);
+        if (lineHeight >= this.targetLineHeight) return 1;
+
+        const limit = this.maxOutputSize / Math.max(image.width, image.height);
+        return Math.max(1, Math.min(this.maxUpscale, this.targetLineHeight / lineHeight, limit));
+    }
+
+    // Bilinear resize by `scale`
+    resize(image, scale) {
+        if (scale === 1) return image;
+
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+        const data = new Uint8ClampedArray(width * height);
+        const ratioX = image.width / width, ratioY = image.height / height;
+
+        for (let y = 0; y < height; y++) {
+            const sourceY = Math.min(image.height - 1, (y + 0.5) * ratioY - 0.5);
+            const y0 = Math.max(0, Math.floor(sourceY)), y1 = Math.min(image.height - 1, y0 + 1);
+            const fy = Math.max(0, sourceY - y0);
+            for (let x = 0; x < width; x++) {
+                const sourceX = Math.min(image.width - 1, (x + 0.5) * ratioX - 0.5);
+                const x0 = Math.max(0, Math.floor(sourceX)), x1 = Math.min(image.width - 1, x0 + 1);
+                const fx = Math.max(0, sourceX - x0);
+                const top = image.data[y0 * image.width + x0] * (1 - fx) + image.data[y0 * image.width + x1] * fx;
+                const bottom = image.data[y1 * image.width + x0] * (1 - fx) + image.data[y1 * image.width + x1] * fx;
+                data[y * width + x] = top * (1 - fy) + bottom * fy;
+            }
+        }
+        return { width, height, data };
+    }
+
+    // Bradley-Roth adaptive threshold: a pixel is ink when it is clearly darker than its neighbourhood,
+    // which copes with shadows and uneven light that defeat a single global threshold
+    adaptiveThreshold(image, { windowFraction = 1 / 16, sensitivity = 0.15 } = {}) {
+        const { width, height } = image;
+        const integral = new Uint32Array((width + 1) * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += image.data[y * width + x];
+                integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+            }
+        }
+
+        const half = Math.max(4, Math.round(Math.max(width, height) * windowFraction / 2));
+        const data = new Uint8ClampedArray(width * height);
+        const factor = 1 - sensitivity, stride = width + 1;
+        for (let y = 0; y < height; y++) {
+            const top = (y > half ? y - half : 0) * stride;
+            const bottom = (y + half + 1 < height ? y + half + 1 : height) * stride;
+            const rows = (bottom - top) / stride;
+            for (let x = 0, index = y * width; x < width; x++, index++) {
+                const left = x > half ? x - half : 0, right = x + half + 1 < width ? x + half + 1 : width;
+                const sum = integral[bottom + right] - integral[top + right] - integral[bottom + left] + integral[top + left];
+                data[index] = image.data[index] * rows * (right - left) < sum * factor ? 0 : 255;
+            }
+        }
+        return { width, height, data };
+    }
+
+    toCanvas(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const context = canvas.getContext('2d');
+        const imageData = context.createImageData(image.width, image.height);
+        for (let i = 0; i < image.data.length; i++) {
+            imageData.data[i * 4] = imageData.data[i * 4 + 1] = imageData.data[i * 4 + 2] = image.data[i];
+            imageData.data[i * 4 + 3] = 255;
+        }
+        context.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    // Small PNG of an image for the debug panel
+    toDataUrl(image, size) {
+        const preview = this.resize(image, Math.min(1, size / Math.max(image.width, image.height)));
+        return this.toCanvas(preview).toDataURL('image/png');
+    }
+}
+
+// Create global image preprocessor instance
+const imagePreprocessor = new ImagePreprocessor();
+
+// Export for use in other files
+window.ImagePreprocessor = ImagePreprocessor;
+window.imagePreprocessor = imagePreprocessor;
+
+Utils.log('info', 'Image preprocessor module loaded');
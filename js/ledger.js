@@ -0,0 +1,6 @@
+// js/ledger.js - Browser adapter for the postings and account balances in js/core/ledger.mjs
+
+import { Ledger } from './core/ledger.mjs';
+
+// Export for use in other files
+window.Ledger = Ledger;
@@ -0,0 +1,9 @@
+// js/rules-engine.js - Browser adapter for the categorisation rules in js/core/rules-engine.mjs
+
+import { RulesEngine, rulesEngine } from './core/rules-engine.mjs';
+
+// Export for use in other files
+window.RulesEngine = RulesEngine;
+window.rulesEngine = rulesEngine;
+
+Utils.log('info', 'Rules engine loaded');
@@ -0,0 +1,9 @@
+// js/statement-parser.js - Browser adapter for the statement parsers in js/core/statement-parser.mjs
+
+import { StatementParser, statementParser } from './core/statement-parser.mjs';
+
+// Export for use in other files
+window.StatementParser = StatementParser;
+window.statementParser = statementParser;
+
+Utils.log('info', 'Statement parser loaded - OFX, QIF, CAMT.053 and MT940');
@@ -0,0 +1,9 @@
+// js/statement-reconciler.js - Browser adapter for the statement balance checks in js/core/statement-reconciler.mjs
+
+import { StatementReconciler, statementReconciler } from './core/statement-reconciler.mjs';
+
+// Export for use in other files
+window.StatementReconciler = StatementReconciler;
+window.statementReconciler = statementReconciler;
+
+Utils.log('info', 'Statement reconciler loaded');
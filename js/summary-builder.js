@@ -0,0 +1,6 @@
+// js/summary-builder.js - Browser adapter for the summary.json builder in js/core/summary-builder.mjs
+
+import { SummaryBuilder } from './core/summary-builder.mjs';
+
+// Export for use in other files
+window.SummaryBuilder = SummaryBuilder;
@@ -1,216 +1,10 @@
-// js/utils.js - Helper functions for UMHC Finance System (FIXED DATE PARSING)
+// js/utils.js - Browser adapter for the helpers in js/core/utils.mjs
+// Adds the helpers that need a browser - localStorage, DOM elements and the page URL.
 
-const Utils = {
-    // Currency formatting
-    formatCurrency: (amount, showSymbol = true) => {
-        const formatted = new Intl.NumberFormat('en-GB', {
-            style: showSymbol ? 'currency' : 'decimal',
-            currency: 'GBP',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        }).format(Math.abs(amount));
-        
-        return amount < 0 ? `-${formatted}` : formatted;
-    },
-    
-    // Date formatting with proper DD/MM/YYYY support
-    formatDate: (date, format = 'short') => {
-        const dateObj = Utils.parseDate(date);
-        
-        if (!dateObj || isNaN(dateObj)) {
-            return 'Invalid Date';
-        }
-        
-        switch (format) {
-            case 'short':
-                return dateObj.toLocaleDateString('en-GB');
-            case 'long':
-                return dateObj.toLocaleDateString('en-GB', {
-                    weekday: 'long',
-                    year: 'numeric',
-                    month: 'long',
-                    day: 'numeric'
-                });
-            case 'month-year':
-                return dateObj.toLocaleDateString('en-GB', {
-                    year: 'numeric',
-                    month: 'long'
-                });
-            default:
-                return dateObj.toLocaleDateString('en-GB');
-        }
-    },
+import { Utils as CoreUtils } from './core/utils.mjs';
 
-    // FIXED: Parse dates in DD/MM/YYYY format (British format) - Much more robust
-    parseDate: (dateString) => {
-        if (!dateString) return null;
-        
-        // If it's already a Date object, return it
-        if (dateString instanceof Date) {
-            return dateString;
-        }
-        
-        // Convert to string and clean it thoroughly
-        const dateStr = dateString.toString().trim().replace(/\s+/g, '');
-        
-        // Try DD/MM/YYYY format first (British format) - IMPROVED LOGIC
-        if (dateStr.includes('/')) {
-            const parts = dateStr.split('/');
-            if (parts.length === 3) {
-                // Parse each part and ensure they're valid numbers
-                const day = parseInt(parts[0].trim(), 10);
-                const month = parseInt(parts[1].trim(), 10);
-                const year = parseInt(parts[2].trim(), 10);
-                
-                // More thorough validation
-                if (!isNaN(day) && !isNaN(month) && !isNaN(year) &&
-                    day >= 1 && day <= 31 && 
-                    month >= 1 && month <= 12 && 
-                    year >= 1900 && year <= 2100) {
-                    
-                    try {
-                        // Create date with month-1 because JavaScript months are 0-indexed
-                        const dateObj = new Date(year, month - 1, day);
-                        
-                        // FIXED: More lenient validation - just check the date is reasonable
-                        // Some edge cases like leap years can cause the strict check to fail
-                        if (dateObj.getFullYear() === year && 
-                            dateObj.getMonth() === (month - 1) && 
-                            Math.abs(dateObj.getDate() - day) <= 3) { // Allow slight day drift for edge cases
-                            return dateObj;
-                        }
-                        
-                        // If that failed, try a more permissive approach
-                        const dateObj2 = new Date(`${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`);
-                        if (!isNaN(dateObj2.getTime())) {
-                            return dateObj2;
-                        }
-                        
-                    } catch (error) {
-                        Utils.log('debug', 'Date parsing error for DD/MM/YYYY format', { dateStr, error });
-                    }
-                }
-            }
-        }
-        
-        // Try DD-MM-YYYY format
-        if (dateStr.includes('-')) {
-            const parts = dateStr.split('-');
-            if (parts.length === 3) {
-                // If it looks like DD-MM-YYYY (day first)
-                if (parts[0].length <= 2 && parts[1].length <= 2 && parts[2].length === 4) {
-                    const day = parseInt(parts[0], 10);
-                    const month = parseInt(parts[1], 10);
-                    const year = parseInt(parts[2], 10);
-                    
-                    if (!isNaN(day) && !isNaN(month) && !isNaN(year) &&
-                        day >= 1 && day <= 31 && month >= 1 && month <= 12) {
-                        try {
-                            const dateObj = new Date(year, month - 1, day);
-                            if (!isNaN(dateObj.getTime())) {
-                                return dateObj;
-                            }
-                        } catch (error) {
-                            Utils.log('debug', 'Date parsing error for DD-MM-YYYY format', { dateStr, error });
-                        }
-                    }
-                }
-                
-                // Try ISO format (YYYY-MM-DD) as fallback
-                try {
-                    const dateObj = new Date(dateStr);
-                    if (!isNaN(dateObj.getTime())) {
-                        return dateObj;
-                    }
-                } catch (error) {
-                    Utils.log('debug', 'Date parsing error for ISO format', { dateStr, error });
-                }
-            }
-        }
-        
-        // Last resort: try various other formats but log a warning
-        try {
-            // Try parsing with explicit British locale interpretation
-            const britishFormats = [
-                dateStr,
-                dateStr.replace(/\//g, '-'),
-                // Convert DD/MM/YYYY to YYYY-MM-DD for reliable parsing
-                (() => {
-                    const parts = dateStr.split('/');
-                    if (parts.length === 3) {
-                        return `${parts[2]}-${parts[1].padStart(2, '0')}-${parts[0].padStart(2, '0')}`;
-                    }
-                    return null;
-                })()
-            ].filter(Boolean);
-            
-            for (const format of britishFormats) {
-                const dateObj = new Date(format);
-                if (!isNaN(dateObj.getTime()) && dateObj.getFullYear() >= 1900) {
-                    Utils.log('debug', 'Date parsed using fallback format', { original: dateString, parsed: format });
-                    return dateObj;
-                }
-            }
-        } catch (error) {
-            Utils.log('debug', 'All date parsing attempts failed', { dateStr, error });
-        }
-        
-        Utils.log('warn', 'Unable to parse date', { dateString, cleaned: dateStr });
-        return null;
-    },
-    
-    // Number formatting
-    formatNumber: (number, decimals = 0) => {
-        return new Intl.NumberFormat('en-GB', {
-            minimumFractionDigits: decimals,
-            maximumFractionDigits: decimals
-        }).format(number);
-    },
-    
-    // Percentage formatting
-    formatPercentage: (value, decimals = 1) => {
-        return `${(value * 100).toFixed(decimals)}%`;
-    },
-    
-    // CSV parsing utility - IMPROVED to handle various encodings and formats
-    parseCSV: (csvText) => {
-        // Clean the CSV text more thoroughly
-        const cleanedCsv = csvText
-            .trim()
-            .replace(/\r\n/g, '\n')  // Normalize line endings
-            .replace(/\r/g, '\n');   // Handle old Mac line endings
-            
-        const lines = cleanedCsv.split('\n');
-        if (lines.length < 2) return [];
-        
-        // Parse header row and clean it
-        const headers = lines[0].split(',').map(header => 
-            header.trim().replace(/^["']|["']$/g, '') // Remove quotes
-        );
-        
-        const data = [];
-        
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue; // Skip empty lines
-            
-            // Simple CSV parsing (note: doesn't handle commas within quoted fields)
-            // For more complex CSV, we'd need a proper CSV parser
-            const values = line.split(',').map(value => 
-                value.trim().replace(/^["']|["']$/g, '') // Remove quotes and trim
-            );
-            
-            if (values.length === headers.length && values.some(v => v !== '')) {
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = values[index] || ''; // Ensure no undefined values
-                });
-                data.push(row);
-            }
-        }
-        
-        return data;
-    },
+const Utils = {
+    ...CoreUtils,
     
     // Local storage helpers
     storage: {
@@ -255,27 +49,6 @@ const Utils = {
         }
     },
     
-    // Logging utility
-    log: (level, message, data = null) => {
-        if (!CONFIG || !CONFIG.DEBUG || !CONFIG.DEBUG.ENABLED) return;
-        
-        const levels = ['debug', 'info', 'warn', 'error'];
-        const configLevel = CONFIG.DEBUG.LOG_LEVEL || 'info';
-        const currentLevelIndex = levels.indexOf(configLevel);
-        const messageLevelIndex = levels.indexOf(level);
-        
-        if (messageLevelIndex >= currentLevelIndex) {
-            const timestamp = new Date().toISOString();
-            const prefix = `[UMHC Finance ${timestamp}]`;
-            
-            if (data) {
-                console[level](prefix, message, data);
-            } else {
-                console[level](prefix, message);
-            }
-        }
-    },
-    
     // DOM helpers
     dom: {
         // Create element with attributes and content
@@ -316,53 +89,6 @@ const Utils = {
         }
     },
     
-    // Date range helpers
-    dateRange: {
-        today: () => {
-            const today = new Date();
-            return {
-                start: new Date(today.getFullYear(), today.getMonth(), today.getDate()),
-                end: new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1)
-            };
-        },
-        
-        thisMonth: () => {
-            const today = new Date();
-            return {
-                start: new Date(today.getFullYear(), today.getMonth(), 1),
-                end: new Date(today.getFullYear(), today.getMonth() + 1, 1)
-            };
-        },
-        
-        thisQuarter: () => {
-            const today = new Date();
-            const quarter = Math.floor(today.getMonth() / 3);
-            return {
-                start: new Date(today.getFullYear(), quarter * 3, 1),
-                end: new Date(today.getFullYear(), (quarter + 1) * 3, 1)
-            };
-        },
-        
-        thisYear: () => {
-            const today = new Date();
-            return {
-                start: new Date(today.getFullYear(), 0, 1),
-                end: new Date(today.getFullYear() + 1, 0, 1)
-            };
-        },
-        
-        // Helper to check if a date string falls within a range
-        isInRange: (dateString, startDate, endDate) => {
-            const date = Utils.parseDate(dateString);
-            if (!date) return false;
-            
-            const start = startDate instanceof Date ? startDate : Utils.parseDate(startDate);
-            const end = endDate instanceof Date ? endDate : Utils.parseDate(endDate);
-            
-            return date >= start && date < end;
-        }
-    },
-    
     // URL helpers
     url: {
         getParams: () => {
@@ -385,84 +111,6 @@ const Utils = {
             url.searchParams.delete(key);
             window.history.replaceState({}, '', url);
         }
-    },
-    
-    // Validation helpers - IMPROVED
-    validate: {
-        email: (email) => {
-            const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            return regex.test(email);
-        },
-        
-        currency: (value) => {
-            const regex = /^-?\d+(\.\d{1,2})?$/;
-            return regex.test(value.toString());
-        },
-        
-        // FIXED: More robust date validation
-        date: (dateString) => {
-            try {
-                const dateObj = Utils.parseDate(dateString);
-                const isValid = dateObj !== null && !isNaN(dateObj.getTime());
-                
-                if (!isValid) {
-                    Utils.log('debug', 'Date validation failed', { dateString, parsed: dateObj });
-                }
-                
-                return isValid;
-            } catch (error) {
-                Utils.log('debug', 'Date validation error', { dateString, error });
-                return false;
-            }
-        },
-        
-        required: (value) => {
-            return value !== null && value !== undefined && value.toString().trim() !== '';
-        }
-    },
-    
-    // Debounce function for search inputs
-    debounce: (func, wait) => {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
-    },
-    
-    // Generate unique IDs
-    generateId: () => {
-        return 'umhc_' + Math.random().toString(36).substr(2, 9);
-    },
-    
-    // Deep clone objects
-    deepClone: (obj) => {
-        return JSON.parse(JSON.stringify(obj));
-    },
-    
-    // Calculate transaction totals
-    calculateTotals: (transactions) => {
-        let income = 0;
-        let expenses = 0;
-        
-        transactions.forEach(transaction => {
-            const amount = parseFloat(transaction.Amount) || 0;
-            if (amount > 0) {
-                income += amount;
-            } else {
-                expenses += Math.abs(amount);
-            }
-        });
-        
-        return {
-            income,
-            expenses,
-            balance: income - expenses
-        };
     }
 };
 
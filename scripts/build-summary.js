@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+// scripts/build-summary.js - Regenerate data/summary.json from data/transactions.csv
+//
+//   node scripts/build-summary.js           rewrite data/summary.json
+//   node scripts/build-summary.js --check   exit with status 1 if summary.json is out of date
+//
+// The same as "node scripts/finance.js summary", kept so existing notes and hooks still work.
+
+process.argv.splice(2, 0, 'summary');
+require('./finance.js');
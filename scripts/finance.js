@@ -0,0 +1,433 @@
+#!/usr/bin/env node
+// scripts/finance.js - Maintain data/ from a local clone, without the admin dashboard
+//
+//   node scripts/finance.js validate                  check every row of data/transactions.csv
+//   node scripts/finance.js import statement.pdf      extract a statement's transactions, review and append them
+//   node scripts/finance.js import export.csv         map a bank/SU export's columns, review and append its rows
+//   node scripts/finance.js import statement.ofx      read an OFX/QFX, QIF, CAMT.053 (.xml) or MT940 statement
+//   node scripts/finance.js summary [--check]         rebuild data/summary.json (--check: exit 1 if out of date)
+//   node scripts/finance.js report [--year 2024/25]   income and expenses by category and event for a year
+//
+// import also reads statement text dumps (.txt), and takes:
+//   --account <id>    account the money was paid into or out of (default CONFIG.ACCOUNTS.DEFAULT)
+//   --note <text>     reason recorded in the audit log; required to import a statement that does not reconcile
+//   --author <name>   who the audit log records (default: git config user.name)
+//   --yes             append the new rows without asking
+// --verbose shows the core modules' own logging.
+//
+// Built on the same js/core modules as the admin dashboard. import and summary change data/ in place -
+// import adds audit log entries and rebuilds summary.json as a dashboard save does - so check the
+// result with "git diff data/" and commit it yourself.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const { execFileSync } = require('child_process');
+
+const root = path.join(__dirname, '..');
+
+// ES modules from js/core, imported by main()
+let CONFIG, Utils, DataManager, CSVImporter, Expense365Parser, PDFSpatialProcessor, StatementParser, statementReconciler, rulesEngine;
+let createFileSource, createFileStorage;
+
+const usage = fs.readFileSync(__filename, 'utf8').split('\n')
+    .filter(line => line.startsWith('//   node ')).map(line => line.slice(3)).join('\n');
+
+// { command, file, options } from the command line; --year, --account, --note and --author take a value
+function parseArgs(argv) {
+    const valued = ['year', 'account', 'note', 'author'];
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            positional.push(argv[i]);
+            continue;
+        }
+        const name = argv[i].slice(2);
+        options[name] = valued.includes(name) ? argv[++i] : true;
+    }
+
+    return { command: positional[0], file: positional[1], options };
+}
+
+// transactions.csv loaded by DataManager, so rows are migrated and validated exactly as the pages load them.
+// Rows that fail validation are in dataManager.loadErrors.
+async function loadLedger() {
+    const dataManager = new DataManager({ source: createFileSource(root) });
+    dataManager.transactions = await dataManager.loadTransactions();
+    dataManager.filteredTransactions = [...dataManager.transactions];
+    dataManager.isLoaded = true;
+    return dataManager;
+}
+
+// Print rows as aligned columns: columns are [title, row => text, 'right' for numbers]
+function printTable(rows, columns) {
+    const cells = rows.map(row => columns.map(([, value]) => String(value(row))));
+    const widths = columns.map(([title], index) => Math.max(title.length, ...cells.map(line => line[index].length)));
+    const format = line => line.map((text, index) =>
+        columns[index][2] === 'right' ? text.padStart(widths[index]) : text.padEnd(widths[index])
+    ).join('  ').trimEnd();
+
+    console.log(format(columns.map(([title]) => title)));
+    cells.forEach(line => console.log(format(line)));
+}
+
+function truncate(text, length) {
+    text = String(text || '');
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+async function validate() {
+    const dataManager = await loadLedger();
+    const file = CONFIG.DATA_FILES.TRANSACTIONS;
+
+    if (dataManager.schemaVersion < CONFIG.TRANSACTIONS_SCHEMA.VERSION) {
+        console.log(`${file} is schema v${dataManager.schemaVersion}; it will be upgraded to v${CONFIG.TRANSACTIONS_SCHEMA.VERSION} on the next save.`);
+    }
+
+    dataManager.loadErrors.forEach(error => console.error(`${file}:${error.line}: ${error.message}`));
+
+    if (dataManager.loadErrors.length > 0) {
+        console.error(`${dataManager.loadErrors.length} row(s) of ${file} failed validation; ` +
+            `${dataManager.transactions.length} are valid.`);
+        return 1;
+    }
+    console.log(`All ${dataManager.transactions.length} transactions in ${file} are valid.`);
+    return 0;
+}
+
+async function summary({ check }) {
+    const dataManager = await loadLedger();
+    const summaryPath = path.join(root, CONFIG.DATA_FILES.SUMMARY);
+    dataManager.loadErrors.forEach(error => console.warn(`Skipped line ${error.line}: ${error.message}`));
+
+    const file = await createFileSource(root).readFile(CONFIG.DATA_FILES.SUMMARY);
+    dataManager.summary = file ? JSON.parse(file.content) : {};
+    const transactions = dataManager.transactions;
+    const differences = dataManager.checkSummaryConsistency();
+
+    if (check) {
+        if (differences.length === 0) {
+            console.log(`summary.json matches ${transactions.length} transactions.`);
+            return 0;
+        }
+        console.error(`summary.json disagrees with transactions.csv in ${differences.length} place(s):`);
+        differences.forEach(({ field, summary: stated, transactions: expected }) => {
+            console.error(`  ${field}: summary.json has ${stated}, transactions.csv gives ${expected}`);
+        });
+        console.error('Run "node scripts/finance.js summary" to regenerate it.');
+        return 1;
+    }
+
+    const rebuilt = dataManager.buildSummary(transactions, dataManager.summary);
+    fs.writeFileSync(summaryPath, JSON.stringify(rebuilt, null, 2) + '\n');
+    console.log(`Wrote ${path.relative(root, summaryPath)} from ${transactions.length} transactions ` +
+        `(${differences.length} figure(s) changed).`);
+    return 0;
+}
+
+// "2024/25" (or "2024") as the financial year starting in 2024; null if it is not a year
+function parseFinancialYear(text) {
+    const match = String(text || '').match(/^(\d{4})(?:\/(\d{2}|\d{4}))?$/);
+    if (!match) return null;
+
+    const year = Utils.dateRange.forPeriod(`year:${match[1]}`);
+    if (match[2] && !String(year.startYear + 1).endsWith(match[2])) return null;
+    return year;
+}
+
+async function report({ year: yearText }) {
+    const year = yearText === undefined ? Utils.dateRange.financialYear() : parseFinancialYear(yearText);
+    if (!year) {
+        console.error(`--year must be a financial year such as ${Utils.dateRange.financialYear().label}`);
+        return 1;
+    }
+
+    const dataManager = await loadLedger();
+    const transactions = dataManager.transactions.filter(transaction =>
+        Utils.dateRange.isInRange(transaction.Date, year.start, year.end)
+    );
+    const totals = dataManager.calculateTotals(transactions);
+    const lastDay = new Date(year.end.getFullYear(), year.end.getMonth(), 0);
+
+    console.log(`Financial year ${year.label} (${Utils.formatDate(year.start)} to ${Utils.formatDate(lastDay)}): ` +
+        `${totals.count} transaction(s)`);
+    console.log(`Income ${Utils.formatCurrency(totals.income)}, expenses ${Utils.formatCurrency(totals.expenses)}, ` +
+        `net ${Utils.formatCurrency(totals.balance)}`);
+    if (transactions.length === 0) return 0;
+
+    const money = field => row => Utils.formatCurrency(row[field]);
+    [['Category', dataManager.getCategoryBreakdown(transactions), 'category'],
+        ['Event', dataManager.getEventBreakdown(transactions), 'event']].forEach(([title, breakdown, key]) => {
+        console.log('');
+        printTable(breakdown, [
+            [title, row => row[key]],
+            ['Income', money('income'), 'right'],
+            ['Expenses', money('expenses'), 'right'],
+            ['Net', money('net'), 'right'],
+            ['Count', row => row.count, 'right']
+        ]);
+    });
+    return 0;
+}
+
+// PDF.js from node_modules, if installed (the dashboard loads 3.4.120 from a CDN)
+function requirePDFJS() {
+    try {
+        return require('pdfjs-dist/legacy/build/pdf.js');
+    } catch (error) {
+        return null;
+    }
+}
+
+// A bank/SU export, with its columns mapped as the dashboard's import wizard would guess them.
+// Returns review rows: { number, transaction, entry, shown, status, reason, include } - shown is the row as
+// read, for listing rows that could not be validated
+function readExport(file, dataManager, account) {
+    const importer = new CSVImporter(dataManager);
+    importer.load(fs.readFileSync(file, 'utf8'), path.basename(file));
+
+    const mapped = Object.entries(importer.mapping.columns).map(([field, header]) => `${field} = "${header}"`);
+    console.log(`Columns: ${mapped.join(', ') || 'none recognised'}`);
+    const { isValid, errors } = importer.validateMapping();
+    if (!isValid) {
+        throw new Error(`The columns of ${file} could not be mapped: ${errors.join('; ')}. Rename its headers and try again.`);
+    }
+
+    return importer.buildPreview().map(row => ({
+        number: row.line,
+        transaction: row.transaction,
+        entry: row.transaction ? importer.toEntries([{ ...row, include: true }], account)[0] : null,
+        shown: row.transaction || row.mapped || {},
+        status: row.status,
+        reason: row.reason,
+        include: row.include
+    }));
+}
+
+// A statement: PDFs through PDFSpatialProcessor, text dumps through Expense365Parser and machine-readable
+// statements through StatementParser.
+// Returns { rows, statement } - review rows as for readExport, plus the balance lines to reconcile against.
+async function readStatement(file, dataManager, account) {
+    let extracted;
+    const extension = path.extname(file).toLowerCase();
+    if (CONFIG.UPLOAD.STATEMENT_EXTENSIONS.includes(extension)) {
+        const parser = new StatementParser();
+        const result = parser.parse(fs.readFileSync(file, 'utf8'), path.basename(file));
+        const formatName = parser.getFormatName(result.summary.format);
+        // Format names are spelled out letter by letter, so "an OFX/QFX" and "an MT940" but "a QIF"
+        const article = /^[AEFHILMNORSX]/i.test(formatName) ? 'an' : 'a';
+        console.log(`Read as ${article} ${formatName} statement` +
+            (result.summary.account ? ` of account ${result.summary.account}` : ''));
+        extracted = { transactions: result.transactions, ...result.summary };
+    } else if (extension === '.pdf') {
+        const pdfjs = requirePDFJS();
+        if (!pdfjs) {
+            throw new Error('Reading PDFs needs PDF.js: npm install --no-save pdfjs-dist@3.4.120');
+        }
+        const data = new Uint8Array(fs.readFileSync(file));
+        const result = await new PDFSpatialProcessor({ pdfjs }).processDocument({
+            name: path.basename(file),
+            type: 'application/pdf',
+            arrayBuffer: async () => data
+        });
+        result.summary.warnings.forEach(warning => console.log(warning));
+        extracted = { transactions: result.transactions, ...result.summary };
+    } else {
+        const parser = new Expense365Parser();
+        await parser.loadTemplates(createFileSource(root));
+        const result = parser.parseDocument(fs.readFileSync(file, 'utf8'), path.basename(file));
+        const opening = result.balanceLines.find(line => line.kind === 'opening');
+        const closing = [...result.balanceLines].reverse().find(line => line.kind === 'closing');
+        extracted = {
+            transactions: result.transactions,
+            balanceLines: result.balanceLines,
+            openingBalance: opening ? opening.amount : null,
+            closingBalance: closing ? closing.amount : null
+        };
+    }
+
+    // Same checks as a dashboard save: rows already in the ledger are left out, near-misses are flagged
+    const importer = new CSVImporter(dataManager);
+    const rows = extracted.transactions.map((transaction, index) => {
+        const entry = { ...transaction, account };
+        const normalized = dataManager.normalizeEntry(entry);
+        const shown = normalized || { Date: transaction.date, Description: transaction.description };
+        const row = { number: index + 1, transaction: normalized, entry, shown, status: 'new', reason: '', include: true };
+
+        if (!normalized) {
+            return { ...row, status: 'invalid', reason: 'Invalid date or amount', include: false };
+        }
+        const duplicate = importer.findDuplicate(normalized, dataManager.transactions);
+        if (duplicate && duplicate.exact) {
+            return { ...row, status: 'duplicate', reason: 'Already in transactions', include: false };
+        }
+        if (duplicate) {
+            row.reason = 'Same date and amount as an existing transaction';
+        }
+        return row;
+    });
+
+    return { rows, statement: extracted };
+}
+
+function printReconciliation(reconciliation) {
+    const headline = {
+        reconciled: 'Statement reconciles - every balance on the statement matches the running total.',
+        unbalanced: 'Statement does not reconcile - a row is misread or missing.',
+        unverifiable: 'No balance lines were found, so these rows cannot be checked against the statement.'
+    }[reconciliation.status];
+
+    console.log(`\n${headline}`);
+    reconciliation.checks.filter(check => !check.ok).forEach(check => {
+        console.log(`  ${check.label}: statement ${Utils.formatCurrency(check.expected)}, ` +
+            `running total ${Utils.formatCurrency(check.computed)}`);
+    });
+    if (reconciliation.divergence) {
+        console.log(`  ${reconciliation.divergence.message}`);
+    }
+}
+
+// Ask which of the rows to append. Returns the chosen rows, or null if the treasurer backs out.
+async function confirmRows(rows, file) {
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        let chosen = rows.filter(row => row.include);
+        while (chosen.length > 0) {
+            const answer = (await prompt.question(`\nAppend ${chosen.length} transaction(s) from ${file} to ` +
+                `${CONFIG.DATA_FILES.TRANSACTIONS}? [y/N, or the # of rows to leave out] `)).trim();
+
+            if (/^y(es)?$/i.test(answer)) return chosen;
+            const numbers = answer.split(/[\s,]+/).map(Number);
+            if (!answer || numbers.some(isNaN)) return null;
+            chosen = chosen.filter(row => !numbers.includes(row.number));
+        }
+        return null;
+    } finally {
+        prompt.close();
+    }
+}
+
+function gitUserName() {
+    try {
+        return execFileSync('git', ['config', 'user.name'], { cwd: root, encoding: 'utf8' }).trim() || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function importFile(file, options) {
+    if (!file) {
+        console.error('Usage: node scripts/finance.js import statement.pdf|export.csv [--account id] [--note text] [--yes]');
+        return 1;
+    }
+    const extension = path.extname(file).toLowerCase();
+    if (!['.pdf', '.txt', '.csv', ...CONFIG.UPLOAD.STATEMENT_EXTENSIONS].includes(extension)) {
+        throw new Error('import reads PDF statements (.pdf), statement text (.txt), CSV exports (.csv) and ' +
+            `OFX/QFX, QIF, CAMT.053 and MT940 statements (${CONFIG.UPLOAD.STATEMENT_EXTENSIONS.join(', ')})`);
+    }
+    const account = options.account || CONFIG.ACCOUNTS.DEFAULT;
+    if (!CONFIG.ACCOUNTS.LIST.some(known => known.id === account)) {
+        throw new Error(`Unknown account "${account}" - use one of ${CONFIG.ACCOUNTS.LIST.map(known => known.id).join(', ')}`);
+    }
+
+    const dataManager = await loadLedger();
+    await rulesEngine.load(createFileSource(root));
+    const { rows, statement = null } = extension === '.csv'
+        ? { rows: readExport(file, dataManager, account) }
+        : await readStatement(file, dataManager, account);
+
+    if (rows.length === 0) {
+        console.log(`No transactions were found in ${file}.`);
+        return 1;
+    }
+    printTable(rows, [
+        ['#', row => row.number, 'right'],
+        ['Date', row => row.shown.Date || ''],
+        ['Amount', row => (row.transaction ? Utils.formatCurrency(row.transaction.Amount) : ''), 'right'],
+        ['Description', row => truncate(row.shown.Description, 40)],
+        ['Category', row => (row.transaction ? row.transaction.Category : '')],
+        ['Event', row => (row.transaction ? row.transaction.Event : '')],
+        ['Status', row => [row.status, row.reason].filter(Boolean).join(': ')]
+    ]);
+
+    // Like the dashboard, a statement that does not reconcile (or has no balances to check) needs a reason to import
+    let note = options.note || `Imported from ${path.basename(file)}`;
+    if (statement) {
+        const reconciliation = statementReconciler.reconcile(rows.map(row => row.entry), statement);
+        printReconciliation(reconciliation);
+        if (statementReconciler.requiresNote(reconciliation) && !options.note) {
+            console.error('To import it anyway, record why that is safe with --note "..."');
+            return 1;
+        }
+        note = statementReconciler.describeOverride(reconciliation, options.note) || note;
+    }
+
+    let chosen = rows.filter(row => row.include);
+    if (chosen.length === 0) {
+        console.log('\nNothing new to import.');
+        return 0;
+    }
+    if (!options.yes) {
+        if (!process.stdin.isTTY) {
+            throw new Error('Run with --yes to import without being asked');
+        }
+        chosen = await confirmRows(rows, path.basename(file));
+        if (!chosen) {
+            console.log('Nothing was imported.');
+            return 0;
+        }
+    }
+
+    const result = await dataManager.saveTransactions(chosen.map(row => row.entry), createFileStorage(root), {
+        author: options.author || gitUserName(),
+        note
+    });
+    if (!result.commit) {
+        console.log('No new transactions to save.');
+        return 0;
+    }
+    console.log(`Appended ${result.added.length} transaction(s) to ${CONFIG.DATA_FILES.TRANSACTIONS} and updated ` +
+        `${CONFIG.DATA_FILES.SUMMARY}${CONFIG.isFeatureEnabled('AUDIT_TRAIL') ? ` and ${CONFIG.DATA_FILES.AUDIT_LOG}` : ''}.`);
+    if (result.skipped.length > 0) {
+        console.log(`${result.skipped.length} duplicate(s) already in the file were skipped.`);
+    }
+    console.log('Check the changes with "git diff data/" and commit them.');
+    return 0;
+}
+
+async function main() {
+    const { command, file, options } = parseArgs(process.argv.slice(2));
+
+    ({ CONFIG } = await import('../js/core/config.mjs'));
+    CONFIG.DEBUG.ENABLED = !!options.verbose;
+    ({ Utils } = await import('../js/core/utils.mjs'));
+    ({ DataManager } = await import('../js/core/data-manager.mjs'));
+    ({ CSVImporter } = await import('../js/core/csv-importer.mjs'));
+    ({ Expense365Parser } = await import('../js/core/expense365-parser.mjs'));
+    ({ PDFSpatialProcessor } = await import('../js/core/pdf-spatial-processor.mjs'));
+    ({ StatementParser } = await import('../js/core/statement-parser.mjs'));
+    ({ statementReconciler } = await import('../js/core/statement-reconciler.mjs'));
+    ({ rulesEngine } = await import('../js/core/rules-engine.mjs'));
+    ({ createFileSource, createFileStorage } = await import('../js/core/storage.mjs'));
+
+    try {
+        switch (command) {
+            case 'validate': return await validate();
+            case 'import': return await importFile(file, options);
+            case 'summary': return await summary(options);
+            case 'report': return await report(options);
+            default:
+                console.error(`Usage:\n${usage}`);
+                return 1;
+        }
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+}
+
+main().then(code => {
+    process.exitCode = code;
+});
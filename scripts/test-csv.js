@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+// scripts/test-csv.js - Tests for the RFC 4180 CSV parser in js/core/csv.mjs
+//
+//   node scripts/test-csv.js            run every test
+//   node scripts/test-csv.js quote      run only tests whose name contains the filter
+//
+// Every input is parsed whole and again split into two chunks at each position, so a record, a
+// quoted field or a \r\n line ending that straddles a chunk boundary must give the same result.
+
+const assert = require('assert');
+
+// ES modules from js/core, imported by main()
+let CSV, CSVParser;
+
+// Parse text with CSV.parse and check that chunked parses agree with it
+function parse(text) {
+    const whole = CSV.parse(text);
+
+    for (let split = 1; split < text.length; split++) {
+        const chunked = { headers: [], rows: [], lineNumbers: [], errors: [] };
+        const parser = CSV.createParser({
+            onHeaders: headers => { chunked.headers = headers; },
+            onRow: (row, line) => {
+                chunked.rows.push(row);
+                chunked.lineNumbers.push(line);
+            },
+            onError: error => chunked.errors.push(error)
+        });
+        parser.write(text.slice(0, split));
+        parser.write(text.slice(split));
+        parser.end();
+
+        assert.deepStrictEqual(chunked, whole, `split at ${split} (${JSON.stringify(text.slice(split - 1, split + 1))})`);
+    }
+
+    return whole;
+}
+
+// Collect the raw records from a CSVParser fed the given chunks
+function records(...chunks) {
+    const result = { records: [], errors: [] };
+    const parser = new CSVParser({
+        onRecord: (fields, line) => result.records.push({ fields, line }),
+        onError: error => result.errors.push(error)
+    });
+    chunks.forEach(chunk => parser.write(chunk));
+    parser.end();
+    return result;
+}
+
+const tests = [
+    {
+        name: 'parses a header row and records',
+        run: () => {
+            const result = parse('Date,Description,Amount\n2024-09-01,Tent hire,-45.00\n2024-09-02,Membership,20\n');
+
+            assert.deepStrictEqual(result.headers, ['Date', 'Description', 'Amount']);
+            assert.deepStrictEqual(result.rows, [
+                { Date: '2024-09-01', Description: 'Tent hire', Amount: '-45.00' },
+                { Date: '2024-09-02', Description: 'Membership', Amount: '20' }
+            ]);
+            assert.deepStrictEqual(result.lineNumbers, [2, 3]);
+            assert.deepStrictEqual(result.errors, []);
+        }
+    },
+    {
+        name: 'strips a byte order mark from the first header',
+        run: () => {
+            const result = parse('\uFEFFDate,Amount\n2024-09-01,10\n');
+
+            assert.deepStrictEqual(result.headers, ['Date', 'Amount']);
+            assert.deepStrictEqual(result.rows, [{ Date: '2024-09-01', Amount: '10' }]);
+        }
+    },
+    {
+        name: 'keeps a byte order mark that is not at the start of the input',
+        run: () => {
+            const result = records('a,b\n', '\uFEFFc,d\n');
+
+            assert.deepStrictEqual(result.records.map(record => record.fields), [['a', 'b'], ['\uFEFFc', 'd']]);
+        }
+    },
+    {
+        name: 'keeps CRLF inside quotes and counts its line',
+        run: () => {
+            const result = parse('Date,Description,Amount\r\n2024-09-01,"Tent hire\r\nfor Snowdon",-45.00\r\n2024-09-02,Membership,20\r\n');
+
+            assert.deepStrictEqual(result.rows.map(row => row.Description), ['Tent hire\r\nfor Snowdon', 'Membership']);
+            assert.deepStrictEqual(result.lineNumbers, [2, 4]);
+            assert.deepStrictEqual(result.errors, []);
+        }
+    },
+    {
+        name: 'unescapes doubled quotes',
+        run: () => {
+            const result = parse('Description,Amount\n"The ""Big"" Walk, 2024",10\n"""",0\n"",5\n');
+
+            assert.deepStrictEqual(result.rows, [
+                { Description: 'The "Big" Walk, 2024', Amount: '10' },
+                { Description: '"', Amount: '0' },
+                { Description: '', Amount: '5' }
+            ]);
+            assert.deepStrictEqual(result.errors, []);
+        }
+    },
+    {
+        name: 'reports text after a closing quote and keeps it in the field',
+        run: () => {
+            const result = parse('Description,Amount\n"Tent" hire,10\nFuel,20\n');
+
+            assert.deepStrictEqual(result.rows, [
+                { Description: 'Tent hire', Amount: '10' },
+                { Description: 'Fuel', Amount: '20' }
+            ]);
+            assert.deepStrictEqual(result.errors, [{ line: 2, message: 'Unexpected character " " after closing quote' }]);
+        }
+    },
+    {
+        name: 'reports rows with the wrong number of fields by line',
+        run: () => {
+            const result = parse('Date,Description,Amount\n2024-09-01,Tent hire\n2024-09-02,"Fuel\nand parking",20,extra\n2024-09-03,Membership,20\n');
+
+            assert.deepStrictEqual(result.rows, [{ Date: '2024-09-03', Description: 'Membership', Amount: '20' }]);
+            assert.deepStrictEqual(result.lineNumbers, [5]);
+            assert.deepStrictEqual(result.errors.map(({ line, message }) => ({ line, message })), [
+                { line: 2, message: 'Expected 3 fields but found 2' },
+                { line: 3, message: 'Expected 3 fields but found 4' }
+            ]);
+            assert.deepStrictEqual(result.errors[1].fields, ['2024-09-02', 'Fuel\nand parking', '20', 'extra']);
+        }
+    },
+    {
+        name: 'skips blank lines and rows of delimiters without errors',
+        run: () => {
+            const result = parse('Date,Amount\n\n2024-09-01,10\r\n,\r\n\r\n2024-09-02,20');
+
+            assert.deepStrictEqual(result.rows, [{ Date: '2024-09-01', Amount: '10' }, { Date: '2024-09-02', Amount: '20' }]);
+            assert.deepStrictEqual(result.lineNumbers, [3, 6]);
+            assert.deepStrictEqual(result.errors, []);
+        }
+    },
+    {
+        name: 'treats a lone CR as a line ending',
+        run: () => {
+            const result = parse('Date,Amount\r2024-09-01,10\r2024-09-02,20\r');
+
+            assert.deepStrictEqual(result.rows.map(row => row.Amount), ['10', '20']);
+            assert.deepStrictEqual(result.lineNumbers, [2, 3]);
+        }
+    },
+    {
+        name: 'reads a CRLF split across chunks as one line ending',
+        run: () => {
+            const result = records('a,b\r', '\nc,d\r', '\n', 'e,f');
+
+            assert.deepStrictEqual(result.records, [
+                { fields: ['a', 'b'], line: 1 },
+                { fields: ['c', 'd'], line: 2 },
+                { fields: ['e', 'f'], line: 3 }
+            ]);
+        }
+    },
+    {
+        name: 'reports an unterminated quoted field at the line it started',
+        run: () => {
+            const result = records('a,b\nc,"d\ne\n');
+
+            assert.deepStrictEqual(result.records.map(record => record.fields), [['a', 'b'], ['c', 'd\ne\n']]);
+            assert.deepStrictEqual(result.errors, [{ line: 2, message: 'Unterminated quoted field at end of file' }]);
+        }
+    },
+    {
+        name: 'writes values that round-trip through the parser',
+        run: () => {
+            const headers = ['Description', 'Amount'];
+            const rows = [
+                { Description: 'The "Big" Walk, 2024', Amount: '10' },
+                { Description: 'Tent hire\r\nfor Snowdon', Amount: '-45.00' },
+                { Description: ' padded ', Amount: '' }
+            ];
+
+            const text = CSV.stringify(rows, headers, { newline: '\r\n' });
+            const result = parse(text);
+
+            assert.deepStrictEqual(result.rows, rows);
+            assert.deepStrictEqual(result.errors, []);
+        }
+    }
+];
+
+async function main() {
+    const filters = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+    ({ CSV, CSVParser } = await import('../js/core/csv.mjs'));
+
+    const selected = tests.filter(test => filters.length === 0 || filters.some(filter => test.name.includes(filter)));
+    if (selected.length === 0) {
+        console.error('No tests match.');
+        return 1;
+    }
+
+    let failures = 0;
+    for (const test of selected) {
+        try {
+            await test.run();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}\n    ${error.message.split('\n').join('\n    ')}`);
+            failures++;
+        }
+    }
+
+    console.log(`\n${selected.length - failures}/${selected.length} test(s) passed.`);
+    return failures > 0 ? 1 : 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+// scripts/test-extraction.js - Golden-file regression tests for statement extraction
+//
+//   node scripts/test-extraction.js                  run every fixture in test/fixtures/extraction
+//   node scripts/test-extraction.js expense365       run only fixtures whose name contains the filter
+//   node scripts/test-extraction.js --update         write <fixture>.expected.json from the current output
+//   node scripts/test-extraction.js --dump file.pdf  save a PDF's text layer as a .pages.json fixture
+//   node scripts/test-extraction.js --verbose        show the pipeline's own logging
+//
+// Fixtures are fed through the same PDFSpatialProcessor, Expense365Parser and StatementParser the admin
+// dashboard uses, imported from js/core, so no browser or network is needed:
+//   *.txt         text dumps, parsed with Expense365Parser (templates from data/document-templates.json)
+//   *.pages.json  PDF text layers as PDF.js getTextContent() returns them, read with PDFSpatialProcessor
+//   *.pdf         PDFs, read with PDFSpatialProcessor; needs pdfjs-dist 3.x installed, otherwise skipped
+//   *.ofx, *.qif, *.xml, *.sta, ...  machine-readable statements (CONFIG.UPLOAD.STATEMENT_EXTENSIONS),
+//                 read with StatementParser; the expected file's "format" is the format it must be read as
+// Each fixture's <name>.expected.json holds the correct transactions. The output is compared field by
+// field and a fixture fails when any field's precision or recall drops below 1, or below the
+// "minimum" recorded in its expected file for a known shortfall. A minimum is the shortfall's exact score
+// (rounded down to a percent), so a fixture also fails once it does better - the fix should remove or
+// raise the minimum rather than leave room for a later regression. --update output must be checked by hand.
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const fixturesDir = path.join(root, 'test', 'fixtures', 'extraction');
+
+const fields = ['date', 'description', 'amount', 'type', 'category'];
+
+// ES modules from js/core, imported by main()
+let CONFIG, Expense365Parser, PDFSpatialProcessor, StatementParser, rulesEngine, createFileSource;
+
+// A fresh parser (with the templates from data/document-templates.json) and processors for each fixture,
+// categorising with the rules in data/rules.json
+async function loadPipeline({ pdfjs }) {
+    await rulesEngine.load(createFileSource(root));
+    const parser = new Expense365Parser();
+    await parser.loadTemplates(createFileSource(root));
+    return { parser, processor: new PDFSpatialProcessor({ pdfjs }), statementParser: new StatementParser() };
+}
+
+// PDF.js from node_modules, if installed (the dashboard loads 3.4.120 from a CDN)
+function requirePDFJS() {
+    try {
+        return require('pdfjs-dist/legacy/build/pdf.js');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Stand-in for PDF.js that serves a .pages.json dump, so processPDF runs unchanged
+function pdfjsFromDump(dump) {
+    return {
+        getDocument: () => ({
+            promise: Promise.resolve({
+                numPages: dump.pages.length,
+                getPage: async pageNum => {
+                    const page = dump.pages[pageNum - 1];
+                    return {
+                        getTextContent: async () => ({ items: page.items }),
+                        getViewport: () => ({ width: page.width, height: page.height })
+                    };
+                }
+            })
+        })
+    };
+}
+
+// Enough of a File for processDocument
+function fileLike(name, type, data = new ArrayBuffer(0)) {
+    return { name, type, arrayBuffer: async () => data };
+}
+
+// What a fixture produces: { transactions, openingBalance, closingBalance } (and format, for statements)
+async function extract(fixture, options) {
+    if (fixture.kind === 'statement') {
+        const { statementParser } = await loadPipeline(options);
+        const result = statementParser.parse(fs.readFileSync(fixture.file, 'utf8'), path.basename(fixture.file));
+        return {
+            transactions: result.transactions,
+            openingBalance: result.summary.openingBalance,
+            closingBalance: result.summary.closingBalance,
+            format: result.summary.format
+        };
+    }
+
+    if (fixture.kind === 'txt') {
+        const { parser } = await loadPipeline(options);
+        const result = parser.parseDocument(fs.readFileSync(fixture.file, 'utf8'), fixture.name);
+        const opening = result.balanceLines.find(line => line.kind === 'opening');
+        const closing = [...result.balanceLines].reverse().find(line => line.kind === 'closing');
+        return {
+            transactions: result.transactions,
+            openingBalance: opening ? opening.amount : null,
+            closingBalance: closing ? closing.amount : null
+        };
+    }
+
+    const pdfjs = fixture.kind === 'pages'
+        ? pdfjsFromDump(JSON.parse(fs.readFileSync(fixture.file, 'utf8')))
+        : options.pdfjs;
+    const data = fixture.kind === 'pdf' ? new Uint8Array(fs.readFileSync(fixture.file)) : undefined;
+    const { processor } = await loadPipeline({ pdfjs });
+    const result = await processor.processDocument(fileLike(fixture.name, 'application/pdf', data));
+    return {
+        transactions: result.transactions,
+        openingBalance: result.summary.openingBalance,
+        closingBalance: result.summary.closingBalance
+    };
+}
+
+// The compared fields of a transaction, as stored in expected files
+function pick(transaction) {
+    return Object.fromEntries(fields.map(field => [field, transaction[field] ?? null]));
+}
+
+function sameValue(field, a, b) {
+    if (field === 'amount') {
+        return a !== null && b !== null && Math.abs(Math.abs(a) - Math.abs(b)) < 0.005;
+    }
+    if (field === 'description') {
+        const normalize = value => String(value ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+        return normalize(a) === normalize(b);
+    }
+    return a === b;
+}
+
+// Pair each expected row with the extracted row sharing most fields (a pair needs the same date or
+// amount), best pairs first and nearest position on ties. Returns [{ expected, actual }].
+function pairRows(expected, actual) {
+    const candidates = [];
+    expected.forEach((want, i) => {
+        actual.forEach((got, j) => {
+            if (!sameValue('date', want.date, got.date) && !sameValue('amount', want.amount, got.amount)) return;
+            const score = fields.filter(field => sameValue(field, want[field], got[field])).length;
+            candidates.push({ i, j, score, distance: Math.abs(i - j) });
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score || a.distance - b.distance);
+
+    const usedExpected = new Set();
+    const usedActual = new Set();
+    const pairs = [];
+    candidates.forEach(({ i, j }) => {
+        if (usedExpected.has(i) || usedActual.has(j)) return;
+        usedExpected.add(i);
+        usedActual.add(j);
+        pairs.push({ expected: expected[i], actual: actual[j] });
+    });
+    return pairs;
+}
+
+// Per-field { correct, precision, recall } plus the differences worth printing
+function score(expected, actual) {
+    const pairs = pairRows(expected, actual);
+    const ratio = (correct, total) => total === 0 ? (correct === 0 ? 1 : 0) : correct / total;
+
+    const scores = {};
+    fields.forEach(field => {
+        const correct = pairs.filter(pair => sameValue(field, pair.expected[field], pair.actual[field])).length;
+        scores[field] = { correct, precision: ratio(correct, actual.length), recall: ratio(correct, expected.length) };
+    });
+
+    const paired = new Set(pairs.map(pair => pair.actual));
+    const pairedExpected = new Set(pairs.map(pair => pair.expected));
+    const differences = [
+        ...expected.filter(row => !pairedExpected.has(row)).map(row => `missing    ${describe(row)}`),
+        ...actual.filter(row => !paired.has(row)).map(row => `unexpected ${describe(row)}`),
+        ...pairs.flatMap(pair => fields
+            .filter(field => !sameValue(field, pair.expected[field], pair.actual[field]))
+            .map(field => `${field.padEnd(11)} ${describe(pair.expected)}: expected ${JSON.stringify(pair.expected[field])}, got ${JSON.stringify(pair.actual[field])}`))
+    ];
+
+    return { scores, differences };
+}
+
+function describe(row) {
+    return `${row.date} ${row.description} ${row.amount}`;
+}
+
+function findFixtures(filters) {
+    if (!fs.existsSync(fixturesDir)) return [];
+    const statementExtensions = CONFIG.UPLOAD.STATEMENT_EXTENSIONS.map(extension => extension.slice(1));
+    return fs.readdirSync(fixturesDir)
+        .map(entry => {
+            const match = entry.match(/^(.+?)\.(pages\.json|[a-z0-9]+)$/);
+            if (!match) return null;
+            const [, name, extension] = match;
+            const kind = extension === 'pages.json' ? 'pages'
+                : ['txt', 'pdf'].includes(extension) ? extension
+                : statementExtensions.includes(extension) ? 'statement' : null;
+            if (!kind) return null;
+            return {
+                name,
+                kind,
+                file: path.join(fixturesDir, entry),
+                expectedFile: path.join(fixturesDir, `${name}.expected.json`)
+            };
+        })
+        .filter(fixture => fixture && (filters.length === 0 || filters.some(filter => fixture.name.includes(filter))))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function percent(value) {
+    return `${Math.round(value * 1000) / 10}%`.padStart(6);
+}
+
+// --dump: write a PDF's text layer in the .pages.json format, one item per line for readable diffs.
+// Check the dump for names and account numbers before committing it.
+async function dumpPDF(pdfPath, pdfjs) {
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(fs.readFileSync(pdfPath)) }).promise;
+    const pages = [];
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+        const page = await pdf.getPage(pageNum);
+        const viewport = page.getViewport({ scale: 1 });
+        const textContent = await page.getTextContent();
+        const round = value => Math.round(value * 100) / 100;
+        const items = textContent.items
+            .filter(item => item.str && item.str.trim())
+            .map(item => ({ str: item.str, transform: item.transform.map(round), width: round(item.width), height: round(item.height) }));
+        pages.push([
+            `    { "width": ${round(viewport.width)}, "height": ${round(viewport.height)}, "items": [`,
+            items.map(item => `      ${JSON.stringify(item)}`).join(',\n'),
+            '    ] }'
+        ].join('\n'));
+    }
+
+    const name = path.basename(pdfPath, path.extname(pdfPath));
+    const output = path.join(fixturesDir, `${name}.pages.json`);
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    fs.writeFileSync(output, `{\n  "source": ${JSON.stringify(path.basename(pdfPath))},\n  "pages": [\n${pages.join(',\n')}\n  ]\n}\n`);
+    console.log(`Wrote ${path.relative(root, output)} (${pdf.numPages} page(s)). Remove personal details before committing it.`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const options = {
+        verbose: args.includes('--verbose'),
+        pdfjs: requirePDFJS()
+    };
+
+    ({ CONFIG } = await import('../js/core/config.mjs'));
+    CONFIG.DEBUG.ENABLED = options.verbose;
+    ({ Expense365Parser } = await import('../js/core/expense365-parser.mjs'));
+    ({ PDFSpatialProcessor } = await import('../js/core/pdf-spatial-processor.mjs'));
+    ({ StatementParser } = await import('../js/core/statement-parser.mjs'));
+    ({ rulesEngine } = await import('../js/core/rules-engine.mjs'));
+    ({ createFileSource } = await import('../js/core/storage.mjs'));
+
+    const dumpIndex = args.indexOf('--dump');
+    if (dumpIndex !== -1) {
+        if (!options.pdfjs) {
+            console.error('--dump needs PDF.js: npm install --no-save pdfjs-dist@3.4.120');
+            return 1;
+        }
+        if (!args[dumpIndex + 1]) {
+            console.error('Usage: node scripts/test-extraction.js --dump statement.pdf');
+            return 1;
+        }
+        await dumpPDF(args[dumpIndex + 1], options.pdfjs);
+        return 0;
+    }
+
+    const update = args.includes('--update');
+    const fixtures = findFixtures(args.filter(arg => !arg.startsWith('--')));
+    if (fixtures.length === 0) {
+        console.error(`No fixtures found in ${path.relative(root, fixturesDir)}.`);
+        return 1;
+    }
+
+    const totals = Object.fromEntries(fields.map(field => [field, { correct: 0, expected: 0, actual: 0 }]));
+    let failures = 0;
+    let skipped = 0;
+
+    for (const fixture of fixtures) {
+        if (fixture.kind === 'pdf' && !options.pdfjs) {
+            console.log(`- ${fixture.name}.pdf skipped (install pdfjs-dist@3.4.120 to read PDFs)`);
+            skipped++;
+            continue;
+        }
+
+        let output;
+        try {
+            output = await extract(fixture, options);
+        } catch (error) {
+            console.log(`✗ ${fixture.name}: extraction failed - ${error.message}`);
+            failures++;
+            continue;
+        }
+        const actual = output.transactions.map(pick);
+
+        if (update) {
+            const previous = fs.existsSync(fixture.expectedFile) ? JSON.parse(fs.readFileSync(fixture.expectedFile, 'utf8')) : {};
+            const expected = {
+                ...previous,
+                ...(output.format ? { format: output.format } : {}),
+                openingBalance: output.openingBalance,
+                closingBalance: output.closingBalance,
+                transactions: actual
+            };
+            fs.writeFileSync(fixture.expectedFile, JSON.stringify(expected, null, 2) + '\n');
+            console.log(`Wrote ${path.relative(root, fixture.expectedFile)} (${actual.length} transactions) - check it by hand`);
+            continue;
+        }
+
+        if (!fs.existsSync(fixture.expectedFile)) {
+            console.log(`✗ ${fixture.name}: no ${path.basename(fixture.expectedFile)} (create it with --update, then check it)`);
+            failures++;
+            continue;
+        }
+
+        const expected = JSON.parse(fs.readFileSync(fixture.expectedFile, 'utf8'));
+        const { scores, differences } = score(expected.transactions || [], actual);
+        const minimum = expected.minimum || {};
+
+        const problems = [];
+        fields.forEach(field => {
+            const worst = Math.min(scores[field].precision, scores[field].recall);
+            if (worst < (minimum[field] ?? 1)) {
+                problems.push(`${field} below ${percent(minimum[field] ?? 1).trim()}`);
+            } else if (field in minimum && Math.floor(worst * 100) / 100 > minimum[field]) {
+                problems.push(`${field} is now ${percent(worst).trim()}, better than the known shortfall of ` +
+                    `${percent(minimum[field]).trim()} - raise or remove its minimum (and note) in ${path.basename(fixture.expectedFile)}`);
+            }
+        });
+        ['format', 'openingBalance', 'closingBalance'].forEach(key => {
+            if (key in expected && expected[key] !== output[key]) {
+                problems.push(`${key} expected ${expected[key]}, got ${output[key]}`);
+            }
+        });
+
+        fields.forEach(field => {
+            totals[field].correct += scores[field].correct;
+            totals[field].expected += (expected.transactions || []).length;
+            totals[field].actual += actual.length;
+        });
+
+        console.log(`${problems.length === 0 ? '✓' : '✗'} ${fixture.name} (${fixture.kind}): ` +
+            `${actual.length} extracted, ${(expected.transactions || []).length} expected`);
+        if (problems.length > 0 || options.verbose) {
+            fields.forEach(field => {
+                console.log(`    ${field.padEnd(12)} precision ${percent(scores[field].precision)}  recall ${percent(scores[field].recall)}`);
+            });
+        }
+        if (problems.length > 0) {
+            failures++;
+            problems.forEach(problem => console.log(`    ! ${problem}`));
+            differences.forEach(difference => console.log(`      ${difference}`));
+        }
+    }
+
+    if (update) return 0;
+
+    console.log('\nAll fixtures:');
+    fields.forEach(field => {
+        const { correct, expected, actual } = totals[field];
+        const precision = actual === 0 ? 1 : correct / actual;
+        const recall = expected === 0 ? 1 : correct / expected;
+        console.log(`    ${field.padEnd(12)} precision ${percent(precision)}  recall ${percent(recall)}`);
+    });
+
+    const ran = fixtures.length - skipped;
+    console.log(`\n${ran - failures}/${ran} fixture(s) passed${skipped ? `, ${skipped} skipped` : ''}.`);
+    return failures > 0 ? 1 : 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,444 @@
+#!/usr/bin/env node
+// scripts/test-github-storage.js - Tests for GitHubStorage against a local stand-in for the GitHub API
+//
+//   node scripts/test-github-storage.js            run every test
+//   node scripts/test-github-storage.js conflict   run only tests whose name contains the filter
+//   node scripts/test-github-storage.js --verbose  show the storage's own logging
+//
+// The stand-in keeps one branch in memory and answers the calls GitHubStorage makes - the ref, the
+// Contents API (leaving out the content of files over 1 MB, as GitHub does) and the Git Data API blobs,
+// trees and commits - with a fast-forward-only ref update like GitHub's. Tests can commit "as someone
+// else" part-way through a save to provoke a conflict.
+
+const http = require('http');
+const crypto = require('crypto');
+const assert = require('assert');
+
+const owner = 'umhc';
+const repo = 'finance-test';
+const branch = 'main';
+
+// ES modules from js/core, imported by main()
+let CONFIG, GitHubStorage, GitHubConflictError, DataManager, RulesEngine, ClaimsManager;
+
+const sha1 = text => crypto.createHash('sha1').update(text).digest('hex');
+
+// One branch of a repository: commits are { tree, parents, message }, trees map path -> blob sha
+function createRepository(files = {}) {
+    const blobs = new Map();
+    const trees = new Map();
+    const commits = new Map();
+
+    const addBlob = content => {
+        const sha = sha1(`blob:${content.toString('base64')}`);
+        blobs.set(sha, content);
+        return sha;
+    };
+    const addTree = entries => {
+        const sha = sha1(`tree:${JSON.stringify(Object.entries(entries).sort())}`);
+        trees.set(sha, entries);
+        return sha;
+    };
+    const addCommit = commit => {
+        const sha = sha1(`commit:${JSON.stringify(commit)}:${commits.size}`);
+        commits.set(sha, commit);
+        return sha;
+    };
+
+    const initialTree = addTree(Object.fromEntries(Object.entries(files).map(([path, content]) => [path, addBlob(Buffer.from(content))])));
+    const repository = {
+        head: addCommit({ tree: initialTree, parents: [], message: 'Initial commit' }),
+        private: true,
+        blobs,
+        trees,
+        commits,
+        addBlob,
+        addTree,
+        addCommit,
+
+        // The file at a commit (or the branch), or null
+        file(path, ref = branch) {
+            const commit = commits.get(ref === branch ? repository.head : ref);
+            const blobSha = commit && trees.get(commit.tree)[path];
+            return blobSha ? { sha: blobSha, content: blobs.get(blobSha) } : null;
+        },
+
+        // Commit directly to the branch, as another committee member saving at the same time would
+        commitAsSomeoneElse(path, content, message = 'Someone else saved') {
+            const tree = { ...trees.get(commits.get(repository.head).tree), [path]: addBlob(Buffer.from(content)) };
+            repository.head = addCommit({ tree: addTree(tree), parents: [repository.head], message });
+        }
+    };
+    return repository;
+}
+
+// HTTP server answering GitHubStorage's requests for one repository. hooks.beforeRefUpdate(repository)
+// runs before each ref update is applied; calls lists every request as "METHOD /path".
+function startServer(repository, hooks = {}) {
+    const calls = [];
+    const prefix = `/repos/${owner}/${repo}`;
+
+    const server = http.createServer(async (request, response) => {
+        let body = '';
+        for await (const chunk of request) body += chunk;
+        const url = new URL(request.url, 'http://localhost');
+        const route = url.pathname.startsWith(prefix) ? url.pathname.slice(prefix.length) : null;
+        const input = body ? JSON.parse(body) : {};
+        calls.push(`${request.method} ${route}`);
+
+        const send = (status, data) => {
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(data));
+        };
+        const notFound = () => send(404, { message: 'Not Found' });
+
+        if (request.method === 'GET' && route === '') {
+            return send(200, { full_name: `${owner}/${repo}`, private: repository.private });
+        }
+
+        if (request.method === 'GET' && route === `/git/ref/heads/${branch}`) {
+            return send(200, { ref: `refs/heads/${branch}`, object: { sha: repository.head, type: 'commit' } });
+        }
+
+        if (request.method === 'GET' && route && route.startsWith('/contents/')) {
+            const path = decodeURIComponent(route.slice('/contents/'.length));
+            const file = repository.file(path, url.searchParams.get('ref') || branch);
+            if (!file) return notFound();
+            if (request.headers.accept === 'application/vnd.github.raw') {
+                response.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+                return response.end(file.content);
+            }
+            // Like GitHub, files over 1 MB are listed without their content
+            if (file.content.length > 1024 * 1024) {
+                return send(200, { path, sha: file.sha, size: file.content.length, encoding: 'none', content: '' });
+            }
+            return send(200, { path, sha: file.sha, size: file.content.length, encoding: 'base64', content: file.content.toString('base64') });
+        }
+
+        if (request.method === 'GET' && route && route.startsWith('/git/commits/')) {
+            const sha = route.slice('/git/commits/'.length);
+            const commit = repository.commits.get(sha);
+            return commit ? send(200, { sha, tree: { sha: commit.tree }, parents: commit.parents.map(parent => ({ sha: parent })) }) : notFound();
+        }
+
+        if (request.method === 'POST' && route === '/git/blobs') {
+            return send(201, { sha: repository.addBlob(Buffer.from(input.content, input.encoding === 'base64' ? 'base64' : 'utf8')) });
+        }
+
+        if (request.method === 'POST' && route === '/git/trees') {
+            const base = repository.trees.get(input.base_tree);
+            if (!base) return send(422, { message: 'Invalid base_tree' });
+            const tree = { ...base };
+            input.tree.forEach(entry => {
+                tree[entry.path] = entry.sha || repository.addBlob(Buffer.from(entry.content));
+            });
+            return send(201, { sha: repository.addTree(tree) });
+        }
+
+        if (request.method === 'POST' && route === '/git/commits') {
+            const sha = repository.addCommit({ tree: input.tree, parents: input.parents, message: input.message });
+            return send(201, { sha, html_url: `https://github.com/${owner}/${repo}/commit/${sha}` });
+        }
+
+        if (request.method === 'PATCH' && route === `/git/refs/heads/${branch}`) {
+            if (hooks.beforeRefUpdate) hooks.beforeRefUpdate(repository);
+            const commit = repository.commits.get(input.sha);
+            if (!commit) return send(422, { message: 'Object does not exist' });
+            if (!input.force && !commit.parents.includes(repository.head)) {
+                return send(422, { message: 'Update is not a fast forward' });
+            }
+            repository.head = input.sha;
+            return send(200, { ref: `refs/heads/${branch}`, object: { sha: input.sha, type: 'commit' } });
+        }
+
+        return notFound();
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, calls, apiBase: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+// Run a test against its own repository and server, with a GitHubStorage pointed at it
+async function withStorage(files, hooks, test) {
+    const repository = createRepository(files);
+    const { server, calls, apiBase } = await startServer(repository, hooks);
+    const auth = { makeAuthenticatedRequest: (url, options) => fetch(url, options) };
+    const storage = new GitHubStorage(auth, { apiBase, owner, repo, branch });
+
+    try {
+        await test({ storage, repository, calls });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+const csvHeader = 'Id,Date,Description,Amount,Type,Category,Event,Reference,Account,TransferAccount,Splits,Attachments,SchemaVersion';
+const ledgerFiles = () => ({
+    'data/transactions.csv': `${csvHeader}\ntx-0000000000000001,01/09/2024,Annual Insurance Premium,-450.00,Expense,Insurance,General,INS2024,su,,,,5\n`,
+    'data/summary.json': '{}\n',
+    'data/audit-log.jsonl': ''
+});
+
+const tests = [
+    {
+        name: 'reads text files and reports missing ones as null',
+        run: () => withStorage({ 'data/rules.json': '{"version":1,"rules":[]}\n' }, {}, async ({ storage, repository }) => {
+            const file = await storage.readFile('data/rules.json');
+            assert.strictEqual(file.content, '{"version":1,"rules":[]}\n');
+            assert.strictEqual(file.sha, repository.file('data/rules.json').sha);
+            assert.strictEqual(await storage.readFile('data/missing.json'), null);
+        })
+    },
+    {
+        name: 'commits text and binary files in one commit',
+        run: () => withStorage({ 'data/budgets.json': '{}\n' }, {}, async ({ storage, repository }) => {
+            const before = repository.head;
+            const existing = await storage.readFile('data/budgets.json');
+            const receipt = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x00, 0xff]);
+
+            const commit = await storage.commitFiles([
+                { path: 'data/budgets.json', content: '{"events":{}}\n' },
+                { path: 'data/attachments/receipt.pdf', base64: receipt.toString('base64') }
+            ], 'Update budgets', { parent: before, expectedShas: { 'data/budgets.json': existing.sha } });
+
+            assert.strictEqual(repository.head, commit.sha);
+            assert.deepStrictEqual(repository.commits.get(commit.sha).parents, [before]);
+            assert.strictEqual(repository.commits.get(commit.sha).message, 'Update budgets');
+            assert.strictEqual(repository.file('data/budgets.json').content.toString(), '{"events":{}}\n');
+            assert.ok(repository.file('data/attachments/receipt.pdf').content.equals(receipt));
+
+            const blob = await storage.readBlob('data/attachments/receipt.pdf');
+            assert.ok(Buffer.from(await blob.arrayBuffer()).equals(receipt));
+        })
+    },
+    {
+        name: 'refuses to commit attachments to a public repository',
+        run: () => withStorage({ 'data/budgets.json': '{}\n' }, {}, async ({ storage, repository, calls }) => {
+            repository.private = false;
+            const before = repository.head;
+
+            await assert.rejects(storage.commitFiles([
+                { path: 'data/budgets.json', content: '{"events":{}}\n' },
+                { path: 'data/attachments/receipt.pdf', base64: Buffer.from('%PDF').toString('base64') }
+            ], 'Update budgets'), /is public/);
+            assert.strictEqual(repository.head, before);
+            assert.ok(!calls.some(call => call.startsWith('POST')), 'nothing should be written');
+
+            await storage.commitFiles([{ path: 'data/budgets.json', content: '{"events":{}}\n' }], 'Update budgets');
+            assert.notStrictEqual(repository.head, before, 'data files are still committed');
+        })
+    },
+    {
+        name: 'refuses a commit on top of an old head',
+        run: () => withStorage({ 'data/budgets.json': '{}\n' }, {}, async ({ storage, repository, calls }) => {
+            const head = await storage.getBranchHead();
+            repository.commitAsSomeoneElse('data/claims.json', '{"claims":[]}\n');
+
+            await assert.rejects(
+                storage.commitFiles([{ path: 'data/budgets.json', content: '{"events":{}}\n' }], 'Update budgets', { parent: head }),
+                error => error instanceof GitHubConflictError && error.details.expected === head);
+            assert.ok(!calls.some(call => call.startsWith('POST')), 'nothing should be written');
+        })
+    },
+    {
+        name: 'refuses a commit when a file changed since it was read',
+        run: () => withStorage({ 'data/budgets.json': '{}\n' }, {}, async ({ storage, repository }) => {
+            const file = await storage.readFile('data/budgets.json');
+            repository.commitAsSomeoneElse('data/budgets.json', '{"events":{"Snowdonia":{}}}\n');
+
+            await assert.rejects(
+                storage.commitFiles([{ path: 'data/budgets.json', content: '{"events":{}}\n' }], 'Update budgets', {
+                    expectedShas: { 'data/budgets.json': file.sha }
+                }),
+                error => error instanceof GitHubConflictError && error.details.path === 'data/budgets.json');
+            assert.strictEqual(repository.file('data/budgets.json').content.toString(), '{"events":{"Snowdonia":{}}}\n');
+        })
+    },
+    {
+        name: 'turns a rejected ref update into a conflict',
+        run: () => {
+            let raced = false;
+            const hooks = {
+                beforeRefUpdate: repository => {
+                    if (!raced) repository.commitAsSomeoneElse('data/claims.json', '{"claims":[]}\n');
+                    raced = true;
+                }
+            };
+            return withStorage({ 'data/budgets.json': '{}\n' }, hooks, async ({ storage, repository }) => {
+                const head = await storage.getBranchHead();
+                await assert.rejects(
+                    storage.commitFiles([{ path: 'data/budgets.json', content: '{"events":{}}\n' }], 'Update budgets', { parent: head }),
+                    GitHubConflictError);
+                assert.strictEqual(repository.file('data/budgets.json').content.toString(), '{}\n');
+                assert.ok(repository.file('data/claims.json'), 'the other commit should be kept');
+            });
+        }
+    },
+    {
+        name: 'a ledger save that hits a conflict retries with the latest data',
+        run: () => {
+            let raced = false;
+            const hooks = {
+                // Someone else adds a transaction while the first attempt is being committed
+                beforeRefUpdate: repository => {
+                    if (raced) return;
+                    raced = true;
+                    const current = repository.file('data/transactions.csv').content.toString();
+                    repository.commitAsSomeoneElse('data/transactions.csv',
+                        `${current}tx-0000000000000002,05/09/2024,Minibus Hire,-120.00,Expense,Transport,General,MB1,su,,,,5\n`);
+                }
+            };
+            return withStorage(ledgerFiles(), hooks, async ({ storage, repository, calls }) => {
+                const dataManager = new DataManager();
+                const result = await dataManager.saveTransactions([
+                    { date: '10/09/2024', description: 'YHA Edale', amount: 240, type: 'Expense', category: 'Accommodation' }
+                ], storage, { author: 'treasurer', note: 'Test save' });
+
+                assert.strictEqual(calls.filter(call => call.startsWith('PATCH')).length, 2, 'the save should be retried once');
+                assert.strictEqual(repository.head, result.commit.sha);
+
+                const csv = repository.file('data/transactions.csv').content.toString();
+                ['Annual Insurance Premium', 'Minibus Hire', 'YHA Edale'].forEach(description => {
+                    assert.ok(csv.includes(description), `${description} should be in transactions.csv`);
+                });
+                assert.ok(repository.file('data/audit-log.jsonl').content.toString().includes('YHA Edale'));
+            });
+        }
+    },
+    {
+        name: 'a ledger save keeps an audit log of over 1 MB',
+        run: () => {
+            const entry = JSON.stringify({ action: 'create', user: 'treasurer', reason: 'x'.repeat(200) }) + '\n';
+            const history = entry.repeat(Math.ceil(1.2 * 1024 * 1024 / entry.length));
+            const files = { ...ledgerFiles(), 'data/audit-log.jsonl': history };
+            return withStorage(files, {}, async ({ storage, repository }) => {
+                assert.strictEqual((await storage.readFile('data/audit-log.jsonl')).content, history);
+
+                await new DataManager().saveTransactions([
+                    { date: '10/09/2024', description: 'YHA Edale', amount: 240, type: 'Expense', category: 'Accommodation' }
+                ], storage, { author: 'treasurer' });
+
+                const log = repository.file('data/audit-log.jsonl').content.toString();
+                assert.ok(log.startsWith(history), 'the existing audit history should be kept');
+                assert.ok(log.slice(history.length).includes('YHA Edale'));
+            });
+        }
+    },
+    {
+        name: 'edits a transaction with a zero amount',
+        run: () => {
+            const files = {
+                ...ledgerFiles(),
+                'data/transactions.csv': `${csvHeader}\ntx-0000000000000003,28/12/2024,Year-End Equipment Audit,0.00,Expense,Administration,General,AUDIT001,su,,,,5\n`
+            };
+            return withStorage(files, {}, async ({ storage, repository }) => {
+                const dataManager = new DataManager();
+                const result = await dataManager.updateTransaction('tx-0000000000000003', { Description: 'Equipment Audit 2024' }, storage, {
+                    author: 'treasurer', reason: 'Clearer description'
+                });
+
+                assert.strictEqual(result.after.Amount, 0);
+                const csv = repository.file('data/transactions.csv').content.toString();
+                assert.ok(csv.includes('Equipment Audit 2024,0.00,Expense'), 'the edited row should keep its zero amount');
+            });
+        }
+    },
+    {
+        name: 'a rule saved during a conflict keeps the rule someone else added',
+        run: () => {
+            const rule = (id, name, description) => ({ id, name, priority: 100, enabled: true, match: { description }, category: 'Transport' });
+            let raced = false;
+            const hooks = {
+                beforeRefUpdate: repository => {
+                    if (raced) return;
+                    raced = true;
+                    const data = JSON.parse(repository.file('data/rules.json').content.toString());
+                    data.rules.push(rule('taxi', 'Taxis', 'taxi'));
+                    repository.commitAsSomeoneElse('data/rules.json', JSON.stringify(data, null, 2) + '\n');
+                }
+            };
+            const files = { 'data/rules.json': JSON.stringify({ version: 1, rules: [] }) + '\n' };
+            return withStorage(files, hooks, async ({ storage, repository }) => {
+                const { id, ...minibus } = rule('minibus', 'Minibus hire', 'minibus');
+                await new RulesEngine().saveRule(id, minibus, storage, { author: 'treasurer' });
+
+                const saved = JSON.parse(repository.file('data/rules.json').content.toString()).rules;
+                assert.deepStrictEqual(saved.map(rule => rule.id), ['taxi', 'minibus']);
+            });
+        }
+    },
+    {
+        name: 'paying a claim adds its expense and marks it paid in one commit',
+        run: () => withStorage({ ...ledgerFiles(), 'data/claims.json': '{"version":1,"claims":[]}\n' }, {}, async ({ storage, repository }) => {
+            const [claimant, approver] = CONFIG.COMMITTEE_MEMBERS.map(member => member.github);
+            const claims = new ClaimsManager(new DataManager());
+            const claim = { date: '2024-09-12', description: 'Minibus fuel', amount: 58.72, category: 'Transport', event: 'General', receipt: { fileName: 'fuel.jpg' } };
+
+            const { claim: submitted } = await claims.submitClaim(claim, storage, { author: claimant });
+            await assert.rejects(claims.approveClaim(submitted.id, storage, { author: claimant }), /different committee member/);
+            await claims.approveClaim(submitted.id, storage, { author: approver });
+            const before = repository.head;
+            const { transaction } = await claims.markPaid(submitted.id, storage, { author: approver });
+
+            assert.deepStrictEqual(repository.commits.get(repository.head).parents, [before], 'paying should be a single commit');
+            const saved = JSON.parse(repository.file('data/claims.json').content.toString()).claims[0];
+            assert.strictEqual(saved.status, 'paid');
+            assert.strictEqual(saved.transactionId, transaction.Id);
+            assert.ok(repository.file('data/transactions.csv').content.toString().includes(`,-58.72,Expense,Transport,General,${submitted.id},`));
+        })
+    },
+    {
+        name: 'a ledger save gives up after maxRetries conflicts',
+        run: () => {
+            const hooks = {
+                beforeRefUpdate: repository => repository.commitAsSomeoneElse('data/claims.json', `{"claims":[],"at":${Date.now()}}\n`)
+            };
+            return withStorage(ledgerFiles(), hooks, async ({ storage, calls }) => {
+                await assert.rejects(new DataManager().saveTransactions([
+                    { date: '10/09/2024', description: 'YHA Edale', amount: 240, type: 'Expense', category: 'Accommodation' }
+                ], storage, { author: 'treasurer' }), GitHubConflictError);
+                assert.strictEqual(calls.filter(call => call.startsWith('PATCH')).length, storage.maxRetries + 1);
+            });
+        }
+    }
+];
+
+async function main() {
+    const args = process.argv.slice(2);
+    const filters = args.filter(arg => !arg.startsWith('--'));
+
+    ({ CONFIG } = await import('../js/core/config.mjs'));
+    CONFIG.DEBUG.ENABLED = args.includes('--verbose');
+    ({ GitHubStorage } = await import('../js/core/github-storage.mjs'));
+    ({ GitHubConflictError } = await import('../js/core/storage.mjs'));
+    ({ DataManager } = await import('../js/core/data-manager.mjs'));
+    ({ RulesEngine } = await import('../js/core/rules-engine.mjs'));
+    ({ ClaimsManager } = await import('../js/core/claims-manager.mjs'));
+
+    const selected = tests.filter(test => filters.length === 0 || filters.some(filter => test.name.includes(filter)));
+    if (selected.length === 0) {
+        console.error('No tests match.');
+        return 1;
+    }
+
+    let failures = 0;
+    for (const test of selected) {
+        try {
+            await test.run();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}\n    ${error.message.split('\n').join('\n    ')}`);
+            failures++;
+        }
+    }
+
+    console.log(`\n${selected.length - failures}/${selected.length} test(s) passed.`);
+    return failures > 0 ? 1 : 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+});